@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+'use strict'
+
+// frea-bundle carries packages from the mirror into environments that can
+// reach neither the mirror nor npm, see ./index.js for what a bundle holds.
+//
+// Usage:
+//   frea-bundle export [--since <bundle>] [--scope <scope>]... [--lockfile <file>]... <bundle> [name...]
+//     Export the named packages, every package of the given scopes, and every
+//     package the given lockfiles (or package.json files) install, from the
+//     mirror's bucket to a new bundle. With --since, only what has changed
+//     since the given bundle was exported is.
+//   frea-bundle import [--dry-run] [--directory <dir>] <bundle>
+//     Verify a bundle and load it into the mirror's bucket, or into a
+//     directory in the same layout. With --dry-run, the bundle is only
+//     verified.
+//
+// Both print a JSON report of what they did to stdout.
+
+const { concatSeries } = require('async')
+const bunyan = require('bunyan')
+const config = require('frea-gcp-mirror-common/config').load()
+const storage = require('frea-gcp-mirror-common/storage')
+const { exportBundle, importBundle, listScope, readBundle } = require('./index.js')
+
+// The cli logs to the terminal rather than stackdriver. Logs go to stderr so
+// they don't get mixed up with the report.
+const log = bunyan.createLogger({
+  name: 'frea-bundle-cli',
+  level: 'info',
+  stream: process.stderr
+})
+
+const [ command, ...args ] = process.argv.slice(2)
+
+function usage () {
+  console.error('usage: frea-bundle export [--since <bundle>] [--scope <scope>]... ' +
+    '[--lockfile <file>]... <bundle> [name...]')
+  console.error('       frea-bundle import [--dry-run] [--directory <dir>] <bundle>')
+  process.exit(1)
+}
+
+// parse splits the arguments into flags and everything else. Flags that take a
+// value may be given more than once.
+function parse (flags, values) {
+  const parsed = { rest: [] }
+  values.forEach((flag) => { parsed[flag] = [] })
+  for (let i = 0; i < args.length; i++) {
+    if (flags.indexOf(args[i]) !== -1) {
+      parsed[args[i]] = true
+    } else if (values.indexOf(args[i]) !== -1) {
+      if (i + 1 >= args.length) {
+        usage()
+      }
+      parsed[args[i]].push(args[++i])
+    } else {
+      parsed.rest.push(args[i])
+    }
+  }
+  return parsed
+}
+
+function finish (e, report, failed) {
+  if (e) {
+    log.error({ err: e }, command + ' failed')
+    process.exit(1)
+  }
+  process.stdout.write(JSON.stringify(report, null, '  ') + '\n')
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+function exportCommand () {
+  const parsed = parse([], [ '--since', '--scope', '--lockfile' ])
+  const [ archive, ...names ] = parsed.rest
+  if (!archive || parsed['--since'].length > 1) {
+    usage()
+  }
+  const bucket = storage.createStorage(config.storage)
+
+  // The packages to export are the ones we were given by name, by scope, and
+  // by lockfile
+  const byScope = (cb) => concatSeries(parsed['--scope'], (scope, cb2) => {
+    listScope(bucket, scope, cb2)
+  }, cb)
+  const byLockfile = (cb) => {
+    if (parsed['--lockfile'].length === 0) {
+      return cb(null, [])
+    }
+    // Reading dependencies out of a package.json needs npm, so seeding is only
+    // loaded when we need it
+    const { closure } = require('frea-gcp-mirror-seed')
+    concatSeries(parsed['--lockfile'], (filename, cb2) => {
+      closure(filename, (e, result) => {
+        if (e) {
+          return cb2(e)
+        }
+        if (result.failures.length > 0) {
+          result.failures.forEach((failure) => {
+            log.error(failure, 'failed to resolve dependency')
+          })
+          return cb2(new Error('failed to resolve the dependencies of ' + filename))
+        }
+        cb2(null, result.names)
+      })
+    }, cb)
+  }
+  const since = (cb) => {
+    if (parsed['--since'].length === 0) {
+      return cb(null, null)
+    }
+    readBundle(parsed['--since'][0], cb)
+  }
+
+  byScope((e, scoped) => {
+    if (e) {
+      return finish(e)
+    }
+    byLockfile((e, locked) => {
+      if (e) {
+        return finish(e)
+      }
+      since((e, previous) => {
+        if (e) {
+          return finish(e)
+        }
+        const all = Array.from(new Set(names.concat(scoped, locked))).sort()
+        if (all.length === 0) {
+          log.error('nothing to export')
+          usage()
+        }
+        log.info({ packages: all.length, since: previous && previous.createdAt },
+          'exporting')
+        exportBundle({
+          bucket,
+          log,
+          mirrorUrl: config.mirrorUrl,
+          since: previous
+        }, all, archive, (e, report) => finish(e, report, report && report.failed))
+      })
+    })
+  })
+}
+
+function importCommand () {
+  const parsed = parse([ '--dry-run' ], [ '--directory' ])
+  const [ archive ] = parsed.rest
+  if (!archive || parsed.rest.length > 1 || parsed['--directory'].length > 1) {
+    usage()
+  }
+  const bucket = parsed['--directory'].length > 0
+    ? storage.createStorage({ backend: 'local', directory: parsed['--directory'][0] })
+    : storage.createStorage(config.storage)
+  importBundle({
+    bucket,
+    log,
+    mirrorUrl: config.mirrorUrl,
+    dryRun: parsed['--dry-run'] === true
+  }, archive, (e, report) => finish(e, report, report && report.rejected))
+}
+
+switch (command) {
+  case 'export':
+    exportCommand()
+    break
+  case 'import':
+    importCommand()
+    break
+  default:
+    usage()
+}
@@ -0,0 +1,665 @@
+'use strict'
+
+// Load all dependencies
+const { eachLimit, eachSeries, mapLimit } = require('async')
+const crypto = require('crypto')
+const fs = require('fs')
+const miss = require('mississippi')
+const once = require('once').strict
+const os = require('os')
+const path = require('path')
+const tar = require('tar-stream')
+const zlib = require('zlib')
+const { ALGORITHMS, parseIntegrity, verify } = require('frea-gcp-mirror-common/integrity')
+
+// A bundle carries packages from the mirror into an environment that can
+// reach neither the mirror nor npm. It is a gzipped tarball holding:
+//
+//   bundle.json      What is in the bundle, always the first entry
+//   objects/<key>    Every object exported from the mirror's bucket
+//
+// bundle.json is the bundle's checksum manifest:
+//
+//   {
+//     "format": 1,
+//     "createdAt": "2019-05-01T00:00:00.000Z",
+//     "since": null,
+//     "mirrorUrl": "https://storage.googleapis.com/freajs/",
+//     "packages": [ "left-pad" ],
+//     "files": [
+//       {
+//         "kind": "tarball",
+//         "package": "left-pad",
+//         "version": "1.3.0",
+//         "key": "/left-pad/-/left-pad-1.3.0.tgz",
+//         "path": "objects/left-pad/-/left-pad-1.3.0.tgz",
+//         "size": 1715,
+//         "contentType": "application/gzip",
+//         "metadata": { "shasum": "...", "integrity": "sha512-..." },
+//         "integrity": "sha512-..."
+//       }
+//     ]
+//   }
+//
+// Every file is one of a package's manifests (kind packument, abbreviated,
+// version, or tag) or one of its tarballs, and is loaded back into the same
+// key it was exported from, so a bundle imports into the same layout the
+// packages and tarballs Cloud Functions produce. integrity is a Subresource
+// Integrity string for the file's contents. For tarballs it is the integrity
+// (or shasum) npm published, which the tarballs Cloud Function verified before
+// recording it on the object.
+//
+// A bundle exported since a previous bundle leaves out every file the previous
+// bundle (or the bundles before it) already held with the same contents, and
+// records when the previous bundle was created. The files it leaves out are
+// listed in unchanged, as a map of key to integrity, so the next bundle can be
+// exported since this one. Importing it requires the previous bundles to have
+// been imported first.
+
+const FORMAT = 1
+const BUNDLE_JSON = 'bundle.json'
+const OBJECTS = 'objects/'
+
+// How many packages we work out the files of at once, and how many files of a
+// package we look at at once
+const PACKAGE_CONCURRENCY = 4
+const FILE_CONCURRENCY = 8
+
+// Package names in the bucket are found through their manifests
+const MANIFEST_KEY = /^(@[^/]+\/[^/]+|[^@/][^/]*)\/index\.json$/
+
+const CONTENT_TYPES = {
+  packument: 'application/json',
+  abbreviated: 'application/vnd.npm.install-v1+json',
+  version: 'application/json',
+  tag: 'application/json'
+}
+
+// The package level manifests are only loaded once everything they list has
+// been, so nobody sees a version they can't install
+const LAST = [ 'packument', 'abbreviated' ]
+
+// listScope calls back with the name of every package of a scope that is on
+// the mirror
+function listScope (bucket, scope, cb) {
+  bucket.list(scope + '/', (e, keys) => {
+    if (e) {
+      return cb(e)
+    }
+    const names = new Set()
+    keys.forEach((key) => {
+      const match = MANIFEST_KEY.exec(key)
+      if (match) {
+        names.add(match[1])
+      }
+    })
+    cb(null, Array.from(names).sort())
+  })
+}
+
+// readBundle calls back with the bundle.json of a bundle, without reading the
+// rest of it
+function readBundle (archive, cb) {
+  // We stop reading as soon as we have bundle.json, which the pipe reports as
+  // an error. Only the first result counts.
+  let finished = false
+  const callback = (e, bundle) => {
+    if (!finished) {
+      finished = true
+      cb(e, bundle)
+    }
+  }
+  const extract = tar.extract()
+  extract.on('entry', (header, stream) => {
+    if (header.name !== BUNDLE_JSON) {
+      callback(new Error(archive + ' is not a bundle'))
+      return extract.destroy()
+    }
+    stream.pipe(miss.concat((bits) => {
+      let bundle
+      try {
+        bundle = parseBundle(bits)
+      } catch (e) {
+        callback(e)
+        return extract.destroy()
+      }
+      callback(null, bundle)
+      extract.destroy()
+    }))
+  })
+  miss.pipe(fs.createReadStream(archive), zlib.createGunzip(), extract, (e) => {
+    if (e) {
+      return callback(e)
+    }
+    callback(new Error(archive + ' is not a bundle'))
+  })
+}
+
+function parseBundle (bits) {
+  const bundle = JSON.parse(String(bits))
+  if (!bundle || bundle.format !== FORMAT || !Array.isArray(bundle.files)) {
+    throw new Error('unsupported bundle format ' + JSON.stringify(bundle && bundle.format))
+  }
+  return bundle
+}
+
+// exportBundle writes the given packages to a bundle at archive. The options
+// are:
+//   opts.bucket     The mirror's bucket
+//   opts.log        Where to log progress
+//   opts.mirrorUrl  The url the mirror is served from, which is where the
+//                   manifests say the tarballs are
+//   opts.since      The bundle.json of the previous bundle, to only export
+//                   what has changed since (optional)
+// Calls back with a report of what was exported, including the packages that
+// couldn't be. A package is only exported once everything its manifests list
+// is on the mirror.
+function exportBundle (opts, names, archive, cb) {
+  const callback = once(cb)
+  const previous = {}
+  if (opts.since) {
+    Object.assign(previous, opts.since.unchanged)
+    opts.since.files.forEach((file) => { previous[file.key] = file.integrity })
+  }
+  const unchanged = {}
+  const report = {
+    packages: 0,
+    files: 0,
+    bytes: 0,
+    unchanged: 0,
+    failed: 0,
+    failures: []
+  }
+
+  mapLimit(names, PACKAGE_CONCURRENCY, (name, cb2) => {
+    packageFiles(opts, name, (e, files) => {
+      if (e) {
+        report.failed++
+        report.failures.push({ package: name, error: e.message })
+        opts.log.error({ err: e, package: name }, 'failed to export package')
+        return cb2(null, [])
+      }
+      const changed = files.filter((file) => {
+        if (previous[file.key] !== file.integrity) {
+          return true
+        }
+        unchanged[file.key] = file.integrity
+        report.unchanged++
+        return false
+      })
+      cb2(null, changed)
+    })
+  }, (_, lists) => {
+    const files = [].concat.apply([], lists)
+    const packages = Array.from(new Set(files.map((file) => file.package))).sort()
+    report.packages = packages.length
+    report.files = files.length
+    report.bytes = files.reduce((bytes, file) => bytes + file.size, 0)
+    const bundle = {
+      format: FORMAT,
+      createdAt: new Date().toISOString(),
+      since: opts.since ? opts.since.createdAt : null,
+      mirrorUrl: opts.mirrorUrl,
+      packages,
+      files,
+      unchanged
+    }
+
+    // The bundle is written next to where it belongs and moved into place once
+    // it is complete, so a failed export never leaves half a bundle behind
+    const tmp = archive + '.tmp'
+    const pack = tar.pack()
+    miss.pipe(pack, zlib.createGzip(), fs.createWriteStream(tmp), (e) => {
+      if (e) {
+        return fs.unlink(tmp, () => callback(e))
+      }
+      fs.rename(tmp, archive, (e) => callback(e, report))
+    })
+    pack.entry({ name: BUNDLE_JSON }, JSON.stringify(bundle, null, '  '))
+    eachSeries(files, (file, cb2) => {
+      // Both the entry and the pipe into it report errors, only the first one
+      // counts
+      let finished = false
+      const next = (e) => {
+        if (!finished) {
+          finished = true
+          cb2(e)
+        }
+      }
+      const entry = pack.entry({ name: file.path, size: file.size }, next)
+      // The object may have changed since we looked at it, in which case the
+      // bundle would be wrong
+      miss.pipe(
+        opts.bucket.createReadStream(file.key),
+        check(file),
+        entry,
+        (e) => {
+          if (e) {
+            next(e)
+          }
+        })
+    }, (e) => {
+      if (e) {
+        opts.log.error({ err: e }, 'failed to write bundle')
+        return pack.destroy(e)
+      }
+      pack.finalize()
+    })
+  })
+}
+
+// packageFiles works out the files of a package we export: its package level
+// manifests, the manifest of every version and dist-tag they list, and the
+// tarball of every version
+function packageFiles (opts, name, cb) {
+  readObject(opts.bucket, path.join(name, 'index.json'), (e, bits) => {
+    if (e) {
+      return cb(e.code === 404 ? new Error('not on the mirror') : e)
+    }
+    let packument
+    try {
+      packument = JSON.parse(String(bits))
+    } catch (e) {
+      return cb(e)
+    }
+    const files = [ manifestFile(name, 'packument', path.join(name, 'index.json'), bits) ]
+    const versions = Object.keys(packument.versions || {})
+    const tags = Object.keys(packument['dist-tags'] || {})
+
+    const tasks = [
+      (cb2) => manifest(opts, name, 'abbreviated', path.join(name, 'corgi.json'), cb2)
+    ].concat(versions.map((version) => (cb2) => {
+      const key = path.join(name, version, 'index.json')
+      manifest(opts, name, 'version', key, (e, file) => {
+        if (e) {
+          return cb2(e)
+        }
+        file.version = version
+        tarball(opts, name, version, packument.versions[version], (e, tarball) => {
+          cb2(e, [ file, tarball ])
+        })
+      })
+    })).concat(tags.map((tag) => (cb2) => {
+      // Tags only have a manifest once the version they point at has been
+      // mirrored
+      manifest(opts, name, 'tag', path.join(name, tag, 'index.json'), (e, file) => {
+        cb2(e && e.code !== 404 ? e : null, e ? [] : file)
+      })
+    }))
+
+    mapLimit(tasks, FILE_CONCURRENCY, (task, cb2) => task(cb2), (e, found) => {
+      if (e) {
+        return cb(e)
+      }
+      cb(null, files.concat.apply(files, found))
+    })
+  })
+}
+
+// manifest reads one of a package's manifests, calling back with its file
+function manifest (opts, name, kind, key, cb) {
+  readObject(opts.bucket, key, (e, bits) => {
+    if (e) {
+      if (e.code === 404 && kind !== 'tag') {
+        e = new Error(key + ' is not on the mirror')
+      }
+      return cb(e)
+    }
+    cb(null, manifestFile(name, kind, key, bits))
+  })
+}
+
+function manifestFile (name, kind, key, bits) {
+  return {
+    kind,
+    package: name,
+    key,
+    path: objectPath(key),
+    size: bits.length,
+    contentType: CONTENT_TYPES[kind],
+    integrity: 'sha512-' + crypto.createHash('sha512').update(bits).digest('base64')
+  }
+}
+
+// tarball calls back with the file of a version's tarball, as long as the
+// tarballs Cloud Function has verified it against the version's dist
+function tarball (opts, name, version, manifest, cb) {
+  const dist = (manifest && manifest.dist) || {}
+  const key = tarballPath(opts.mirrorUrl, dist.tarball)
+  if (!key || !dist.shasum) {
+    return cb(new Error(name + '@' + version + ' has no tarball'))
+  }
+  opts.bucket.getMetadata(key, (e, metadata) => {
+    if (e) {
+      return cb(e.code === 404 ? new Error(key + ' is not on the mirror') : e)
+    }
+    const recorded = metadata.metadata || {}
+    if (recorded.shasum !== dist.shasum ||
+        (dist.integrity && recorded.integrity !== dist.integrity)) {
+      return cb(new Error(key + ' has not been verified'))
+    }
+    const file = {
+      kind: 'tarball',
+      package: name,
+      version,
+      key,
+      path: objectPath(key),
+      size: metadata.size,
+      contentType: metadata.contentType || 'application/gzip',
+      metadata: { shasum: recorded.shasum },
+      integrity: recorded.integrity ||
+        'sha1-' + Buffer.from(recorded.shasum, 'hex').toString('base64')
+    }
+    if (recorded.integrity) {
+      file.metadata.integrity = recorded.integrity
+    }
+    cb(null, file)
+  })
+}
+
+// importBundle verifies a bundle and loads it into a bucket. The options are:
+//   opts.bucket     The bucket to load the bundle into
+//   opts.log        Where to log progress
+//   opts.mirrorUrl  The url the bucket is served from, the tarball urls of the
+//                   manifests are rewritten to point at it
+//   opts.dryRun     Only verify the bundle
+// Every file is verified against the bundle's checksums, and every tarball
+// against the hashes in its version's manifest. A package is only loaded if
+// all of its files verify and everything its manifests list is either in the
+// bundle or already in the bucket. Calls back with a report of what was
+// loaded, including the packages that weren't.
+function importBundle (opts, archive, cb) {
+  const callback = once(cb)
+  fs.mkdtemp(path.join(os.tmpdir(), 'frea-bundle-'), (e, staging) => {
+    if (e) {
+      return callback(e)
+    }
+    const done = (e, report) => removeDirectory(staging, () => callback(e, report))
+    extract(archive, staging, (e, bundle, staged) => {
+      if (e) {
+        return done(e)
+      }
+      load(opts, bundle, staged, done)
+    })
+  })
+}
+
+// extract verifies every file of a bundle against its checksum and stages it
+// in a directory, calling back with the bundle.json and where every file is
+// staged along with its hashes
+function extract (archive, staging, cb) {
+  const callback = once(cb)
+  let bundle = null
+  const files = {}
+  const staged = {}
+  const extract = tar.extract()
+
+  extract.on('entry', (header, stream, next) => {
+    if (!bundle) {
+      if (header.name !== BUNDLE_JSON) {
+        return next(new Error(archive + ' is not a bundle'))
+      }
+      return stream.pipe(miss.concat((bits) => {
+        try {
+          bundle = parseBundle(bits)
+        } catch (e) {
+          return next(e)
+        }
+        bundle.files.forEach((file) => { files[file.path] = file })
+        next()
+      }))
+    }
+    const file = files[header.name]
+    if (!file || staged[header.name]) {
+      return next(new Error('unexpected file in bundle: ' + header.name))
+    }
+    const filename = path.join(staging, String(Object.keys(staged).length))
+    const hashers = {}
+    ALGORITHMS.forEach((algorithm) => {
+      hashers[algorithm] = crypto.createHash(algorithm)
+    })
+    let size = 0
+    miss.pipe(
+      stream,
+      miss.through((chunk, enc, cb2) => {
+        size += chunk.length
+        ALGORITHMS.forEach((algorithm) => hashers[algorithm].update(chunk))
+        cb2(null, chunk)
+      }),
+      fs.createWriteStream(filename),
+      (e) => {
+        if (e) {
+          return next(e)
+        }
+        const hashes = {}
+        ALGORITHMS.forEach((algorithm) => {
+          hashes[algorithm] = hashers[algorithm].digest('hex')
+        })
+        if (size !== file.size ||
+            !verify(parseIntegrity(null, file.integrity), hashes).valid) {
+          return next(new Error(file.key + ' does not match its checksum'))
+        }
+        staged[header.name] = { file, filename, hashes }
+        next()
+      })
+  })
+
+  miss.pipe(fs.createReadStream(archive), zlib.createGunzip(), extract, (e) => {
+    if (e) {
+      return callback(e)
+    }
+    if (!bundle) {
+      return callback(new Error(archive + ' is not a bundle'))
+    }
+    const missing = bundle.files.filter((file) => !staged[file.path])
+    if (missing.length > 0) {
+      return callback(new Error('bundle is missing ' + missing[0].key +
+        (missing.length > 1 ? ' and ' + (missing.length - 1) + ' more files' : '')))
+    }
+    callback(null, bundle, staged)
+  })
+}
+
+// load loads every package of a bundle whose files check out into the bucket
+function load (opts, bundle, staged, cb) {
+  const report = {
+    packages: 0,
+    files: 0,
+    rejected: 0,
+    failures: []
+  }
+  const byPackage = {}
+  Object.keys(staged).forEach((key) => {
+    const entry = staged[key]
+    byPackage[entry.file.package] = byPackage[entry.file.package] || []
+    byPackage[entry.file.package].push(entry)
+  })
+
+  eachLimit(Object.keys(byPackage).sort(), PACKAGE_CONCURRENCY, (name, cb2) => {
+    const entries = byPackage[name]
+    const reject = (e) => {
+      report.rejected++
+      report.failures.push({ package: name, error: e.message })
+      opts.log.error({ err: e, package: name }, 'rejected package')
+      cb2()
+    }
+    checkPackage(opts, bundle, entries, (e) => {
+      if (e) {
+        return reject(e)
+      }
+      if (opts.dryRun) {
+        report.packages++
+        report.files += entries.length
+        return cb2()
+      }
+      const first = entries.filter((entry) => LAST.indexOf(entry.file.kind) === -1)
+      const last = entries.filter((entry) => LAST.indexOf(entry.file.kind) !== -1)
+      eachSeries([ first, last ], (group, cb3) => {
+        eachLimit(group, FILE_CONCURRENCY, (entry, cb4) => {
+          upload(opts, bundle, entry, cb4)
+        }, cb3)
+      }, (e) => {
+        if (e) {
+          return reject(e)
+        }
+        report.packages++
+        report.files += entries.length
+        opts.log.info({ package: name, files: entries.length }, 'loaded')
+        cb2()
+      })
+    })
+  }, () => cb(null, report))
+}
+
+// checkPackage verifies a package's tarballs against its manifests, and that
+// everything its package level manifest lists is either in the bundle or
+// already in the bucket
+function checkPackage (opts, bundle, entries, cb) {
+  const inBundle = {}
+  entries.forEach((entry) => { inBundle[entry.file.key] = entry })
+  const parse = (entry) => entry && JSON.parse(fs.readFileSync(entry.filename, 'utf8'))
+
+  let packument
+  const versions = {}
+  try {
+    packument = parse(entries.find((entry) => entry.file.kind === 'packument'))
+    entries.filter((entry) => entry.file.kind === 'version').forEach((entry) => {
+      versions[entry.file.version] = parse(entry)
+    })
+  } catch (e) {
+    return cb(e)
+  }
+
+  // Tarballs must match the hashes npm published for their version
+  const invalid = entries.filter((entry) => entry.file.kind === 'tarball')
+    .find((entry) => {
+      const manifest = versions[entry.file.version] ||
+        (packument && (packument.versions || {})[entry.file.version])
+      const dist = (manifest && manifest.dist) || {}
+      const expected = parseIntegrity(dist.shasum, dist.integrity)
+      return !verify(expected, entry.hashes).valid
+    })
+  if (invalid) {
+    return cb(new Error(invalid.file.key + ' does not match its manifest'))
+  }
+
+  if (!packument) {
+    return cb()
+  }
+  const needed = []
+  Object.keys(packument.versions || {}).forEach((version) => {
+    const dist = packument.versions[version].dist || {}
+    needed.push(path.join(packument.name, version, 'index.json'))
+    needed.push(tarballPath(bundle.mirrorUrl, dist.tarball))
+  })
+  eachLimit(needed, FILE_CONCURRENCY, (key, cb2) => {
+    if (inBundle[key]) {
+      return cb2()
+    }
+    opts.bucket.exists(key, (e, exists) => {
+      if (e) {
+        return cb2(e)
+      }
+      cb2(exists ? null : new Error(key + ' is neither in the bundle nor ' +
+        'loaded yet, import the bundle it was exported in first'))
+    })
+  }, cb)
+}
+
+// upload loads a staged file into the bucket. The manifests of a bundle from a
+// mirror served from somewhere else have their tarball urls rewritten on the
+// way.
+function upload (opts, bundle, entry, cb) {
+  const file = entry.file
+  const rewrite = file.kind !== 'tarball' && bundle.mirrorUrl !== opts.mirrorUrl
+  const source = rewrite
+    ? miss.from([ rewriteManifest(file.kind, fs.readFileSync(entry.filename, 'utf8'),
+      bundle.mirrorUrl, opts.mirrorUrl) ])
+    : fs.createReadStream(entry.filename)
+  miss.pipe(source, opts.bucket.createWriteStream(file.key, {
+    contentType: file.contentType,
+    metadata: file.metadata,
+    public: true
+  }), cb)
+}
+
+// rewriteManifest points the tarball urls of a manifest at another mirror,
+// formatting it the way the packages Cloud Function does
+function rewriteManifest (kind, contents, from, to) {
+  const manifest = JSON.parse(contents)
+  const rewrite = (version) => {
+    const dist = version && version.dist
+    if (dist && typeof dist.tarball === 'string' && dist.tarball.indexOf(from) === 0) {
+      dist.tarball = to + dist.tarball.slice(from.length)
+    }
+  }
+  Object.keys(manifest.versions || {}).forEach((v) => rewrite(manifest.versions[v]))
+  rewrite(manifest)
+  return kind === 'abbreviated'
+    ? JSON.stringify(manifest)
+    : JSON.stringify(manifest, null, '    ')
+}
+
+// check passes a file's contents through, failing if they don't match its
+// checksum
+function check (file) {
+  const expected = parseIntegrity(null, file.integrity)
+  const hashers = {}
+  Object.keys(expected).forEach((algorithm) => {
+    hashers[algorithm] = crypto.createHash(algorithm)
+  })
+  return miss.through((chunk, enc, cb) => {
+    Object.keys(hashers).forEach((algorithm) => hashers[algorithm].update(chunk))
+    cb(null, chunk)
+  }, (cb) => {
+    const hashes = {}
+    Object.keys(hashers).forEach((algorithm) => {
+      hashes[algorithm] = hashers[algorithm].digest('hex')
+    })
+    if (!verify(expected, hashes).valid) {
+      return cb(new Error(file.key + ' changed while it was being exported'))
+    }
+    cb()
+  })
+}
+
+// readObject reads a whole object out of a bucket
+function readObject (bucket, key, cb) {
+  const callback = once(cb)
+  let bits
+  miss.pipe(bucket.createReadStream(key), miss.concat((b) => { bits = b }), (e) => {
+    if (e) {
+      return callback(e)
+    }
+    callback(null, bits || Buffer.alloc(0))
+  })
+}
+
+// tarballPath turns the url of a tarball on the mirror into its key, the same
+// way the packages Cloud Function does
+function tarballPath (mirrorUrl, tarball) {
+  if (typeof tarball !== 'string' || tarball.indexOf(mirrorUrl) !== 0) {
+    return null
+  }
+  return tarball.slice(mirrorUrl.length)
+}
+
+// objectPath is where an object goes in the bundle. Keys may start with a
+// slash, paths in a tarball shouldn't.
+function objectPath (key) {
+  return OBJECTS + String(key).replace(/^\/+/, '')
+}
+
+// removeDirectory removes the staging directory, which only holds files
+function removeDirectory (directory, cb) {
+  fs.readdir(directory, (e, entries) => {
+    if (e) {
+      return cb()
+    }
+    eachLimit(entries, FILE_CONCURRENCY, (entry, cb2) => {
+      fs.unlink(path.join(directory, entry), () => cb2())
+    }, () => fs.rmdir(directory, () => cb()))
+  })
+}
+
+module.exports = { exportBundle, importBundle, listScope, readBundle }
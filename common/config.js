@@ -0,0 +1,361 @@
+'use strict'
+
+const fs = require('fs')
+const url = require('url')
+
+// The configuration shared by the follower, the Cloud Functions, and the
+// server. Every setting has a default that matches the production mirror, and
+// can be overridden by a JSON config file or an environment variable, with the
+// environment winning over the file. The config file is found through the
+// FREA_CONFIG environment variable and uses the same (nested) keys as the
+// settings below, e.g.:
+//
+//   {
+//     "storage": { "bucket": "freajs-staging" },
+//     "topics": { "packages": "staging-packages" }
+//   }
+//
+// The configuration is validated as soon as it is loaded. Anything invalid
+// throws a single error describing every problem, so a misconfigured mirror
+// fails on startup rather than halfway through mirroring a package.
+
+const SETTINGS = [
+  // Where the mirror is stored, see ./storage for the backends
+  { key: 'storage.backend', env: 'STORAGE_BACKEND', default: 'gcs', type: 'enum', values: [ 'gcs', 'local', 's3' ] },
+  { key: 'storage.bucket', env: 'STORAGE_BUCKET', default: 'freajs', type: 'string' },
+  { key: 'storage.directory', env: 'STORAGE_DIRECTORY', type: 'string' },
+  { key: 'storage.endpoint', env: 'S3_ENDPOINT', type: 'url' },
+  { key: 'storage.region', env: 'S3_REGION', type: 'string' },
+  { key: 'storage.accessKeyId', env: 'S3_ACCESS_KEY_ID', type: 'string' },
+  { key: 'storage.secretAccessKey', env: 'S3_SECRET_ACCESS_KEY', type: 'string' },
+
+  // The Pub/Sub topics the pipeline hands work over with
+  { key: 'topics.packages', env: 'TOPIC_PACKAGES', default: 'packages', type: 'string' },
+  { key: 'topics.tarballs', env: 'TOPIC_TARBALLS', default: 'tarballs', type: 'string' },
+  { key: 'topics.retry', env: 'TOPIC_RETRY', default: 'retry', type: 'string' },
+  { key: 'topics.retryTick', env: 'TOPIC_RETRY_TICK', default: 'retry-tick', type: 'string' },
+  { key: 'topics.quarantineTick', env: 'TOPIC_QUARANTINE_TICK', default: 'quarantine-tick', type: 'string' },
+  // Where the pipeline announces what it has mirrored, see ./events.js.
+  // Without it nothing is announced.
+  { key: 'topics.events', env: 'TOPIC_EVENTS', type: 'string' },
+  // Where the retry Cloud Function replays webhook deliveries that failed
+  { key: 'topics.webhooks', env: 'TOPIC_WEBHOOKS', default: 'webhooks', type: 'string' },
+
+  // The webhooks Cloud Function delivers every event to url, signed with
+  // secret (see webhooks/index.js). Every delivery gets attempts tries, each
+  // taking at most timeoutMs, before it is handed over to the retry queue.
+  { key: 'webhooks.url', env: 'WEBHOOKS_URL', type: 'url' },
+  { key: 'webhooks.secret', env: 'WEBHOOKS_SECRET', type: 'string' },
+  { key: 'webhooks.timeoutMs', env: 'WEBHOOKS_TIMEOUT_MS', default: 10000, type: 'integer' },
+  { key: 'webhooks.attempts', env: 'WEBHOOKS_ATTEMPTS', default: 3, type: 'integer' },
+
+  // Where the retry Cloud Function keeps its queue and dead-letter store in
+  // Cloud Firestore
+  { key: 'retry.queue', env: 'RETRY_QUEUE', default: 'retries', type: 'string' },
+  { key: 'retry.deadletter', env: 'RETRY_DEADLETTER', default: 'deadletter', type: 'string' },
+
+  // Where the packages and tarballs Cloud Functions track which versions of
+  // every package are fully mirrored in Cloud Firestore, see ./state.js
+  { key: 'state.collection', env: 'STATE_COLLECTION', default: 'mirrored', type: 'string' },
+
+  // The registry we mirror. changes is where the follower gets changes from,
+  // registry is where packuments are fetched from. source is how the follower
+  // gets changes (see follower/sources): by following changes as a CouchDB
+  // _changes feed, by polling changes a page at a time, or by replaying the
+  // changes in file.
+  { key: 'upstream.changes', env: 'UPSTREAM_CHANGES', default: 'https://replicate.npmjs.com/registry', type: 'url' },
+  { key: 'upstream.registry', env: 'UPSTREAM_REGISTRY', default: 'https://registry.npmjs.com', type: 'url' },
+  { key: 'upstream.source', env: 'UPSTREAM_SOURCE', default: 'couchdb', type: 'enum', values: [ 'couchdb', 'http', 'file' ] },
+  { key: 'upstream.file', env: 'UPSTREAM_FILE', type: 'string' },
+  // The packages of some scopes can come from registries other than the one
+  // above, see ./upstreams.js for the routes file. Without one, every package
+  // comes from the registry above.
+  { key: 'upstream.routes', env: 'UPSTREAM_ROUTES', type: 'string' },
+
+  // Which packages are mirrored, see ./filter.js for the policy file. Without
+  // a policy every package is mirrored.
+  { key: 'filter.policy', env: 'FILTER_POLICY', type: 'string' },
+
+  // How long newly published versions are held back before the mirror exposes
+  // them, see ./quarantine.js for the policy file. Without a policy nothing is
+  // held back.
+  { key: 'quarantine.policy', env: 'QUARANTINE_POLICY', type: 'string' },
+
+  // How much the follower, the read server and the Cloud Functions log
+  { key: 'logLevel', env: 'LOG_LEVEL', default: 'info', type: 'enum', values: [ 'trace', 'debug', 'info', 'warn', 'error', 'fatal' ] },
+
+  // How the follower reports its metrics, see ./metrics.js. The Cloud
+  // Functions always write theirs to the log.
+  { key: 'metrics.sink', env: 'METRICS_SINK', default: 'log', type: 'enum', values: [ 'log', 'prometheus' ] },
+  { key: 'metrics.port', env: 'METRICS_PORT', default: 9464, type: 'integer' },
+  { key: 'metrics.intervalMs', env: 'METRICS_INTERVAL_MS', default: 60000, type: 'integer' },
+
+  // The follower. checkpoint is where the follower of npm checkpoints, the
+  // followers of other upstreams checkpoint where their route says.
+  { key: 'follower.checkpoint', env: 'FOLLOWER_CHECKPOINT', default: 'follower/replicate.npmjs.com', type: 'document' },
+  // Which upstream the follower follows the changes of, see ./upstreams.js.
+  // Every upstream with a changes feed needs a follower of its own.
+  { key: 'follower.upstream', env: 'FOLLOWER_UPSTREAM', default: 'npm', type: 'string' },
+  { key: 'follower.rateLimit', env: 'FOLLOWER_RATE_LIMIT', default: 12, type: 'integer' },
+  { key: 'follower.rateIntervalMs', env: 'FOLLOWER_RATE_INTERVAL_MS', default: 1000, type: 'integer' },
+  { key: 'follower.inactivityMs', env: 'FOLLOWER_INACTIVITY_MS', default: 3600000, type: 'integer' },
+  // How many changes the follower asks for at a time when polling, and how
+  // long it waits to look for more once it has caught up
+  { key: 'follower.pageSize', env: 'FOLLOWER_PAGE_SIZE', default: 1000, type: 'integer' },
+  { key: 'follower.pollIntervalMs', env: 'FOLLOWER_POLL_INTERVAL_MS', default: 10000, type: 'integer' },
+  // A file the follower appends every change it follows to, in the format the
+  // file source replays
+  { key: 'follower.record', env: 'FOLLOWER_RECORD', type: 'string' },
+  // The follower's health and admin endpoint. The follower is considered
+  // stalled when no change has arrived for staleMs. Without a token, the
+  // endpoint only listens on 127.0.0.1, since anyone who can reach it can pause
+  // and rewind the follower. The port is not the read server's, so both can
+  // run on the same machine.
+  { key: 'follower.adminPort', env: 'FOLLOWER_ADMIN_PORT', default: 8081, type: 'integer' },
+  { key: 'follower.adminToken', env: 'FOLLOWER_ADMIN_TOKEN', type: 'string' },
+  { key: 'follower.staleMs', env: 'FOLLOWER_STALE_MS', default: 300000, type: 'integer' },
+
+  // The read server, see server/index.js. PORT is what Cloud Run and most
+  // other container platforms tell a server to listen on.
+  { key: 'server.port', env: 'PORT', default: 8080, type: 'integer' },
+
+  // The packages Cloud Function. mirrorUrl defaults to where Google Cloud
+  // Storage serves storage.bucket from.
+  { key: 'mirrorUrl', env: 'MIRROR_URL', type: 'url' },
+  { key: 'unpublishPolicy', env: 'UNPUBLISH_POLICY', default: 'delete', type: 'enum', values: [ 'delete', 'retain' ] },
+  // Packages with more versions than chunkSize are split into chunks that are
+  // mirrored by separate invocations, so they finish within the timeout.
+  // concurrency bounds how many uploads and publishes an invocation has in
+  // flight at once.
+  { key: 'packages.chunkSize', env: 'PACKAGES_CHUNK_SIZE', default: 250, type: 'integer' },
+  { key: 'packages.concurrency', env: 'PACKAGES_CONCURRENCY', default: 16, type: 'integer' },
+
+  // The tarballs Cloud Function unpacks every tarball it mirrors and checks
+  // what is in it, see tarballs/contents.js. enforce refuses to mirror a
+  // tarball that fails a check, warn mirrors it anyway and only reports it,
+  // off doesn't check.
+  { key: 'tarballs.contents', env: 'TARBALLS_CONTENTS', default: 'enforce', type: 'enum', values: [ 'enforce', 'warn', 'off' ] },
+  { key: 'tarballs.maxUnpackedBytes', env: 'TARBALLS_MAX_UNPACKED_BYTES', default: 1073741824, type: 'integer' },
+  { key: 'tarballs.maxFiles', env: 'TARBALLS_MAX_FILES', default: 100000, type: 'integer' },
+  // How tarballs are downloaded, see tarballs/download.js. The idle timeout
+  // also covers the bucket pushing back on the download, so it shouldn't be
+  // too tight. Tarballs bigger than maxBytes are never mirrored.
+  { key: 'tarballs.connectTimeoutMs', env: 'TARBALLS_CONNECT_TIMEOUT_MS', default: 10000, type: 'integer' },
+  { key: 'tarballs.idleTimeoutMs', env: 'TARBALLS_IDLE_TIMEOUT_MS', default: 30000, type: 'integer' },
+  { key: 'tarballs.downloadAttempts', env: 'TARBALLS_DOWNLOAD_ATTEMPTS', default: 3, type: 'integer' },
+  { key: 'tarballs.maxBytes', env: 'TARBALLS_MAX_BYTES', default: 268435456, type: 'integer' },
+
+  // How the Cloud Functions are deployed. The prefix is prepended to the name
+  // of every function so a staging mirror can be deployed alongside
+  // production.
+  { key: 'functions.prefix', env: 'FUNCTION_PREFIX', default: '', type: 'string', empty: true },
+  { key: 'functions.packagesTimeout', env: 'PACKAGES_TIMEOUT', default: 240, type: 'integer' },
+  { key: 'functions.tarballsTimeout', env: 'TARBALLS_TIMEOUT', default: 240, type: 'integer' },
+  { key: 'functions.retryTimeout', env: 'RETRY_TIMEOUT', default: 60, type: 'integer' },
+  { key: 'functions.retryTickTimeout', env: 'RETRY_TICK_TIMEOUT', default: 240, type: 'integer' },
+  { key: 'functions.quarantineTickTimeout', env: 'QUARANTINE_TICK_TIMEOUT', default: 60, type: 'integer' },
+  { key: 'functions.webhooksTimeout', env: 'WEBHOOKS_TIMEOUT', default: 120, type: 'integer' }
+]
+
+// Validators return an error message, or nothing if the value is valid. They
+// receive values from the environment as strings and from the config file as
+// whatever JSON type they were written as.
+const TYPES = {
+  string: (value, setting) => {
+    if (typeof value !== 'string' || (value === '' && !setting.empty)) {
+      return 'must be a non-empty string'
+    }
+  },
+  enum: (value, setting) => {
+    if (setting.values.indexOf(value) === -1) {
+      return 'must be one of ' + setting.values.join(', ')
+    }
+  },
+  integer: (value) => {
+    if (!/^[0-9]+$/.test(String(value)) || Number(value) <= 0) {
+      return 'must be a positive integer'
+    }
+  },
+  url: (value) => {
+    const parsed = url.parse(String(value))
+    if (!parsed.protocol || !parsed.host) {
+      return 'must be an absolute url'
+    }
+  },
+  document: (value) => {
+    const segments = String(value).split('/')
+    if (segments.length % 2 !== 0 || segments.some((segment) => !segment)) {
+      return 'must be a Cloud Firestore document path (collection/document)'
+    }
+  }
+}
+
+// Integers arrive from the environment as strings
+const PARSERS = {
+  integer: Number
+}
+
+function get (object, key) {
+  return key.split('.').reduce((value, part) => {
+    return value === undefined || value === null ? undefined : value[part]
+  }, object)
+}
+
+function set (object, key, value) {
+  const parts = key.split('.')
+  const last = parts.pop()
+  parts.reduce((value, part) => {
+    value[part] = value[part] || {}
+    return value[part]
+  }, object)[last] = value
+}
+
+// flatten lists every leaf key in a config file, so we can catch typos
+function flatten (object, prefix) {
+  return Object.keys(object).reduce((keys, key) => {
+    const value = object[key]
+    const path = prefix ? prefix + '.' + key : key
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return keys.concat(flatten(value, path))
+    }
+    return keys.concat(path)
+  }, [])
+}
+
+// readFile reads the config file, if there is one
+function readFile (filename, problems) {
+  if (!filename) {
+    return {}
+  }
+  let file
+  try {
+    file = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    problems.push('unable to read config file ' + filename + ': ' + e.message)
+    return {}
+  }
+  const known = SETTINGS.map((setting) => setting.key)
+  flatten(file, '').forEach((key) => {
+    if (known.indexOf(key) === -1) {
+      problems.push('unknown setting ' + key + ' in ' + filename)
+    }
+  })
+  return file
+}
+
+// load reads, validates, and returns the configuration. The result is frozen
+// so nothing can change it at runtime.
+function load (env) {
+  env = env || process.env
+  const problems = []
+  const file = readFile(env.FREA_CONFIG, problems)
+  const config = {}
+
+  SETTINGS.forEach((setting) => {
+    let value = setting.default
+    let source = 'default'
+    if (get(file, setting.key) !== undefined) {
+      value = get(file, setting.key)
+      source = setting.key + ' in ' + env.FREA_CONFIG
+    }
+    if (env[setting.env] !== undefined) {
+      value = env[setting.env]
+      source = setting.env
+    }
+    // Settings without a value are still present (as undefined) so their
+    // section of the configuration always exists
+    if (value === undefined) {
+      return set(config, setting.key, undefined)
+    }
+    const problem = TYPES[setting.type](value, setting)
+    if (problem) {
+      problems.push(setting.key + ' (from ' + source + ') ' + problem +
+        ', got ' + JSON.stringify(value))
+      return
+    }
+    set(config, setting.key, PARSERS[setting.type]
+      ? PARSERS[setting.type](value)
+      : value)
+  })
+
+  // The local backend stores the bucket in a directory of the same name unless
+  // told otherwise
+  if (config.storage && !config.storage.directory) {
+    config.storage.directory = config.storage.bucket
+  }
+
+  // The mirror is served straight from its bucket unless told otherwise, so a
+  // mirror in another bucket doesn't point its manifests at production
+  if (config.storage.bucket && !config.mirrorUrl) {
+    config.mirrorUrl = 'https://storage.googleapis.com/' +
+      config.storage.bucket + '/'
+  }
+
+  if (config.upstream.source === 'file' && !config.upstream.file) {
+    problems.push('upstream.file is required when upstream.source is file')
+  }
+
+  // Webhooks are delivered from the events topic, and always signed
+  if (config.webhooks.url && !config.topics.events) {
+    problems.push('topics.events is required when webhooks.url is set')
+  }
+  if (config.webhooks.url && !config.webhooks.secret) {
+    problems.push('webhooks.secret is required when webhooks.url is set')
+  }
+
+  if (problems.length > 0) {
+    throw new Error('invalid configuration:\n  ' + problems.join('\n  '))
+  }
+  return deepFreeze(config)
+}
+
+function deepFreeze (object) {
+  Object.keys(object).forEach((key) => {
+    if (object[key] && typeof object[key] === 'object') {
+      deepFreeze(object[key])
+    }
+  })
+  return Object.freeze(object)
+}
+
+// toEnv turns a configuration back into environment variables. deploy.sh uses
+// this to hand the configuration it deployed with to the Cloud Functions.
+function toEnv (config) {
+  const env = {}
+  SETTINGS.forEach((setting) => {
+    const value = get(config, setting.key)
+    if (value !== undefined && value !== '') {
+      env[setting.env] = String(value)
+    }
+  })
+  return env
+}
+
+module.exports = { load, toEnv, SETTINGS }
+
+// When run directly, this prints the configuration for use in shell scripts:
+//   node config.js get <key>   Prints a single setting
+//   node config.js env         Prints every setting as a YAML file suitable
+//                              for gcloud's --env-vars-file
+if (require.main === module) {
+  const [ command, key ] = process.argv.slice(2)
+  let config
+  try {
+    config = load()
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  if (command === 'get' && key) {
+    const value = get(config, key)
+    console.log(value === undefined ? '' : value)
+  } else if (command === 'env') {
+    const env = toEnv(config)
+    Object.keys(env).forEach((name) => {
+      console.log(name + ': ' + JSON.stringify(env[name]))
+    })
+  } else {
+    console.error('usage: node config.js get <key> | env')
+    process.exit(1)
+  }
+}
@@ -0,0 +1,105 @@
+'use strict'
+
+// The pipeline announces what it has mirrored on an events topic, so systems
+// downstream of the mirror (CI caches, security scanners, ...) can react to it
+// instead of polling the bucket. Nothing is announced unless topics.events is
+// configured. Every event is published as JSON:
+//
+//   {
+//     "type": "version.mirrored",
+//     "time": "2019-06-01T12:00:00.000Z",
+//     "name": "left-pad",
+//     "version": "1.3.0",
+//     "upstream": "npm",
+//     "seq": 4242,
+//     "paths": {
+//       "packument": "left-pad/index.json",
+//       "abbreviated": "left-pad/corgi.json",
+//       "manifest": "left-pad/1.3.0/index.json",
+//       "tarball": "/left-pad/-/left-pad-1.3.0.tgz"
+//     },
+//     "shasum": "5b8a3a7765dfe001261dde915589e782f8c94d1e",
+//     "integrity": "sha512-..."
+//   }
+//
+// with the type and name as attributes of the message too, so subscriptions
+// can filter on them. The types of event are:
+//   version.mirrored  A version's manifest and tarball are mirrored, verified,
+//                     and listed by the package level manifests we serve
+//   version.removed   A version that is no longer on npm has been removed
+//   package.updated   The package level manifests we serve list other
+//                     versions or dist-tags than they did, e.g. because a
+//                     dist-tag moved. versions and dist-tags are what they
+//                     list now, paths are the package level manifests.
+//   package.removed   A package that is no longer on npm has been removed,
+//                     paths lists every file that went with it
+//   integrity.failed  A tarball didn't match its hashes, hashes holds what we
+//                     downloaded and failed which algorithms disagreed. It is
+//                     retried, and announced again every time it fails.
+//   content.failed    A tarball matched its hashes, but what is in it failed
+//                     a check (see tarballs/contents.js), reason says which.
+//                     Unless the checks only warn, it isn't mirrored.
+// seq is the seq of the upstream change that got the package mirrored, or
+// null if it was mirrored by seeding or reconciling rather than the follower.
+// Events are published at least once, consumers should expect to see the same
+// event more than once.
+
+const TYPES = [
+  'version.mirrored',
+  'version.removed',
+  'package.updated',
+  'package.removed',
+  'integrity.failed',
+  'content.failed'
+]
+
+// createEvents creates a publisher for the events topic, topic is the name of
+// the topic and pubsub the Pub/Sub client to publish with. Without a topic,
+// publishing does nothing.
+function createEvents (pubsub, topic) {
+  if (!topic) {
+    return {
+      enabled: false,
+      publish: (type, fields, cb) => setImmediate(cb)
+    }
+  }
+
+  const events = pubsub.topic(topic)
+  events.setPublishOptions({
+    // Dont batch messages! We want to flush to Pub/Sub immediately since this
+    // is a Cloud Function invocation
+    batching: {
+      maxMessages: 0
+    }
+  })
+
+  return {
+    enabled: true,
+    // publish publishes an event of the given type, fields are merged into it
+    publish (type, fields, cb) {
+      if (TYPES.indexOf(type) === -1) {
+        return setImmediate(() => cb(new Error('unknown event type: ' + type)))
+      }
+      const event = Object.assign({
+        type,
+        time: new Date().toISOString(),
+        seq: null
+      }, fields)
+      const attributes = { type, name: String(event.name) }
+      events.publish(Buffer.from(JSON.stringify(event)), attributes, (e) => cb(e))
+    }
+  }
+}
+
+// seqOf parses the seq attribute the follower attaches to its messages, which
+// isn't there when a package was published to the packages topic by anything
+// else
+function seqOf (attribute) {
+  if (attribute === undefined || attribute === null || attribute === '') {
+    return null
+  }
+  const seq = Number(attribute)
+  return isNaN(seq) ? String(attribute) : seq
+}
+
+module.exports = { createEvents, seqOf, TYPES }
@@ -0,0 +1,132 @@
+'use strict'
+
+const fs = require('fs')
+
+// A filter decides which packages the mirror carries. Without a policy file
+// the mirror carries everything. A policy file is JSON with two lists of
+// rules:
+//
+//   {
+//     "allow": [ "lodash", "@ourco/*", "babel-plugin-*" ],
+//     "deny": [ "@ourco/secret-*" ]
+//   }
+//
+// A rule is either an exact package name, or a glob where * matches any number
+// of characters and ? matches a single character. Neither matches the / of a
+// scoped name, so @ourco/* is every package in the @ourco scope and react-*
+// never matches a scoped package. When there is an allow list, a package has
+// to match it to be mirrored. A package matching the deny list is never
+// mirrored, even when it is also on the allow list.
+
+const LISTS = [ 'allow', 'deny' ]
+
+// compileRule turns a rule into a regular expression that matches whole
+// package names
+function compileRule (rule) {
+  const source = rule.split('').map((char) => {
+    if (char === '*') {
+      return '[^/]*'
+    }
+    if (char === '?') {
+      return '[^/]'
+    }
+    return char.replace(/[\\^$.|+()[\]{}]/g, '\\$&')
+  }).join('')
+  return { rule, regexp: new RegExp('^' + source + '$') }
+}
+
+// compile validates a policy and returns a function that checks a package name
+// against it
+function compile (policy) {
+  const problems = []
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('invalid filter policy: must be an object')
+  }
+  Object.keys(policy).forEach((key) => {
+    if (LISTS.indexOf(key) === -1) {
+      problems.push('unknown list ' + key)
+    }
+  })
+  const lists = {}
+  LISTS.forEach((list) => {
+    const rules = policy[list] || []
+    if (!Array.isArray(rules)) {
+      return problems.push(list + ' must be an array of rules')
+    }
+    rules.forEach((rule) => {
+      if (typeof rule !== 'string' || rule === '') {
+        problems.push(list + ' contains an invalid rule: ' + JSON.stringify(rule))
+      }
+    })
+    lists[list] = rules.filter((rule) => typeof rule === 'string' && rule)
+      .map(compileRule)
+  })
+  if (problems.length > 0) {
+    throw new Error('invalid filter policy:\n  ' + problems.join('\n  '))
+  }
+
+  const match = (rules, name) => rules.find((rule) => rule.regexp.test(name))
+  return (name) => {
+    const denied = match(lists.deny, name)
+    if (denied) {
+      return { allowed: false, reason: 'denied by ' + denied.rule }
+    }
+    if (lists.allow.length > 0 && !match(lists.allow, name)) {
+      return { allowed: false, reason: 'not on the allow list' }
+    }
+    return { allowed: true }
+  }
+}
+
+// read loads and compiles a policy file
+function read (filename) {
+  let policy
+  try {
+    policy = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    throw new Error('unable to read filter policy ' + filename + ': ' + e.message)
+  }
+  return compile(policy)
+}
+
+// createFilter loads the policy at filename (the filter.policy setting of the
+// configuration) and returns a filter:
+//   filter.check(name)  Returns { allowed, reason }, reason explains why a
+//                       package isn't allowed
+//   filter.reload()     Reads the policy file again. If the new policy is
+//                       invalid this throws and the old policy stays in place.
+//   filter.watch(cb)    Reloads the policy whenever the file changes, calling
+//                       cb(err) after every attempt. Returns a function that
+//                       stops watching.
+function createFilter (filename) {
+  let check = filename ? read(filename) : compile({})
+  const filter = {
+    check: (name) => check(String(name)),
+    reload () {
+      if (filename) {
+        check = read(filename)
+      }
+    },
+    watch (cb) {
+      if (!filename) {
+        return () => {}
+      }
+      const listener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+          return
+        }
+        try {
+          filter.reload()
+        } catch (e) {
+          return cb(e)
+        }
+        cb(null)
+      }
+      fs.watchFile(filename, { interval: 5000 }, listener)
+      return () => fs.unwatchFile(filename, listener)
+    }
+  }
+  return filter
+}
+
+module.exports = { createFilter, compileRule }
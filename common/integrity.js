@@ -0,0 +1,51 @@
+'use strict'
+
+// Verifying the bits of a tarball against the hashes npm published for it.
+// Packuments record two: dist.shasum, a hex encoded sha1, and dist.integrity,
+// a Subresource Integrity string which may contain several algorithms.
+
+// The hash algorithms we know how to verify, strongest first. When the hashes
+// we were given for a tarball disagree, the strongest algorithm wins.
+const ALGORITHMS = [ 'sha512', 'sha384', 'sha256', 'sha1' ]
+
+// parseIntegrity turns a tarball's shasum and Subresource Integrity string
+// into a map of algorithm to the list of hex encoded digests the tarball may
+// have. An SRI string is a space separated list of `<algorithm>-<base64>`
+// entries, each of which may be followed by `?<options>`. Algorithms we don't
+// support are ignored.
+function parseIntegrity (shasum, integrity) {
+  const expected = {}
+  const add = (algorithm, digest) => {
+    expected[algorithm] = expected[algorithm] || []
+    expected[algorithm].push(digest)
+  }
+  if (shasum) {
+    add('sha1', String(shasum).toLowerCase())
+  }
+  String(integrity || '').trim().split(/\s+/).forEach((entry) => {
+    const match = /^([a-z0-9]+)-([A-Za-z0-9+/=]+)(\?.*)?$/.exec(entry)
+    if (!match || ALGORITHMS.indexOf(match[1]) === -1) {
+      return
+    }
+    add(match[1], Buffer.from(match[2], 'base64').toString('hex'))
+  })
+  return expected
+}
+
+// verify compares the hashes we computed against the ones we expected. Every
+// algorithm is checked, but only the strongest one decides whether the tarball
+// is valid: if sha512 matches and sha1 doesn't, we trust sha512. The result
+// includes the deciding algorithm and every algorithm that failed so they can
+// be logged.
+function verify (expected, hashes) {
+  const failed = Object.keys(expected).filter(
+    (algorithm) => expected[algorithm].indexOf(hashes[algorithm]) === -1)
+  const algorithm = ALGORITHMS.find((algorithm) => expected[algorithm])
+  return {
+    valid: algorithm !== undefined && failed.indexOf(algorithm) === -1,
+    algorithm,
+    failed
+  }
+}
+
+module.exports = { ALGORITHMS, parseIntegrity, verify }
@@ -0,0 +1,209 @@
+'use strict'
+
+const http = require('http')
+
+// Metrics are counted in memory and reported through a sink. There are two
+// sinks:
+//   prometheus: Serves the metrics in the Prometheus text format at /metrics
+//               on options.port, for components that live long enough to be
+//               scraped (the follower)
+//   log:        Writes the metrics to options.log, every options.intervalMs
+//               or whenever flush is called. Cloud Functions can't be scraped,
+//               so they always use this sink and flush at the end of every
+//               invocation. Stackdriver log-based metrics can be built on top
+//               of these logs.
+//
+// There are three kinds of metric, and every one of them can be broken down by
+// labels:
+//   counter(name, help).inc([value], [labels])   Only ever goes up
+//   gauge(name, help).set(value, [labels])       Goes up and down
+//   summary(name, help).observe(value, [labels]) Tracks the sum and count of
+//                                                what it has observed, e.g.
+//                                                durations or sizes
+
+const SINKS = {
+  log: (metrics, options) => {
+    let interval = null
+    return {
+      start () {
+        if (options.intervalMs) {
+          interval = setInterval(metrics.flush, options.intervalMs)
+        }
+      },
+      flush () {
+        options.log.info({ metrics: metrics.snapshot() }, 'metrics')
+      },
+      close (cb) {
+        clearInterval(interval)
+        setImmediate(cb || (() => {}))
+      }
+    }
+  },
+  prometheus: (metrics, options) => {
+    let server = null
+    return {
+      start () {
+        server = http.createServer((req, res) => {
+          if (!metrics.serve(req, res)) {
+            res.statusCode = 404
+            res.end()
+          }
+        })
+        server.listen(options.port)
+      },
+      flush () {},
+      close (cb) {
+        if (!server) {
+          return setImmediate(cb || (() => {}))
+        }
+        server.close(cb)
+      }
+    }
+  }
+}
+
+// Label values are quoted, so quotes, backslashes, and newlines need escaping
+function escape (value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+}
+
+// labelKey turns a set of labels into the {a="b"} suffix of a sample, sorted
+// so the same labels always end up in the same series
+function labelKey (labels) {
+  const keys = Object.keys(labels || {}).sort()
+  if (keys.length === 0) {
+    return ''
+  }
+  return '{' + keys.map((key) => key + '="' + escape(labels[key]) + '"')
+    .join(',') + '}'
+}
+
+// createMetrics creates a set of metrics reported through the sink named by
+// options.sink (the metrics section of the configuration, plus a log for the
+// log sink)
+function createMetrics (options) {
+  const sink = SINKS[options.sink]
+  if (!sink) {
+    throw new Error('unknown metrics sink: ' + options.sink)
+  }
+  const registry = {}
+
+  // define registers a metric, defining the same metric twice returns the
+  // same metric
+  const define = (type, name, help) => {
+    if (registry[name] && registry[name].type !== type) {
+      throw new Error('metric ' + name + ' is already a ' + registry[name].type)
+    }
+    registry[name] = registry[name] || { type, help, series: {} }
+    const series = (labels) => {
+      const key = labelKey(labels)
+      const all = registry[name].series
+      all[key] = all[key] || { labels: Object.assign({}, labels), value: 0, sum: 0, count: 0 }
+      return all[key]
+    }
+    return series
+  }
+
+  const metrics = {
+    counter (name, help) {
+      const series = define('counter', name, help)
+      return {
+        inc (value, labels) {
+          series(labels).value += value === undefined ? 1 : value
+        }
+      }
+    },
+    gauge (name, help) {
+      const series = define('gauge', name, help)
+      return {
+        set (value, labels) {
+          series(labels).value = value
+        }
+      }
+    },
+    summary (name, help) {
+      const series = define('summary', name, help)
+      return {
+        observe (value, labels) {
+          const entry = series(labels)
+          entry.sum += value
+          entry.count++
+        }
+      }
+    },
+
+    // render returns every metric in the Prometheus text format
+    render () {
+      return Object.keys(registry).sort().map((name) => {
+        const metric = registry[name]
+        const lines = [
+          '# HELP ' + name + ' ' + metric.help,
+          '# TYPE ' + name + ' ' + metric.type
+        ]
+        Object.keys(metric.series).sort().forEach((key) => {
+          const entry = metric.series[key]
+          if (metric.type === 'summary') {
+            lines.push(name + '_sum' + key + ' ' + entry.sum)
+            lines.push(name + '_count' + key + ' ' + entry.count)
+          } else {
+            lines.push(name + key + ' ' + entry.value)
+          }
+        })
+        return lines.join('\n') + '\n'
+      }).join('')
+    },
+
+    // snapshot returns every metric as a plain object for logging. Metrics
+    // without labels are a single value, metrics with labels are a list of
+    // their series. Metrics that haven't recorded anything are left out.
+    snapshot () {
+      const snapshot = {}
+      Object.keys(registry).sort().forEach((name) => {
+        const metric = registry[name]
+        if (Object.keys(metric.series).length === 0) {
+          return
+        }
+        const values = Object.keys(metric.series).map((key) => {
+          const entry = metric.series[key]
+          return metric.type === 'summary'
+            ? { sum: entry.sum, count: entry.count }
+            : entry.value
+        })
+        const keys = Object.keys(metric.series)
+        if (keys.length === 1 && keys[0] === '') {
+          snapshot[name] = values[0]
+        } else {
+          snapshot[name] = keys.map((key, i) => {
+            const value = values[i]
+            return Object.assign({}, metric.series[key].labels,
+              typeof value === 'object' ? value : { value })
+          })
+        }
+      })
+      return snapshot
+    },
+
+    // serve answers a request for /metrics with the Prometheus text format,
+    // and returns false for anything else so it can be mounted on an existing
+    // server
+    serve (req, res) {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        return false
+      }
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4')
+      res.end(metrics.render())
+      return true
+    }
+  }
+
+  const reporter = sink(metrics, options)
+  metrics.start = reporter.start
+  metrics.flush = reporter.flush
+  metrics.close = reporter.close
+  return metrics
+}
+
+module.exports = { createMetrics }
@@ -0,0 +1,125 @@
+'use strict'
+
+const fs = require('fs')
+const { compileRule } = require('./filter.js')
+
+// A quarantine holds newly published versions back from the package level
+// manifests the mirror serves until they reach a minimum age. Malicious
+// publishes are usually caught (and unpublished) within hours or days, a
+// mirror that waits that long before exposing a version never serves them.
+// Without a policy file nothing is held back. A policy file is JSON:
+//
+//   {
+//     "minAgeHours": 72,
+//     "scopes": { "@types": 24, "@experimental": 168 },
+//     "allow": [ "@ourco/*", "ourco-*" ]
+//   }
+//
+// minAgeHours applies to every package, scopes overrides it for the packages
+// of a scope, and packages matching one of the allow rules (see ./filter.js for
+// the rules) are never held back, which is what you want for your own
+// packages. A version's age is how long ago it was published according to the
+// time field of its package level manifest. Versions without a publish time
+// predate npm recording them, and are never held back.
+
+const HOUR_MS = 60 * 60 * 1000
+const FIELDS = [ 'minAgeHours', 'scopes', 'allow' ]
+
+const validAge = (value) => typeof value === 'number' && value >= 0 &&
+  isFinite(value)
+
+// compile validates a policy and returns a function that gives the minimum age
+// (in ms) of a package's versions
+function compile (policy) {
+  const problems = []
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('invalid quarantine policy: must be an object')
+  }
+  Object.keys(policy).forEach((key) => {
+    if (FIELDS.indexOf(key) === -1) {
+      problems.push('unknown field ' + key)
+    }
+  })
+  const minAge = policy.minAgeHours === undefined ? 0 : policy.minAgeHours
+  if (!validAge(minAge)) {
+    problems.push('minAgeHours must be a number of hours')
+  }
+  const scopes = policy.scopes || {}
+  if (typeof scopes !== 'object' || Array.isArray(scopes)) {
+    problems.push('scopes must map scopes to a number of hours')
+  } else {
+    Object.keys(scopes).forEach((scope) => {
+      if (!/^@[^/]+$/.test(scope)) {
+        problems.push('scopes contains an invalid scope: ' + JSON.stringify(scope))
+      } else if (!validAge(scopes[scope])) {
+        problems.push('scopes.' + scope + ' must be a number of hours')
+      }
+    })
+  }
+  const allow = policy.allow || []
+  if (!Array.isArray(allow)) {
+    problems.push('allow must be an array of rules')
+  } else {
+    allow.forEach((rule) => {
+      if (typeof rule !== 'string' || rule === '') {
+        problems.push('allow contains an invalid rule: ' + JSON.stringify(rule))
+      }
+    })
+  }
+  if (problems.length > 0) {
+    throw new Error('invalid quarantine policy:\n  ' + problems.join('\n  '))
+  }
+
+  const rules = allow.map(compileRule)
+  return (name) => {
+    if (rules.some((rule) => rule.regexp.test(name))) {
+      return 0
+    }
+    const scope = name[0] === '@' ? name.split('/')[0] : null
+    const hours = scope && scopes[scope] !== undefined ? scopes[scope] : minAge
+    return hours * HOUR_MS
+  }
+}
+
+// read loads and compiles a policy file
+function read (filename) {
+  let policy
+  try {
+    policy = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    throw new Error('unable to read quarantine policy ' + filename + ': ' + e.message)
+  }
+  return compile(policy)
+}
+
+// createQuarantine loads the policy at filename (the quarantine.policy setting
+// of the configuration) and returns a quarantine:
+//   quarantine.minAge(name)  The minimum age in ms of the package's versions
+//   quarantine.check(name, versions, published, now)
+//     Splits versions into those old enough to be exposed at now (in ms), and
+//     those held back. published maps versions to their publish time. Returns
+//     { eligible, held, heldUntil } where heldUntil is when the first held
+//     back version becomes eligible, or null if none are held back.
+function createQuarantine (filename) {
+  const minAge = filename ? read(filename) : compile({})
+  return {
+    minAge: (name) => minAge(String(name)),
+    check (name, versions, published, now) {
+      const age = minAge(String(name))
+      const result = { eligible: [], held: [], heldUntil: null }
+      versions.forEach((version) => {
+        const time = Date.parse((published || {})[version])
+        if (age === 0 || isNaN(time) || time + age <= now) {
+          return result.eligible.push(version)
+        }
+        result.held.push(version)
+        result.heldUntil = result.heldUntil === null
+          ? time + age
+          : Math.min(result.heldUntil, time + age)
+      })
+      return result
+    }
+  }
+}
+
+module.exports = { createQuarantine }
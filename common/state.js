@@ -0,0 +1,243 @@
+'use strict'
+
+// Tracks how far along mirroring every package is, in Cloud Firestore. The
+// manifests we upload only list versions whose tarball is in the bucket, so
+// npm clients never see a version they can't install. The tarballs Cloud
+// Function records every tarball it verifies, and the packages Cloud Function
+// uploads the manifests again as versions complete, recording the manifests of
+// the versions it exposes.
+//
+// Every package has a document, named after the package (URI encoded, since
+// scoped names contain a slash), holding:
+//   name       The name of the package
+//   versions   The versions of the package on npm, mapped to the path their
+//              tarball is uploaded to. null until the package has been
+//              mirrored since completion tracking was introduced.
+//   published  The versions of the package mapped to when they were published,
+//              for the quarantine (see ./quarantine.js)
+//   manifests  The versions whose manifest has been uploaded, mapped to the
+//              hash of what was uploaded
+//   exposed    The versions listed by the package level manifests we uploaded
+//              last, or null when they need to be uploaded again
+//   heldUntil  When the first version held back by the quarantine may be
+//              exposed (in ms since the epoch), or null if none are held back
+//   announced  The versions whose version.mirrored event has been published
+//              (see ./events.js), as a map of version to true
+//   listed     What the package level manifests we uploaded last list, as
+//              { versions, tags }, to tell when they change. Unlike exposed,
+//              it is kept when the package is mirrored again.
+//   seq        The seq of the upstream change the package was last mirrored
+//              for, or null if it wasn't mirrored for a change
+//   refreshRequested
+//              When a tarball last asked for the package to be refreshed (in
+//              ms since the epoch), or null once the refresh has started
+// Every update to it happens in a transaction. The tarballs of a package are
+// mirrored by many invocations at the same time, so rather than contend for
+// the package's document every tarball that has been uploaded and verified
+// gets a document of its own, { path }, in the package's tarballs
+// subcollection.
+
+// How long a tarball's request for a refresh holds off the requests of the
+// tarballs after it, in case the refresh never starts
+const REFRESH_TIMEOUT_MS = 60 * 1000
+
+// createState creates the state store on top of a Firestore client, keeping
+// its documents in the given collection
+function createState (db, collection) {
+  const packages = db.collection(collection)
+  const ref = (name) => packages.doc(encodeURIComponent(name))
+  const tarballs = (name) => ref(name).collection('tarballs')
+
+  // update replaces a package's document with whatever fn returns, given the
+  // current document, or leaves it alone if fn returns null
+  function update (name, fn, cb) {
+    db.runTransaction((transaction) => {
+      return transaction.get(ref(name)).then((snapshot) => {
+        const current = Object.assign({
+          name,
+          versions: null,
+          published: {},
+          manifests: {},
+          exposed: null,
+          heldUntil: null,
+          announced: {},
+          listed: null,
+          seq: null,
+          refreshRequested: null
+        }, snapshot.exists ? snapshot.data() : {})
+        const next = fn(current)
+        if (next) {
+          transaction.set(ref(name), next)
+        }
+      })
+    }).then(() => cb(null), cb)
+  }
+
+  // pending tells whether a refresh of a package has been asked for and hasn't
+  // started yet, given its document
+  const pending = (doc, now) => Boolean(doc && doc.refreshRequested) &&
+    doc.refreshRequested > now - REFRESH_TIMEOUT_MS
+
+  return {
+    // get calls back with the package's document, or null if it has none,
+    // along with the tarballs recorded for it as a map of path to true
+    get (name, cb) {
+      Promise.all([ ref(name).get(), tarballs(name).get() ]).then((results) => {
+        if (!results[0].exists) {
+          return cb(null, null)
+        }
+        const doc = results[0].data()
+        doc.tarballs = {}
+        results[1].docs.forEach((tarball) => {
+          doc.tarballs[tarball.data().path] = true
+        })
+        cb(null, doc)
+      }, cb)
+    },
+
+    // record records manifests and tarballs that have been mirrored. mirrored
+    // is { manifests: { version: hash }, tarballs: [ path ] }, either may be
+    // missing. Only recording manifests takes a transaction.
+    record (name, mirrored, cb) {
+      const manifests = mirrored.manifests || {}
+      const writes = (mirrored.tarballs || []).map((p) =>
+        tarballs(name).doc(encodeURIComponent(p)).set({ path: p }))
+      if (Object.keys(manifests).length > 0) {
+        writes.push(new Promise((resolve, reject) => {
+          update(name, (current) => {
+            Object.assign(current.manifests, manifests)
+            return current
+          }, (e) => e ? reject(e) : resolve())
+        }))
+      }
+      Promise.all(writes).then(() => cb(null), cb)
+    },
+
+    // claimRefresh claims the right to ask for a package to be refreshed,
+    // calling back with whether it was claimed. Only the first of the tarballs
+    // recorded while a refresh is pending asks for one: a refresh reads what
+    // is recorded once it has started (see refreshing), so it picks up every
+    // tarball recorded before then. Most of the time a refresh is already
+    // pending, which only takes a read to find out.
+    claimRefresh (name, now, cb) {
+      ref(name).get().then((snapshot) => {
+        if (pending(snapshot.data(), now)) {
+          return cb(null, false)
+        }
+        let claimed = false
+        update(name, (current) => {
+          // Transactions may run more than once
+          claimed = !pending(current, now)
+          return claimed
+            ? Object.assign(current, { refreshRequested: now })
+            : null
+        }, (e) => cb(e, claimed))
+      }, cb)
+    },
+
+    // refreshing gives up the claim on a refresh as it starts (or when asking
+    // for it failed), so the tarballs recorded from then on ask for another
+    refreshing (name, cb) {
+      update(name, (current) => current.refreshRequested
+        ? Object.assign(current, { refreshRequested: null })
+        : null, cb)
+    },
+
+    // begin records the versions of a package that is about to be exposed,
+    // mapped to their tarball's path, when they were published, and the seq of
+    // the change it is mirrored for. Anything recorded for versions that are
+    // no longer on npm is forgotten, the documents of their tarballs no longer
+    // count.
+    begin (name, versions, published, seq, cb) {
+      update(name, (current) => {
+        const manifests = {}
+        const kept = {}
+        Object.keys(versions).forEach((v) => {
+          if (current.manifests[v]) {
+            manifests[v] = current.manifests[v]
+          }
+          if (current.announced[v]) {
+            kept[v] = true
+          }
+        })
+        return {
+          name,
+          versions,
+          published,
+          manifests,
+          exposed: null,
+          heldUntil: current.heldUntil,
+          announced: kept,
+          listed: current.listed,
+          seq: seq === undefined ? null : seq,
+          refreshRequested: current.refreshRequested
+        }
+      }, cb)
+    },
+
+    // expose records the versions the package level manifests list, when the
+    // first version held back may be exposed, and what the manifests list
+    expose (name, exposed, heldUntil, listed, cb) {
+      update(name, (current) => Object.assign(current, {
+        exposed,
+        heldUntil,
+        listed
+      }), cb)
+    },
+
+    // announce claims the right to announce versions of a package, so that
+    // refreshes racing each other don't announce the same version twice. It
+    // calls back with the versions that hadn't been claimed yet, which are now
+    // recorded as announced.
+    announce (name, versions, cb) {
+      let claimed = []
+      update(name, (current) => {
+        claimed = versions.filter((v) => !current.announced[v])
+        claimed.forEach((v) => { current.announced[v] = true })
+        return current
+      }, (e) => cb(e, claimed))
+    },
+
+    // unannounce gives up the claim on versions that failed to be announced,
+    // so they are announced by the next refresh
+    unannounce (name, versions, cb) {
+      update(name, (current) => {
+        versions.forEach((v) => { delete current.announced[v] })
+        return current
+      }, cb)
+    },
+
+    // due calls back with the names of up to limit packages with versions the
+    // quarantine held back that may be exposed at now
+    due (now, limit, cb) {
+      packages
+        .where('heldUntil', '<=', now)
+        .orderBy('heldUntil')
+        .limit(limit)
+        .get()
+        .then((snapshot) => {
+          cb(null, snapshot.docs.map((doc) => doc.data().name))
+        }, cb)
+    },
+
+    // remove forgets everything about a package
+    remove (name, cb) {
+      tarballs(name).get()
+        .then((snapshot) => Promise.all(snapshot.docs.map((doc) => doc.ref.delete())))
+        .then(() => ref(name).delete())
+        .then(() => cb(null), cb)
+    }
+  }
+}
+
+// complete lists the versions of a package whose tarball is mirrored, given
+// its document as get calls back with it. Their manifests are only uploaded
+// once they are exposed.
+function complete (doc) {
+  const versions = (doc && doc.versions) || {}
+  return Object.keys(versions)
+    .filter((v) => doc.tarballs[versions[v]])
+    .sort()
+}
+
+module.exports = { createState, complete }
@@ -0,0 +1,53 @@
+'use strict'
+
+const { Storage } = require('@google-cloud/storage')
+
+// The Google Cloud Storage adapter. This is a thin wrapper around the bucket,
+// the only real work is normalizing the metadata Google Cloud Storage returns.
+module.exports = function gcs (options) {
+  const bucket = (new Storage()).bucket(options.bucket)
+
+  return {
+    createWriteStream (key, opts) {
+      opts = opts || {}
+      return bucket.file(key).createWriteStream({
+        contentType: opts.contentType,
+        metadata: opts.metadata ? { metadata: opts.metadata } : undefined,
+        public: Boolean(opts.public),
+        resumable: false
+      })
+    },
+    createReadStream (key) {
+      return bucket.file(key).createReadStream()
+    },
+    exists (key, cb) {
+      bucket.file(key).exists((e, exists) => cb(e, Boolean(exists)))
+    },
+    getMetadata (key, cb) {
+      bucket.file(key).getMetadata((e, metadata) => {
+        if (e) {
+          return cb(e)
+        }
+        cb(null, {
+          contentType: metadata.contentType,
+          size: Number(metadata.size),
+          metadata: metadata.metadata || {}
+        })
+      })
+    },
+    setMetadata (key, metadata, cb) {
+      bucket.file(key).setMetadata({ metadata }, (e) => cb(e))
+    },
+    delete (key, cb) {
+      bucket.file(key).delete((e) => cb(e))
+    },
+    list (prefix, cb) {
+      bucket.getFiles({ prefix, autoPaginate: true }, (e, files) => {
+        if (e) {
+          return cb(e)
+        }
+        cb(null, files.map((file) => file.name))
+      })
+    }
+  }
+}
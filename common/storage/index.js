@@ -0,0 +1,52 @@
+'use strict'
+
+// The mirror stores everything (manifests, tarballs, and the audit log) as
+// objects in a bucket, keyed by the same paths npm uses. Which kind of bucket
+// is pluggable, every backend implements the same adapter interface:
+//
+//   createWriteStream(key, { contentType, metadata, public })
+//     Returns a writable stream that uploads an object. The stream only
+//     finishes once the object has been fully stored.
+//   createReadStream(key)
+//     Returns a readable stream of an object's contents.
+//   exists(key, cb(err, exists))
+//   getMetadata(key, cb(err, { contentType, size, metadata }))
+//     metadata holds the custom metadata recorded on the object.
+//   setMetadata(key, metadata, cb(err))
+//     Merges custom metadata into the metadata already recorded on an object.
+//   delete(key, cb(err))
+//   list(prefix, cb(err, keys))
+//
+// Every adapter reports objects that don't exist with an error whose code is
+// 404, regardless of how the backend reports them.
+//
+// The following backends are supported:
+//   gcs:   Google Cloud Storage, this is what the mirror runs on in production
+//   local: A directory on the local filesystem, for running the mirror on-prem
+//          or offline
+//   s3:    Amazon S3 or anything that speaks its API, such as MinIO
+
+const ADAPTERS = {
+  gcs: () => require('./gcs.js'),
+  local: () => require('./local.js'),
+  s3: () => require('./s3.js')
+}
+
+// createStorage creates the adapter for a backend. Adapters are only loaded
+// when they are used so a deployment doesn't pay for the SDKs of backends it
+// doesn't use. The options are the storage section of the configuration (see
+// ../config.js):
+//   options.backend    One of gcs, local, or s3
+//   options.bucket     The name of the bucket (gcs and s3)
+//   options.directory  The directory objects are stored in (local)
+//   options.endpoint   The url of the S3 compatible service (s3, optional)
+//   options.region, options.accessKeyId, options.secretAccessKey (s3)
+function createStorage (options) {
+  const adapter = ADAPTERS[options.backend]
+  if (!adapter) {
+    throw new Error('unknown storage backend: ' + options.backend)
+  }
+  return adapter()(options)
+}
+
+module.exports = { createStorage }
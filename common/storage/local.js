@@ -0,0 +1,284 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const miss = require('mississippi')
+const mkdirp = require('mkdirp')
+const once = require('once').strict
+const path = require('path')
+
+// The local filesystem adapter stores every object as a file under a
+// directory, using the object's key as its path. npm package names can never
+// start with a dot, so the adapter keeps its own bookkeeping in dot
+// directories that can't collide with the mirror's objects:
+//   .metadata/<key>.json  The content type and custom metadata of an object
+//   .tmp/                 Objects that are still being written. Objects are
+//                         moved into place once they have been fully written,
+//                         so readers never see a partial object.
+// Like the npm registry, the filesystem has no use for a leading slash, so
+// /name/-/name-1.0.0.tgz and name/-/name-1.0.0.tgz are the same object.
+module.exports = function local (options) {
+  const root = path.resolve(options.directory)
+  const metadataRoot = path.join(root, '.metadata')
+  const tmpRoot = path.join(root, '.tmp')
+
+  // resolve turns a key into a path on disk, refusing keys that would escape
+  // the directory
+  function resolve (base, key) {
+    const file = path.join(base, String(key).replace(/^\/+/, ''))
+    if (file.indexOf(base + path.sep) !== 0) {
+      throw new Error('invalid key: ' + key)
+    }
+    return file
+  }
+
+  function notFound (key) {
+    const e = new Error('No such object: ' + key)
+    e.code = 404
+    return e
+  }
+
+  function readMetadata (key, cb) {
+    fs.readFile(resolve(metadataRoot, key) + '.json', (e, data) => {
+      if (e) {
+        return cb(null, {})
+      }
+      try {
+        cb(null, JSON.parse(data))
+      } catch (e) {
+        cb(null, {})
+      }
+    })
+  }
+
+  function writeMetadata (key, metadata, cb) {
+    const file = resolve(metadataRoot, key) + '.json'
+    mkdirp(path.dirname(file), (e) => {
+      if (e) {
+        return cb(e)
+      }
+      fs.writeFile(file, JSON.stringify(metadata), cb)
+    })
+  }
+
+  const adapter = {
+    createWriteStream (key, opts) {
+      opts = opts || {}
+      const file = resolve(root, key)
+      const tmp = path.join(tmpRoot, crypto.randomBytes(16).toString('hex'))
+      let out = null
+      // Whether the object has made it into place, or been given up on
+      let settled = false
+
+      // discard removes the temporary file of an object that never made it
+      // into place, because writing it failed or it was abandoned halfway
+      const discard = () => {
+        if (settled) {
+          return
+        }
+        settled = true
+        if (out) {
+          out.destroy()
+        }
+        fs.unlink(tmp, () => {})
+      }
+
+      // Lazily open the temporary file on the first write so we can create
+      // the directory first
+      const open = (cb) => {
+        if (out) {
+          return cb()
+        }
+        mkdirp(tmpRoot, (e) => {
+          if (e) {
+            return cb(e)
+          }
+          if (settled) {
+            return cb(new Error('write stream closed'))
+          }
+          out = fs.createWriteStream(tmp)
+          cb()
+        })
+      }
+
+      const stream = miss.to((chunk, enc, cb) => {
+        open((e) => {
+          if (e) {
+            discard()
+            return cb(e)
+          }
+          out.write(chunk, (e) => {
+            if (e) {
+              discard()
+            }
+            cb(e)
+          })
+        })
+      }, (cb) => {
+        // Once everything has been written, move the object into place and
+        // record its metadata
+        const callback = once(cb)
+        const fail = (e) => {
+          discard()
+          callback(e)
+        }
+        open((e) => {
+          if (e) {
+            return fail(e)
+          }
+          out.on('error', fail)
+          out.on('close', () => {
+            // The stream may have been given up on while the file was closing
+            if (settled) {
+              return callback(new Error('write stream closed'))
+            }
+            mkdirp(path.dirname(file), (e) => {
+              if (e) {
+                return fail(e)
+              }
+              fs.rename(tmp, file, (e) => {
+                if (e) {
+                  return fail(e)
+                }
+                settled = true
+                writeMetadata(key, {
+                  contentType: opts.contentType,
+                  metadata: opts.metadata || {}
+                }, callback)
+              })
+            })
+          })
+          out.end()
+        })
+      })
+      // A stream that is destroyed before it finishes, like the upload of a
+      // download that failed, closes without ever flushing
+      stream.on('close', discard)
+      return stream
+    },
+    createReadStream (key) {
+      // This is the first error listener on the stream, so the code is
+      // rewritten before anyone else sees the error
+      return fs.createReadStream(resolve(root, key)).on('error', (e) => {
+        if (e.code === 'ENOENT' || e.code === 'EISDIR') {
+          e.code = 404
+        }
+      })
+    },
+    exists (key, cb) {
+      fs.stat(resolve(root, key), (e, stats) => cb(null, !e && stats.isFile()))
+    },
+    getMetadata (key, cb) {
+      fs.stat(resolve(root, key), (e, stats) => {
+        if (e || !stats.isFile()) {
+          return cb(notFound(key))
+        }
+        readMetadata(key, (_, recorded) => {
+          cb(null, {
+            contentType: recorded.contentType,
+            size: stats.size,
+            metadata: recorded.metadata || {}
+          })
+        })
+      })
+    },
+    setMetadata (key, metadata, cb) {
+      adapter.getMetadata(key, (e) => {
+        if (e) {
+          return cb(e)
+        }
+        readMetadata(key, (_, recorded) => {
+          recorded.metadata = Object.assign({}, recorded.metadata, metadata)
+          writeMetadata(key, recorded, cb)
+        })
+      })
+    },
+    delete (key, cb) {
+      fs.unlink(resolve(root, key), (e) => {
+        if (e) {
+          return cb(e.code === 'ENOENT' ? notFound(key) : e)
+        }
+        fs.unlink(resolve(metadataRoot, key) + '.json', () => cb())
+      })
+    },
+    list (prefix, cb) {
+      prefix = prefix || ''
+      // Keys are listed in the form of the prefix they were asked for with
+      const lead = prefix[0] === '/' ? '/' : ''
+      const bare = prefix.replace(/^\/+/, '')
+      // Only the directory the prefix is in needs walking, not the whole
+      // mirror. Keys can't start with a dot, those are our bookkeeping.
+      const start = /\/$/.test(bare)
+        ? bare.replace(/\/+$/, '')
+        : path.posix.dirname(bare).replace(/^\.$/, '')
+      if (start[0] === '.') {
+        return setImmediate(() => cb(null, []))
+      }
+      if (start) {
+        try {
+          resolve(root, start)
+        } catch (e) {
+          return setImmediate(() => cb(e))
+        }
+      }
+      walk(root, start, (e, keys) => {
+        if (e) {
+          return cb(e)
+        }
+        cb(null, keys
+          .filter((key) => key.indexOf(bare) === 0)
+          .map((key) => lead + key))
+      })
+    }
+  }
+  return adapter
+}
+
+// walk lists every file below dir relative to it, skipping the adapter's dot
+// directories
+function walk (dir, relative, cb) {
+  // Only the first error is reported, everything after it is ignored
+  let finished = false
+  const callback = (e, keys) => {
+    if (!finished) {
+      finished = true
+      cb(e, keys)
+    }
+  }
+  fs.readdir(path.join(dir, relative), (e, entries) => {
+    if (e) {
+      return callback(e.code === 'ENOENT' ? null : e, [])
+    }
+    entries = entries.filter((entry) => entry[0] !== '.')
+    let result = []
+    let pending = entries.length
+    if (pending === 0) {
+      return callback(null, result)
+    }
+    const done = (e) => {
+      if (e) {
+        return callback(e)
+      }
+      if (--pending === 0) {
+        callback(null, result.sort())
+      }
+    }
+    entries.forEach((entry) => {
+      const key = relative ? relative + '/' + entry : entry
+      fs.stat(path.join(dir, key), (e, stats) => {
+        // Objects deleted while we are listing simply aren't listed
+        if (e) {
+          return done(e.code === 'ENOENT' ? null : e)
+        }
+        if (!stats.isDirectory()) {
+          result.push(key)
+          return done()
+        }
+        walk(dir, key, (e, keys) => {
+          result = result.concat(keys || [])
+          done(e)
+        })
+      })
+    })
+  })
+}
@@ -0,0 +1,153 @@
+'use strict'
+
+const S3 = require('aws-sdk/clients/s3')
+const miss = require('mississippi')
+const once = require('once').strict
+
+// The S3 adapter works against Amazon S3 and anything that speaks its API,
+// such as MinIO. Custom metadata is stored as S3 user metadata, which S3 can't
+// update in place: setMetadata copies the object onto itself with the new
+// metadata instead, keeping the object public if it was.
+// The grantee S3 uses for everyone, in the ACLs of public objects
+const ALL_USERS = 'http://acs.amazonaws.com/groups/global/AllUsers'
+
+module.exports = function s3 (options) {
+  const client = new S3({
+    endpoint: options.endpoint,
+    region: options.region || 'us-east-1',
+    accessKeyId: options.accessKeyId,
+    secretAccessKey: options.secretAccessKey,
+    // MinIO and most other S3 compatible services don't support virtual
+    // hosted buckets
+    s3ForcePathStyle: Boolean(options.endpoint),
+    signatureVersion: 'v4'
+  })
+  const Bucket = options.bucket
+
+  // S3 reports missing objects in a few different ways depending on the call
+  function normalize (e) {
+    if (e && (e.statusCode === 404 || e.code === 'NoSuchKey' || e.code === 'NotFound')) {
+      e.code = 404
+    }
+    return e
+  }
+
+  // isPublic tells whether an object's ACL lets anyone read it, which is what
+  // the public-read canned ACL we upload with grants
+  function isPublic (acl) {
+    return ((acl && acl.Grants) || []).some((grant) =>
+      grant.Grantee && grant.Grantee.URI === ALL_USERS &&
+      (grant.Permission === 'READ' || grant.Permission === 'FULL_CONTROL'))
+  }
+
+  const adapter = {
+    createWriteStream (key, opts) {
+      opts = opts || {}
+      const body = miss.through()
+      // The upload reads from body for as long as we are writing to it. We
+      // only let the stream finish once S3 has confirmed the object was
+      // stored.
+      let result = null
+      let finish = null
+      client.upload({
+        Bucket,
+        Key: key,
+        Body: body,
+        ContentType: opts.contentType,
+        Metadata: opts.metadata,
+        ACL: opts.public ? 'public-read' : undefined
+      }, (e) => {
+        result = { e: normalize(e) }
+        if (finish) {
+          finish(result.e)
+        }
+      })
+
+      return miss.to((chunk, enc, cb) => {
+        // If the upload already failed there is no point in writing more
+        if (result) {
+          return cb(result.e || new Error('upload ended early'))
+        }
+        body.write(chunk, enc, cb)
+      }, (cb) => {
+        finish = once(cb)
+        body.end()
+        if (result) {
+          finish(result.e)
+        }
+      })
+    },
+    createReadStream (key) {
+      return client.getObject({ Bucket, Key: key })
+        .createReadStream()
+        .on('error', normalize)
+    },
+    exists (key, cb) {
+      adapter.getMetadata(key, (e) => {
+        if (e && e.code === 404) {
+          return cb(null, false)
+        }
+        cb(e, !e)
+      })
+    },
+    getMetadata (key, cb) {
+      client.headObject({ Bucket, Key: key }, (e, head) => {
+        if (e) {
+          return cb(normalize(e))
+        }
+        cb(null, {
+          contentType: head.ContentType,
+          size: head.ContentLength,
+          metadata: head.Metadata || {}
+        })
+      })
+    },
+    setMetadata (key, metadata, cb) {
+      client.headObject({ Bucket, Key: key }, (e, head) => {
+        if (e) {
+          return cb(normalize(e))
+        }
+        // A copy gets the default private ACL unless it is given one, so an
+        // object uploaded publicly has to be made public again
+        client.getObjectAcl({ Bucket, Key: key }, (e, acl) => {
+          if (e) {
+            return cb(normalize(e))
+          }
+          client.copyObject({
+            Bucket,
+            Key: key,
+            CopySource: Bucket + '/' + encodeURIComponent(key).replace(/%2F/g, '/'),
+            ContentType: head.ContentType,
+            Metadata: Object.assign({}, head.Metadata, metadata),
+            MetadataDirective: 'REPLACE',
+            ACL: isPublic(acl) ? 'public-read' : undefined
+          }, (e) => cb(normalize(e)))
+        })
+      })
+    },
+    delete (key, cb) {
+      client.deleteObject({ Bucket, Key: key }, (e) => cb(normalize(e)))
+    },
+    list (prefix, cb) {
+      const keys = []
+      const page = (ContinuationToken) => {
+        client.listObjectsV2({
+          Bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken
+        }, (e, result) => {
+          if (e) {
+            return cb(normalize(e))
+          }
+          result.Contents.forEach((object) => keys.push(object.Key))
+          if (result.IsTruncated) {
+            return page(result.NextContinuationToken)
+          }
+          cb(null, keys)
+        })
+      }
+      page()
+    }
+  }
+  return adapter
+}
@@ -0,0 +1,272 @@
+'use strict'
+
+const fs = require('fs')
+const url = require('url')
+
+// The mirror can carry packages from more than one registry. Everything comes
+// from npm (the registry in the upstream section of the configuration, see
+// ./config.js) unless a routes file sends the packages of a scope somewhere
+// else. A routes file is JSON:
+//
+//   {
+//     "upstreams": {
+//       "internal": {
+//         "registry": "https://npm.internal.example.com",
+//         "tokenEnv": "INTERNAL_NPM_TOKEN",
+//         "changes": "https://npm.internal.example.com/-/changes",
+//         "source": "http"
+//       },
+//       "vendor": {
+//         "registry": "https://npm.vendor.example.com/api/npm",
+//         "tokenEnv": "VENDOR_NPM_TOKEN",
+//         "authHosts": [ "https://cdn.vendor.example.com" ]
+//       }
+//     },
+//     "scopes": { "@ourco": "internal", "@vendor": "vendor" }
+//   }
+//
+// Every upstream has:
+//   registry    Where packuments and tarballs are fetched from
+//   tokenEnv    The environment variable holding the token we authenticate to
+//               the registry with, if it needs one. Tokens are only ever sent
+//               to the registry's own host, and the hosts in authHosts.
+//   authHosts   The urls of other hosts the registry serves from, like the one
+//               its tarballs are downloaded from, that need the token too
+//   changes     Where a follower gets the upstream's changes from, and source
+//   source      how (couchdb, http, or file, see follower/sources). An
+//   file        upstream without changes is only mirrored through seeding and
+//               reconciling.
+//   checkpoint  The Cloud Firestore document its follower checkpoints to,
+//               follower/<name> by default
+// The upstream called npm is the one in the configuration and can't be
+// redefined.
+//
+// Routing decides where a package comes from by its scope alone, and a scope
+// that is routed to an upstream only ever comes from that upstream. A package
+// published to npm in one of our scopes is never mirrored, whatever changes
+// feed it shows up on, so nobody can shadow one of our private packages by
+// publishing a public one with the same name (dependency confusion). For the
+// same reason, followers only publish changes to packages that route to the
+// upstream they follow.
+//
+// A private registry may well answer a request without its token with a 404,
+// so a 404 never means a package or tarball is gone, see packages/index.js.
+
+const DEFAULT = 'npm'
+const FIELDS = [ 'upstreams', 'scopes' ]
+const UPSTREAM_FIELDS = [ 'registry', 'tokenEnv', 'authHosts', 'changes', 'source', 'file', 'checkpoint' ]
+const SOURCES = [ 'couchdb', 'http', 'file' ]
+
+const isUrl = (value) => {
+  const parsed = url.parse(String(value))
+  return typeof value === 'string' && Boolean(parsed.protocol && parsed.host)
+}
+const isDocument = (value) => typeof value === 'string' &&
+  value.split('/').length % 2 === 0 && value.split('/').every((segment) => segment)
+
+// compile validates a routes file and returns the upstreams it defines, by
+// name, and the upstream of every scope
+function compile (routes, env) {
+  const problems = []
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    throw new Error('invalid upstream routes: must be an object')
+  }
+  Object.keys(routes).forEach((key) => {
+    if (FIELDS.indexOf(key) === -1) {
+      problems.push('unknown field ' + key)
+    }
+  })
+
+  const upstreams = {}
+  const defined = routes.upstreams || {}
+  if (typeof defined !== 'object' || Array.isArray(defined)) {
+    problems.push('upstreams must map names to upstreams')
+  } else {
+    Object.keys(defined).forEach((name) => {
+      const upstream = defined[name] || {}
+      const problem = (message) => problems.push('upstreams.' + name + ' ' + message)
+      if (name === DEFAULT) {
+        return problem('can\'t be redefined, it is configured by upstream.registry')
+      }
+      Object.keys(upstream).forEach((key) => {
+        if (UPSTREAM_FIELDS.indexOf(key) === -1) {
+          problem('has an unknown field ' + key)
+        }
+      })
+      if (!isUrl(upstream.registry)) {
+        problem('registry must be an absolute url')
+      }
+      const authHosts = upstream.authHosts || []
+      if (!Array.isArray(authHosts) || !authHosts.every(isUrl)) {
+        problem('authHosts must be a list of absolute urls')
+      }
+      if (upstream.changes !== undefined && !isUrl(upstream.changes)) {
+        problem('changes must be an absolute url')
+      }
+      const source = upstream.source || 'couchdb'
+      if (SOURCES.indexOf(source) === -1) {
+        problem('source must be one of ' + SOURCES.join(', '))
+      }
+      if (source === 'file' && typeof upstream.file !== 'string') {
+        problem('file is required when source is file')
+      }
+      const checkpoint = upstream.checkpoint || 'follower/' + name
+      if (!isDocument(checkpoint)) {
+        problem('checkpoint must be a Cloud Firestore document path (collection/document)')
+      }
+      let token = null
+      if (upstream.tokenEnv !== undefined) {
+        token = env[upstream.tokenEnv]
+        if (!token) {
+          problem('tokenEnv names ' + upstream.tokenEnv + ', which is not set')
+        }
+      }
+      upstreams[name] = {
+        name,
+        registry: upstream.registry,
+        token,
+        tokenEnv: upstream.tokenEnv,
+        authHosts,
+        changes: upstream.changes,
+        source,
+        file: upstream.file,
+        checkpoint
+      }
+    })
+  }
+
+  const scopes = routes.scopes || {}
+  if (typeof scopes !== 'object' || Array.isArray(scopes)) {
+    problems.push('scopes must map scopes to upstreams')
+  } else {
+    Object.keys(scopes).forEach((scope) => {
+      if (!/^@[^/]+$/.test(scope)) {
+        problems.push('scopes contains an invalid scope: ' + JSON.stringify(scope))
+      } else if (!upstreams[scopes[scope]]) {
+        problems.push('scopes.' + scope + ' routes to an unknown upstream: ' +
+          JSON.stringify(scopes[scope]))
+      }
+    })
+  }
+
+  if (problems.length > 0) {
+    throw new Error('invalid upstream routes:\n  ' + problems.join('\n  '))
+  }
+  return { upstreams, scopes }
+}
+
+// read loads and compiles a routes file
+function read (filename, env) {
+  let routes
+  try {
+    routes = JSON.parse(fs.readFileSync(filename, 'utf8'))
+  } catch (e) {
+    throw new Error('unable to read upstream routes ' + filename + ': ' + e.message)
+  }
+  return compile(routes, env)
+}
+
+// createUpstreams loads the routes file named by the configuration, if there
+// is one, and returns:
+//   upstreams.list               Every upstream, npm first
+//   upstreams.get(name)          The upstream called name
+//   upstreams.route(pkg)         The upstream a package comes from
+//   upstreams.owns(upstream, pkg)
+//     Whether changes to a package from an upstream should be mirrored, which
+//     is only when the package routes to it
+//   upstreams.headers(upstream, target)
+//     The headers to fetch target from the upstream with, which only include
+//     the upstream's token when target is on its registry or authHosts
+//   upstreams.tarballPath(pkg, tarball)
+//     The path in the bucket the tarball at the url tarball is mirrored to.
+//     Registries that live below a path (e.g. /api/npm) serve tarballs below
+//     it too, which isn't part of the path. This is null when the path isn't
+//     one of the package's tarballs (see ownTarball).
+// Every upstream is { name, registry, token, tokenEnv, authHosts, changes,
+// source, file, checkpoint }.
+function createUpstreams (config, env) {
+  env = env || process.env
+  const npm = {
+    name: DEFAULT,
+    registry: config.upstream.registry,
+    token: null,
+    authHosts: [],
+    changes: config.upstream.changes,
+    source: config.upstream.source,
+    file: config.upstream.file,
+    checkpoint: config.follower.checkpoint
+  }
+  const routes = config.upstream.routes
+    ? read(config.upstream.routes, env)
+    : { upstreams: {}, scopes: {} }
+  const byName = Object.assign({ [DEFAULT]: npm }, routes.upstreams)
+
+  const route = (pkg) => {
+    const name = String(pkg)
+    const scope = name[0] === '@' ? name.split('/')[0] : null
+    return byName[(scope && routes.scopes[scope]) || DEFAULT]
+  }
+
+  return {
+    list: Object.keys(byName).map((name) => byName[name]),
+    get (name) {
+      if (!byName[name]) {
+        throw new Error('unknown upstream: ' + name)
+      }
+      return byName[name]
+    },
+    route,
+    owns: (upstream, pkg) => route(pkg).name === upstream.name,
+    headers (upstream, target) {
+      const headers = {}
+      const parsed = url.parse(String(target))
+      const authenticated = [ upstream.registry ].concat(upstream.authHosts)
+        .map((host) => url.parse(host))
+        .some((host) => parsed.protocol === host.protocol &&
+          parsed.host === host.host)
+      if (upstream.token && authenticated) {
+        headers.authorization = 'Bearer ' + upstream.token
+      }
+      return headers
+    },
+    tarballPath (pkg, tarball) {
+      const pathname = url.parse(String(tarball)).pathname
+      const base = url.parse(route(pkg).registry).pathname.replace(/\/+$/, '')
+      return ownTarball(pkg, base && pathname.indexOf(base + '/') === 0
+        ? pathname.slice(base.length)
+        : pathname)
+    }
+  }
+}
+
+// ownTarball returns the path of a tarball in the bucket if it is one of the
+// package's tarballs, /<pkg>/-/<file>.tgz, or null if it isn't. The path comes
+// from the dist.tarball urls of the upstream's manifests, which are whatever
+// the publisher (or the upstream) says they are. Without this a manifest could
+// point its tarballs at another package's, and have us overwrite them.
+function ownTarball (pkg, pathname) {
+  const prefix = '/' + pkg + '/-/'
+  if (typeof pathname !== 'string' || pathname.indexOf(prefix) !== 0) {
+    return null
+  }
+  const file = pathname.slice(prefix.length)
+  return /^[^/\\]+\.tgz$/.test(file) ? pathname : null
+}
+
+module.exports = { createUpstreams, ownTarball }
+
+// When run directly, this prints the tokens every upstream needs in the YAML
+// format of gcloud's --env-vars-file, so deploy.sh can hand them to the Cloud
+// Functions along with the rest of their environment
+if (require.main === module) {
+  let upstreams
+  try {
+    upstreams = createUpstreams(require('./config.js').load())
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  upstreams.list.filter((upstream) => upstream.tokenEnv).forEach((upstream) => {
+    console.log(upstream.tokenEnv + ': ' + JSON.stringify(upstream.token))
+  })
+}
@@ -1,7 +1,79 @@
 #!/bin/bash
+set -e
 
-cd packages
-gcloud functions deploy packages --runtime nodejs8 --trigger-topic packages --timeout 240
-cd ../tarballs
-gcloud functions deploy tarballs --runtime nodejs8 --trigger-topic tarballs --timeout 240
-cd ../
+# The Cloud Functions share code through the common package, which lives
+# outside of their directories. gcloud only uploads a function's own directory,
+# so each function is staged in .deploy with common packed into it.
+stage () {
+  rm -rf ".deploy/$1"
+  mkdir -p .deploy
+  cp -r "$1" ".deploy/$1"
+  rm -rf ".deploy/$1/node_modules"
+  if grep -q '"file:../common"' "$1/package.json"; then
+    tarball=$(cd common && npm pack --silent)
+    mv "common/$tarball" ".deploy/$1/"
+    sed -i "s#\"file:../common\"#\"file:$tarball\"#" ".deploy/$1/package.json"
+  fi
+  # The filter and quarantine policies and the upstream routes are read from
+  # disk, so they have to ship with the function
+  if [ -n "$(config filter.policy)" ]; then
+    cp "$(config filter.policy)" ".deploy/$1/filter.json"
+  fi
+  if [ -n "$(config quarantine.policy)" ]; then
+    cp "$(config quarantine.policy)" ".deploy/$1/quarantine.json"
+  fi
+  if [ -n "$(config upstream.routes)" ]; then
+    cp "$(config upstream.routes)" ".deploy/$1/routes.json"
+  fi
+  echo ".deploy/$1"
+}
+
+# Everything about the deployment comes from the mirror's configuration (see
+# common/config.js), the same configuration is handed to the functions as
+# environment variables so they agree with the deployment on topic names.
+config () {
+  node common/config.js get "$1"
+}
+mkdir -p .deploy
+node common/config.js env |
+  sed -e 's#^FILTER_POLICY: .*#FILTER_POLICY: "filter.json"#' \
+    -e 's#^QUARANTINE_POLICY: .*#QUARANTINE_POLICY: "quarantine.json"#' \
+    -e 's#^UPSTREAM_ROUTES: .*#UPSTREAM_ROUTES: "routes.json"#' > .deploy/env.yaml
+# The functions authenticate to the upstreams they route to with tokens from
+# the environment, the tokens every upstream needs are passed along to them
+node common/upstreams.js >> .deploy/env.yaml
+
+# deploy <function> <directory> <topic> <timeout> [flags...]
+deploy () {
+  gcloud functions deploy "$(config functions.prefix)$1" \
+    --entry-point "$1" \
+    --runtime nodejs8 \
+    --trigger-topic "$3" \
+    --timeout "$4" \
+    --env-vars-file .deploy/env.yaml \
+    --source "$(stage "$2")" \
+    "${@:5}"
+}
+
+# The events topic is only published to by the pipeline, nothing deployed here
+# has to be triggered by it, so it is created (if it doesn't exist) before the
+# functions publishing to it are deployed
+if [ -n "$(config topics.events)" ]; then
+  gcloud pubsub topics describe "$(config topics.events)" > /dev/null 2>&1 ||
+    gcloud pubsub topics create "$(config topics.events)"
+fi
+
+deploy packages packages "$(config topics.packages)" "$(config functions.packagesTimeout)"
+deploy tarballs tarballs "$(config topics.tarballs)" "$(config functions.tarballsTimeout)"
+# The retry function fails when it can't store a message, Pub/Sub only
+# redelivers the message then if the function is deployed with --retry
+deploy retry retry "$(config topics.retry)" "$(config functions.retryTimeout)" \
+  --retry
+deploy retryTick retry "$(config topics.retryTick)" "$(config functions.retryTickTimeout)"
+deploy quarantineTick packages "$(config topics.quarantineTick)" "$(config functions.quarantineTickTimeout)"
+# Webhooks are delivered from the events topic, and redelivered from the topic
+# the retry function replays failed deliveries into
+if [ -n "$(config webhooks.url)" ]; then
+  deploy webhooks webhooks "$(config topics.events)" "$(config functions.webhooksTimeout)"
+  deploy redeliver webhooks "$(config topics.webhooks)" "$(config functions.webhooksTimeout)"
+fi
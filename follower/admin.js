@@ -0,0 +1,133 @@
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+
+// The follower's HTTP interface. It answers health checks for whatever runs the
+// follower, and lets an operator control it:
+//
+//   GET  /healthz       Liveness: fails when changes have stopped arriving, a
+//                       stalled feed is fixed by restarting the follower
+//   GET  /readyz        Readiness: fails until the follower has loaded its seq,
+//                       while it is shutting down, and when the last attempt
+//                       to checkpoint seq failed
+//   GET  /metrics       The follower's metrics in the Prometheus text format
+//   GET  /admin/status  The current seq, how many changes are in flight, and
+//                       whether the follower is paused, or throttled because
+//                       it can't publish changes as fast as it receives them
+//   POST /admin/pause   Stop receiving changes, changes already received are
+//                       still published
+//   POST /admin/resume  Start receiving changes again
+//   POST /admin/seq     Rewind or fast-forward to the seq in the JSON body,
+//                       e.g. {"seq": 1234}
+//
+// When a token is configured, the /admin endpoints require it as a bearer
+// token.
+
+// Nobody needs more than this to send us a seq
+const MAX_BODY_BYTES = 1024
+
+// createAdminServer creates the server. The follower is an object providing:
+//   follower.health()       Returns { live, ready, ... } where everything else
+//                           explains the verdict
+//   follower.status()       Returns the follower's status
+//   follower.pause()
+//   follower.resume()
+//   follower.seek(seq, cb)  Moves the follower to seq, calls back with an error
+//                           whose statusCode says why it couldn't
+//   follower.metrics        The follower's metrics
+function createAdminServer (options, follower) {
+  return http.createServer((req, res) => {
+    const route = req.url.split('?')[0]
+
+    if (follower.metrics.serve(req, res)) {
+      return
+    }
+    if (req.method === 'GET' && (route === '/healthz' || route === '/readyz')) {
+      const health = follower.health()
+      const ok = route === '/healthz' ? health.live : health.ready
+      return send(res, ok ? 200 : 503, health)
+    }
+    if (route.indexOf('/admin/') !== 0) {
+      return send(res, 404, { error: 'not found' })
+    }
+    if (!authorized(options.token, req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer')
+      return send(res, 401, { error: 'unauthorized' })
+    }
+
+    if (req.method === 'GET' && route === '/admin/status') {
+      return send(res, 200, follower.status())
+    }
+    if (req.method === 'POST' && route === '/admin/pause') {
+      follower.pause()
+      return send(res, 200, follower.status())
+    }
+    if (req.method === 'POST' && route === '/admin/resume') {
+      follower.resume()
+      return send(res, 200, follower.status())
+    }
+    if (req.method === 'POST' && route === '/admin/seq') {
+      return readJSON(req, (e, body) => {
+        if (e || !body || !Number.isInteger(body.seq) || body.seq < 0) {
+          return send(res, 400, { error: 'expected a body of {"seq": <integer>}' })
+        }
+        follower.seek(body.seq, (e) => {
+          if (e) {
+            return send(res, e.statusCode || 500, { error: e.message })
+          }
+          send(res, 200, follower.status())
+        })
+      })
+    }
+    send(res, 404, { error: 'not found' })
+  })
+}
+
+// authorized checks the bearer token of an admin request, without leaking how
+// much of it was right through timing
+function authorized (token, req) {
+  if (!token) {
+    return true
+  }
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '')
+  if (!match) {
+    return false
+  }
+  const expected = crypto.createHash('sha256').update(token).digest()
+  const actual = crypto.createHash('sha256').update(match[1]).digest()
+  return crypto.timingSafeEqual(expected, actual)
+}
+
+function readJSON (req, cb) {
+  let body = ''
+  let tooLarge = false
+  req.setEncoding('utf8')
+  req.on('data', (chunk) => {
+    tooLarge = tooLarge || body.length + chunk.length > MAX_BODY_BYTES
+    if (!tooLarge) {
+      body += chunk
+    }
+  })
+  req.on('end', () => {
+    if (tooLarge) {
+      return cb(new Error('body too large'))
+    }
+    let parsed
+    try {
+      parsed = JSON.parse(body)
+    } catch (e) {
+      return cb(e)
+    }
+    cb(null, parsed)
+  })
+}
+
+function send (res, statusCode, body) {
+  res.statusCode = statusCode
+  res.setHeader('Content-Type', 'application/json')
+  res.setHeader('Cache-Control', 'no-store')
+  res.end(JSON.stringify(body) + '\n')
+}
+
+module.exports = { createAdminServer }
@@ -5,26 +5,159 @@ const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
 const { PubSub } = require('@google-cloud/pubsub')
 const Firestore = require('@google-cloud/firestore')
 const bunyan = require('bunyan')
-const follow = require('follow')
 const rateLimit = require('function-rate-limit')
+const { createFilter } = require('frea-gcp-mirror-common/filter')
+const { createMetrics } = require('frea-gcp-mirror-common/metrics')
+const { createUpstreams } = require('frea-gcp-mirror-common/upstreams')
+const { createAdminServer } = require('./admin.js')
+const { createSource } = require('./sources')
+
+// Load the mirror's configuration, if it is invalid there is nothing we can do
+let config
+try {
+  config = require('frea-gcp-mirror-common/config').load()
+} catch (e) {
+  // console.error is sync so we get guarenteed logs using it
+  console.error(e.message)
+  process.exit(1)
+}
+
+// Work out which upstream we follow. We only publish changes to packages that
+// route to it, so a package published to npm can't shadow one of our private
+// scopes (see frea-gcp-mirror-common/upstreams).
+let upstreams
+let upstream
+try {
+  upstreams = createUpstreams(config)
+  upstream = upstreams.get(config.follower.upstream)
+} catch (e) {
+  // console.error is sync so we get guarenteed logs using it
+  console.error(e.message)
+  process.exit(1)
+}
+if (!upstream.changes && upstream.source !== 'file') {
+  console.error('upstream ' + upstream.name + ' has no changes to follow')
+  process.exit(1)
+}
+
+// Configure where we get changes from, see ./sources
+const source = createSource({
+  source: upstream.source,
+  changes: upstream.changes,
+  file: upstream.file,
+  token: upstream.token,
+  inactivityMs: config.follower.inactivityMs,
+  pageSize: config.follower.pageSize,
+  pollIntervalMs: config.follower.pollIntervalMs,
+  record: config.follower.record
+})
 
 // Configure Cloud Pub/Sub
 const pubsub = new PubSub()
-const topic = pubsub.topic('packages')
+const topic = pubsub.topic(config.topics.packages)
 
 // Configure Logging
 const log = bunyan.createLogger({
   name: 'frea-follower',
-  level: 'info',
+  level: config.logLevel,
   streams: [
-    (new LoggingBunyan()).stream('info')
+    (new LoggingBunyan()).stream(config.logLevel)
   ]
 })
 
+// Load the filter policy that decides which packages we mirror. The policy is
+// reloaded whenever its file changes, or when we receive a SIGHUP, so the
+// follower doesn't have to be restarted (and lose its place) to change it. If
+// the new policy is invalid we keep using the old one.
+let filter
+try {
+  filter = createFilter(config.filter.policy)
+} catch (e) {
+  // console.error is sync so we get guarenteed logs using it
+  console.error(e.message)
+  process.exit(1)
+}
+function reloadFilter (e) {
+  if (e) {
+    return log.error({ err: e }, 'failed to reload filter policy')
+  }
+  log.info({ policy: config.filter.policy }, 'reloaded filter policy')
+}
+filter.watch(reloadFilter)
+process.on('SIGHUP', () => {
+  try {
+    filter.reload()
+  } catch (e) {
+    return reloadFilter(e)
+  }
+  reloadFilter(null)
+})
+
+// The number of changes the filter policy has kept off of the packages topic,
+// and the number of changes to packages that come from another upstream
+let filtered = 0
+let shadowed = 0
+
+// Report metrics through the configured sink, either a Prometheus endpoint or
+// the log. The lag behind upstream is what to alert on when the mirror falls
+// behind.
+const metrics = createMetrics(Object.assign({ log }, config.metrics))
+const gauges = {
+  seq: metrics.gauge('frea_follower_seq',
+    'The last sequence number checkpointed'),
+  received: metrics.gauge('frea_follower_received_seq',
+    'The last sequence number received from upstream'),
+  upstream: metrics.gauge('frea_follower_upstream_seq',
+    'The update_seq of the upstream database'),
+  lag: metrics.gauge('frea_follower_lag',
+    'The number of changes upstream the follower has yet to checkpoint')
+}
+const counters = {
+  changes: metrics.counter('frea_follower_changes_total',
+    'Changes received from upstream'),
+  published: metrics.counter('frea_follower_published_total',
+    'Changes published to the packages topic'),
+  errors: metrics.counter('frea_follower_publish_errors_total',
+    'Failed attempts to publish a change to the packages topic'),
+  filtered: metrics.counter('frea_follower_filtered_total',
+    'Changes the filter policy kept off of the packages topic'),
+  shadowed: metrics.counter('frea_follower_shadowed_total',
+    'Changes to packages that come from another upstream')
+}
+metrics.start()
+
+// How often we ask upstream how far ahead of us it is
+const UPSTREAM_POLL_MS = 60000
+let upstreamSeq = null
+
+// pollUpstream asks the source for the latest sequence number upstream. Not
+// every source can tell, in which case we don't report a lag.
+function pollUpstream () {
+  source.updateSeq((e, update) => {
+    if (e) {
+      return log.error({ err: e }, 'failed to fetch upstream seq')
+    }
+    if (update !== null) {
+      upstreamSeq = update
+      updateLag()
+    }
+  })
+}
+const upstreamInterval = setInterval(pollUpstream, UPSTREAM_POLL_MS)
+
+// updateLag refreshes the gauges that depend on seq
+function updateLag () {
+  gauges.seq.set(seq)
+  if (upstreamSeq !== null) {
+    gauges.upstream.set(upstreamSeq)
+    gauges.lag.set(Math.max(upstreamSeq - seq, 0))
+  }
+}
+
 let seq = 0
 // Setup persisting the Sequence ID from Cloud Firestore
 const db = new Firestore()
-const doc = db.collection('follower').doc('replicate.npmjs.com')
+const doc = db.doc(upstream.checkpoint)
 
 // Track the current sequence number so we can resume if the process crashes
 
@@ -39,9 +172,11 @@ doc.get()
     }
     // Update the sequence number from the doc
     seq = doc.data().seq
-    log.info(doc, 'starting follower')
+    started = true
+    log.info({ upstream: upstream.name, seq }, 'starting follower')
 
     // Start following the npm registry
+    pollUpstream()
     startFollowing()
   })
   .catch((e) => {
@@ -52,7 +187,99 @@ doc.get()
     process.exit(1)
   })
 
-// Keep track of whether
+// The follower only ever checkpoints changes it knows made it to the packages
+// topic. Changes are published concurrently (and retried when they fail), so
+// they are confirmed out of order. We keep every change we have received but
+// not yet confirmed in inFlight, in the order we received them, and only move
+// seq forward past a change once it and every change before it has been
+// confirmed. This makes seq the low-water mark of contiguous successful
+// publishes: after a crash, we resume from the first change that may not have
+// been published.
+const inFlight = []
+const confirmed = new Set()
+
+// How long to wait before retrying a failed publish, doubling every time it
+// fails again, up to a max
+const RETRY_BASE_MS = 1000
+const RETRY_MAX_MS = 60000
+
+// We stop receiving changes while any change is failing to publish, or while
+// more than MAX_IN_FLIGHT changes are waiting to be published, and start again
+// once the changes we have drain. Changes we can't publish pile up in memory
+// otherwise, and hold back the checkpoint however many more we receive.
+const MAX_IN_FLIGHT = 1000
+
+// How long we give in-flight changes to drain when shutting down before we
+// give up and checkpoint whatever we have
+const SHUTDOWN_TIMEOUT_MS = 25000
+// How long we give in-flight changes to drain before moving to another seq
+const SEEK_TIMEOUT_MS = 25000
+
+// What the health checks go on: whether we have loaded seq yet, when the last
+// change arrived, and how the last checkpoint went
+let started = false
+let lastChangeAt = Date.now()
+const lastSync = { at: null, error: null }
+
+// How many changes are currently failing to publish, and whether we have
+// stopped receiving changes because of them, see MAX_IN_FLIGHT
+let failing = 0
+let throttled = false
+
+// track records that we have received a change from the feed
+function track (change) {
+  lastChangeAt = Date.now()
+  if (change && change.seq !== undefined) {
+    inFlight.push(change.seq)
+    counters.changes.inc()
+    gauges.received.set(change.seq)
+  }
+}
+
+// confirm records that a change has been dealt with and moves seq forward
+// past every contiguous confirmed change at the front of inFlight
+function confirm (change) {
+  if (!change || change.seq === undefined) {
+    return
+  }
+  confirmed.add(change.seq)
+  while (inFlight.length > 0 && confirmed.has(inFlight[0])) {
+    const next = inFlight.shift()
+    confirmed.delete(next)
+    if (next > seq) {
+      seq = next
+    }
+  }
+  updateLag()
+  throttle()
+}
+
+// throttle stops receiving changes while publishing is falling behind, and
+// starts again once it has caught up. Receiving changes is only ever started
+// again when nothing else (an operator, or seeking) wants it stopped.
+function throttle () {
+  const behind = failing > 0 || inFlight.length > MAX_IN_FLIGHT
+  if (behind === throttled) {
+    return
+  }
+  throttled = behind
+  if (throttled) {
+    log.warn({ seq, failing, inFlight: inFlight.length }, 'throttling')
+    if (feed) {
+      feed.pause()
+    }
+    return
+  }
+  log.info({ seq }, 'no longer throttling')
+  // We shouldn't get killed for not receiving changes while throttled
+  lastChangeAt = Date.now()
+  if (feed && !paused && !seeking) {
+    feed.resume()
+  }
+}
+
+// Keep track of whether we are currently writing seq to Cloud Firestore so we
+// don't stack up writes if Cloud Firestore is slow
 let syncingSeq = false
 function syncSeq () {
   if (syncingSeq) {
@@ -62,21 +289,180 @@ function syncSeq () {
   doc.set({ seq })
     .then(() => {
       syncingSeq = false
+      lastSync.at = Date.now()
+      lastSync.error = null
     })
     .catch((e) => {
       syncingSeq = false
+      lastSync.at = Date.now()
+      lastSync.error = e.message
       log.error({ err: e }, 'failed to sync seq')
     })
 }
 
-setInterval(syncSeq, 5000)
+const syncInterval = setInterval(syncSeq, 5000)
+
+// The feed we are following, so we can stop it when shutting down
+let feed = null
+let stopping = false
+// Whether an operator has paused following, and whether we are in the middle
+// of moving to another seq
+let paused = false
+let seeking = false
 
 function startFollowing () {
-  follow({
-    db: 'https://replicate.npmjs.com/registry',
-    since: seq,
-    inactivity_ms: 3600000
-  }, rateLimit(12, 1000, handleChange))
+  // Changes are rate limited before being published, but we start tracking
+  // them as soon as they arrive so changes waiting on the rate limiter are
+  // accounted for too
+  const limited = rateLimit(
+    config.follower.rateLimit,
+    config.follower.rateIntervalMs,
+    handleChange)
+  feed = source.follow(seq, function onChange (e, change) {
+    track(change)
+    throttle()
+    limited(e, change)
+  })
+  if (paused || throttled) {
+    feed.pause()
+  }
+}
+
+// drain waits for every change we have received to be confirmed, calling back
+// with whether they all were before the timeout
+function drain (timeoutMs, cb) {
+  const deadline = Date.now() + timeoutMs
+  const check = () => {
+    if (inFlight.length > 0 && Date.now() < deadline) {
+      return setTimeout(check, 100)
+    }
+    cb(null, inFlight.length === 0)
+  }
+  check()
+}
+
+// health tells the health checks how we are doing. We are live as long as
+// changes keep arriving (or we've been told to stop receiving them), and
+// ready once we are following and able to checkpoint.
+function health () {
+  const sinceLastChange = Date.now() - lastChangeAt
+  const stalled = started && !paused && !seeking && !throttled &&
+    sinceLastChange > config.follower.staleMs
+  return {
+    live: !stalled,
+    ready: started && !stopping && !lastSync.error,
+    stalled,
+    sinceLastChangeMs: sinceLastChange,
+    lastSync
+  }
+}
+
+function status () {
+  return {
+    seq,
+    upstreamSeq,
+    inFlight: inFlight.length,
+    upstream: upstream.name,
+    filtered,
+    shadowed,
+    paused,
+    throttled,
+    seeking,
+    stopping
+  }
+}
+
+function pause () {
+  if (!paused) {
+    log.info({ seq }, 'pausing')
+  }
+  paused = true
+  if (feed) {
+    feed.pause()
+  }
+}
+
+function resume () {
+  if (paused) {
+    log.info({ seq }, 'resuming')
+  }
+  paused = false
+  // Whoever paused us shouldn't get us killed for not receiving changes
+  lastChangeAt = Date.now()
+  if (feed && !throttled) {
+    feed.resume()
+  }
+}
+
+// seek moves the follower to another seq. The feed is paused until every
+// change we have already received has been published, so none of them get
+// confirmed against the new seq. Then the new seq is checkpointed and we start
+// following from it.
+function seek (target, cb) {
+  const conflict = (message) => {
+    const e = new Error(message)
+    e.statusCode = 409
+    return cb(e)
+  }
+  if (!started || stopping || seeking) {
+    return conflict('not following')
+  }
+  seeking = true
+  log.info({ seq, target }, 'seeking')
+  feed.pause()
+  drain(SEEK_TIMEOUT_MS, (_, drained) => {
+    // Shutting down takes precedence, it checkpoints wherever we are
+    if (stopping) {
+      seeking = false
+      return conflict('shutting down')
+    }
+    if (!drained) {
+      seeking = false
+      if (!paused && !throttled) {
+        feed.resume()
+      }
+      log.warn({ seq, target, inFlight: inFlight.length }, 'gave up seeking')
+      return conflict('changes are still in flight, try again later')
+    }
+    feed.stop()
+    seq = target
+    updateLag()
+    doc.set({ seq })
+      .then(() => {
+        seeking = false
+        lastChangeAt = Date.now()
+        startFollowing()
+        log.info({ seq }, 'sought')
+        cb()
+      })
+      .catch((e) => {
+        // We don't know whether the new seq was checkpointed, but we know
+        // where we want to be
+        seeking = false
+        lastChangeAt = Date.now()
+        startFollowing()
+        log.error({ err: e, seq }, 'failed to checkpoint seq')
+        cb(e)
+      })
+  })
+}
+
+// Start the health and admin endpoint
+const admin = createAdminServer({ token: config.follower.adminToken }, {
+  health,
+  status,
+  pause,
+  resume,
+  seek,
+  metrics
+})
+// Without a token, anyone who can reach the admin endpoint can pause and
+// rewind us, so only this machine gets to
+if (config.follower.adminToken) {
+  admin.listen(config.follower.adminPort)
+} else {
+  admin.listen(config.follower.adminPort, '127.0.0.1')
+  log.warn('the admin endpoint has no token, only listening on 127.0.0.1')
 }
 
 function handleChange (e, change) {
@@ -86,22 +472,106 @@ function handleChange (e, change) {
 
   if (!change || !change.id) {
     log.error({ change }, 'change did not include an id')
-    return
+    // There is nothing to publish, so there is nothing to wait for
+    return confirm(change)
+  }
+
+  // Changes to packages we don't mirror are dealt with as soon as we've seen
+  // them
+  const result = filter.check(change.id)
+  if (!result.allowed) {
+    filtered++
+    counters.filtered.inc()
+    log.debug({ change, reason: result.reason, filtered }, 'filtered')
+    return confirm(change)
+  }
+
+  // A package whose scope is routed to another upstream is only ever mirrored
+  // from there, whatever this upstream says about it
+  if (!upstreams.owns(upstream, change.id)) {
+    shadowed++
+    counters.shadowed.inc()
+    log.warn({ change, owner: upstreams.route(change.id).name, shadowed },
+      'ignoring change to a package from another upstream')
+    return confirm(change)
   }
 
   log.info({ change }, 'publishing')
+  publish(change, 0)
+}
 
+// publish sends a change to the packages topic, retrying with an exponential
+// backoff until it succeeds. A change is only confirmed once it has been
+// published, and we stop receiving changes while it is failing.
+function publish (change, attempt) {
   const changeId = Buffer.from(String(change.id))
+  // Let the packages Cloud Function know when a package has been deleted from
+  // the registry so it can remove it from the mirror. The seq of the change is
+  // passed along so the events announcing what it mirrored can point back at
+  // it.
+  const attributes = { seq: String(change.seq) }
+  if (change.deleted) {
+    attributes.deleted = 'true'
+  }
 
-  topic.publish(changeId, function topicPublished (e) {
-    if (change.seq > seq) {
-      seq = change.seq
+  topic.publish(changeId, attributes, function topicPublished (e) {
+    if (e) {
+      counters.errors.inc()
+      const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempt), RETRY_MAX_MS)
+      log.error({ err: e, change, attempt, delay }, 'failed to publish topic')
+      if (attempt === 0) {
+        failing++
+        throttle()
+      }
+      return setTimeout(() => publish(change, attempt + 1), delay)
     }
 
     log.info({ change }, 'published')
+    counters.published.inc()
+    if (attempt > 0) {
+      failing--
+    }
+    confirm(change)
+  })
+}
 
-    if (e) {
-      log.error({ err: e }, 'failed to publish topic')
+// shutdown stops following the registry, waits for the changes we have
+// already received to be published, and checkpoints seq one last time before
+// exiting. If in-flight changes don't drain in time, we checkpoint the
+// low-water mark anyway, which is always safe to resume from.
+function shutdown (signal) {
+  if (stopping) {
+    return
+  }
+  stopping = true
+  log.info({ signal, seq, inFlight: inFlight.length, filtered }, 'shutting down')
+
+  if (feed) {
+    feed.stop()
+  }
+  clearInterval(syncInterval)
+  clearInterval(upstreamInterval)
+
+  drain(SHUTDOWN_TIMEOUT_MS, (_, drained) => {
+    if (!drained) {
+      log.warn({ seq, inFlight: inFlight.length }, 'gave up draining')
     }
+    // Report our metrics one last time, in case they only go to the log
+    updateLag()
+    metrics.flush()
+    doc.set({ seq })
+      .then(() => {
+        // console.error is sync so we get guarenteed logs using it
+        console.error('checkpointed seq ' + seq)
+        process.exit(0)
+      })
+      .catch((e) => {
+        console.error('failed to checkpoint seq')
+        console.error(e)
+        process.exit(1)
+      })
   })
 }
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
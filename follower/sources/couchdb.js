@@ -0,0 +1,36 @@
+'use strict'
+
+const follow = require('follow')
+const { authorization, getJSON, seqNumber } = require('./poll.js')
+
+// The CouchDB source follows a database's continuous _changes feed, which is
+// how replicate.npmjs.com publishes the npm registry's changes. follow takes
+// care of reconnecting, and restarts the feed when it goes inactivityMs
+// without a change or a heartbeat.
+module.exports = function couchdb (options) {
+  return {
+    follow (since, onChange) {
+      return follow({
+        db: options.changes,
+        since,
+        inactivity_ms: options.inactivityMs,
+        headers: authorization(options.token)
+      }, onChange)
+    },
+
+    // The database's info includes the latest seq
+    updateSeq (cb) {
+      const headers = authorization(options.token)
+      getJSON(options.changes, headers, options.inactivityMs, (e, info) => {
+        if (e) {
+          return cb(e)
+        }
+        const update = seqNumber(info.update_seq)
+        if (isNaN(update)) {
+          return cb(new Error('upstream info did not include update_seq'))
+        }
+        cb(null, update)
+      })
+    }
+  }
+}
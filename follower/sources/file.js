@@ -0,0 +1,118 @@
+'use strict'
+
+const fs = require('fs')
+const { poll, seqNumber } = require('./poll.js')
+
+// The file source replays changes from a file with one change per line, as
+// JSON, in the order they happened:
+//
+//   {"seq":1,"id":"left-pad"}
+//   {"seq":2,"id":"left-pad","deleted":true}
+//
+// which is what recording any other source writes (see ./index.js). This lets
+// us rerun a window of changes, carry changes into a mirror that can't reach
+// npm, and drive tests with a known set of changes. Changes at or before the
+// seq we follow from are skipped, following from now skips everything already
+// in the file. Once we reach the end of the file we keep watching it for more
+// changes, so a recording can be replayed while it is still being written.
+
+// How much of the file we read at a time
+const READ_BYTES = 1024 * 1024
+const NEWLINE = 0x0a
+
+module.exports = function file (options) {
+  // The seq of the last change in the file, as far as we know
+  let latest = null
+
+  // read reads up to READ_BYTES of the file from offset
+  function read (offset, cb) {
+    fs.open(options.file, 'r', (e, fd) => {
+      if (e) {
+        return cb(e)
+      }
+      const buffer = Buffer.alloc(READ_BYTES)
+      fs.read(fd, buffer, 0, READ_BYTES, offset, (e, bytesRead) => {
+        fs.close(fd, () => cb(e, buffer.slice(0, bytesRead || 0)))
+      })
+    })
+  }
+
+  function follow (since, onChange) {
+    const after = since === 'now' ? null : seqNumber(since)
+
+    // The cursor is the offset in the file the next page starts at, or null
+    // until we know where to start from
+    function fetch (offset, cb) {
+      if (offset === null && since === 'now') {
+        return fs.stat(options.file, (e, stats) => {
+          cb(e, e ? null : { changes: [], cursor: stats.size, more: true })
+        })
+      }
+      offset = offset || 0
+      read(offset, (e, bits) => {
+        if (e) {
+          return cb(e)
+        }
+        // Only whole lines are replayed, the rest of a line may not have been
+        // written yet. The last line of the file doesn't need a newline as long
+        // as it is a whole change, a partially written change is never valid
+        // JSON.
+        let end = bits.lastIndexOf(NEWLINE) + 1
+        const full = bits.length === READ_BYTES
+        if (end === 0 && full) {
+          return cb(new Error('line at offset ' + offset + ' of ' + options.file +
+            ' is longer than ' + READ_BYTES + ' bytes'))
+        }
+        if (!full && end < bits.length && parse(bits.slice(end))) {
+          end = bits.length
+        }
+        let changes
+        try {
+          changes = bits.slice(0, end).toString('utf8').split('\n')
+            .filter((line) => line.trim() !== '')
+            .map((line) => {
+              const change = parse(line)
+              if (!change) {
+                throw new Error('invalid change in ' + options.file + ': ' + line)
+              }
+              return change
+            })
+        } catch (e) {
+          return cb(e)
+        }
+        if (changes.length > 0) {
+          latest = seqNumber(changes[changes.length - 1].seq)
+        }
+        cb(null, {
+          changes: changes.filter((change) => {
+            return after === null || seqNumber(change.seq) > after
+          }),
+          cursor: offset + end,
+          more: full
+        })
+      })
+    }
+
+    return poll(null, fetch, options.pollIntervalMs, onChange)
+  }
+
+  return {
+    follow,
+    updateSeq: (cb) => cb(null, latest)
+  }
+}
+
+// parse parses a line of the file, returning null if it isn't a change
+function parse (line) {
+  let change
+  try {
+    change = JSON.parse(line)
+  } catch (e) {
+    return null
+  }
+  if (!change || typeof change !== 'object' || change.seq === undefined ||
+      typeof change.id !== 'string') {
+    return null
+  }
+  return change
+}
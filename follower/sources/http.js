@@ -0,0 +1,54 @@
+'use strict'
+
+const url = require('url')
+const { authorization, getJSON, poll, seqNumber } = require('./poll.js')
+
+// The HTTP source polls a changes endpoint a page at a time, for registries
+// that can't hold a continuous feed open. The endpoint is asked for
+// ?since=<seq>&limit=<pageSize> and answers the way CouchDB answers a
+// _changes request that isn't continuous:
+//
+//   {
+//     "results": [ { "seq": 12, "id": "left-pad", "deleted": true }, ... ],
+//     "last_seq": 12,
+//     "pending": 3
+//   }
+//
+// pending, the number of changes after last_seq, is optional. A page with
+// fewer changes than we asked for means we have caught up.
+module.exports = function httpSource (options) {
+  // The latest seq upstream, as far as we know
+  let latest = null
+
+  function fetch (since, cb) {
+    const target = url.parse(options.changes, true)
+    delete target.search
+    target.query.since = since
+    target.query.limit = options.pageSize
+    const headers = authorization(options.token)
+    getJSON(url.format(target), headers, options.inactivityMs, (e, page) => {
+      if (e) {
+        return cb(e)
+      }
+      if (!page || !Array.isArray(page.results)) {
+        return cb(new Error('changes page did not include results'))
+      }
+      const last = page.results[page.results.length - 1]
+      const cursor = page.last_seq !== undefined
+        ? page.last_seq
+        : last ? last.seq : since
+      const more = page.results.length >= options.pageSize
+      if (typeof page.pending === 'number') {
+        latest = seqNumber(cursor) + page.pending
+      } else if (!more) {
+        latest = seqNumber(cursor)
+      }
+      cb(null, { changes: page.results, cursor, more })
+    })
+  }
+
+  return {
+    follow: (since, onChange) => poll(since, fetch, options.pollIntervalMs, onChange),
+    updateSeq: (cb) => cb(null, isNaN(latest) ? null : latest)
+  }
+}
@@ -0,0 +1,93 @@
+'use strict'
+
+const fs = require('fs')
+
+// The follower gets the changes it publishes from a change source. Which kind
+// of source is pluggable, every source implements the same interface:
+//
+//   follow(since, onChange(err, change))
+//     Starts following every change after since, calling onChange with each
+//     change ({ seq, id, deleted }) in order. Returns a feed that can be
+//     paused, resumed, and stopped:
+//       feed.pause(), feed.resume(), feed.stop()
+//   updateSeq(cb(err, seq))
+//     Finds out the latest seq upstream, so the follower can tell how far
+//     behind it is. Calls back with null if the source can't tell.
+//
+// The following sources are supported:
+//   couchdb: A continuous CouchDB _changes feed, this is what the mirror
+//            follows replicate.npmjs.com with
+//   http:    A changes endpoint that is polled a page at a time, for
+//            registries that don't offer a continuous feed
+//   file:    A file of changes, one JSON object per line, for replaying a
+//            recorded window of changes (see record below)
+
+const SOURCES = {
+  couchdb: () => require('./couchdb.js'),
+  http: () => require('./http.js'),
+  file: () => require('./file.js')
+}
+
+// createSource creates a change source. Sources are only loaded when they are
+// used. The options are:
+//   options.source          One of couchdb, http, or file
+//   options.changes         The url of the changes feed (couchdb and http)
+//   options.file            The file to replay changes from (file)
+//   options.token           The token to authenticate to the feed with
+//                           (couchdb and http, optional)
+//   options.inactivityMs    How long the feed may go without a change before
+//                           it is restarted (couchdb), and how long a request
+//                           may go without an answer before it fails (couchdb
+//                           and http)
+//   options.pageSize        How many changes to ask for at a time (http)
+//   options.pollIntervalMs  How long to wait before looking for more changes
+//                           once we have caught up, or after failing to get
+//                           them (http and file)
+//   options.record          A file every change followed is appended to, in
+//                           the format the file source replays (optional)
+function createSource (options) {
+  const source = SOURCES[options.source]
+  if (!source) {
+    throw new Error('unknown change source: ' + options.source)
+  }
+  const created = source()(options)
+  return options.record ? record(created, options.record) : created
+}
+
+// record wraps a source so every change it follows is appended to a file as a
+// line of JSON. Recording from a source and replaying the recording with the
+// file source follows the same changes, in the same order, with the same seqs.
+function record (source, filename) {
+  return Object.assign({}, source, {
+    follow (since, onChange) {
+      const out = fs.createWriteStream(filename, { flags: 'a' })
+      // Failing to record shouldn't stop us from following
+      out.on('error', (e) => onChange(e))
+      const feed = source.follow(since, (e, change) => {
+        if (!e && change && change.seq !== undefined) {
+          out.write(JSON.stringify(line(change)) + '\n')
+        }
+        onChange(e, change)
+      })
+      return {
+        pause: () => feed.pause(),
+        resume: () => feed.resume(),
+        stop () {
+          feed.stop()
+          out.end()
+        }
+      }
+    }
+  })
+}
+
+// line picks out the fields of a change the follower uses
+function line (change) {
+  const result = { seq: change.seq, id: change.id }
+  if (change.deleted) {
+    result.deleted = true
+  }
+  return result
+}
+
+module.exports = { createSource }
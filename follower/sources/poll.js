@@ -0,0 +1,147 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const url = require('url')
+
+// Helpers shared by the sources that have to go and fetch changes themselves,
+// rather than having them pushed to them
+
+// getJSON fetches and parses a JSON document, with the given headers. A
+// request that goes timeoutMs without any activity on its socket is aborted,
+// and fails like any other request would.
+function getJSON (target, headers, timeoutMs, cb) {
+  // Only the first error is reported, a request can fail after its response
+  // has started
+  let finished = false
+  const callback = (e, body) => {
+    if (!finished) {
+      finished = true
+      cb(e, body)
+    }
+  }
+  const client = /^https:/.test(target) ? https : http
+  const req = client.get(Object.assign(url.parse(target), { headers }), (res) => {
+    let body = ''
+    res.setEncoding('utf8')
+    res.on('data', (chunk) => { body += chunk })
+    res.on('error', callback)
+    res.on('end', () => {
+      if (res.statusCode !== 200) {
+        const e = new Error('unexpected status code ' + res.statusCode + ' from ' + target)
+        e.statusCode = res.statusCode
+        return callback(e)
+      }
+      let parsed
+      try {
+        parsed = JSON.parse(body)
+      } catch (e) {
+        return callback(e)
+      }
+      callback(null, parsed)
+    })
+  })
+  req.on('error', callback)
+  req.setTimeout(timeoutMs, () => {
+    callback(new Error('timed out after ' + timeoutMs + 'ms fetching ' + target))
+    req.abort()
+  })
+}
+
+// poll turns a function that fetches a page of changes at a time into a feed.
+// fetch(cursor, cb(err, page)) fetches the page starting at cursor, and calls
+// back with { changes, cursor, more }, where cursor is where the next page
+// starts, and more is whether there is another page to fetch straight away.
+// Once we have caught up we wait intervalMs before looking for more changes,
+// and the same after failing to fetch a page. Changes fetched while paused are
+// held on to until we are resumed.
+function poll (cursor, fetch, intervalMs, onChange) {
+  let queue = []
+  let more = true
+  let paused = false
+  let stopped = false
+  let fetching = false
+  let timer = null
+
+  function next () {
+    timer = null
+    if (stopped || paused || fetching) {
+      return
+    }
+    fetching = true
+    fetch(cursor, (e, page) => {
+      fetching = false
+      if (stopped) {
+        return
+      }
+      if (e) {
+        onChange(e)
+        more = false
+        return paused ? null : wait()
+      }
+      cursor = page.cursor
+      more = page.more
+      queue = queue.concat(page.changes)
+      deliver()
+    })
+  }
+
+  function wait () {
+    timer = setTimeout(next, intervalMs)
+  }
+
+  // deliver hands out the changes we have fetched until we are paused or run
+  // out, and then moves on to the next page
+  function deliver () {
+    // onChange may pause or stop us
+    while (queue.length > 0) {
+      if (paused || stopped) {
+        return
+      }
+      onChange(null, queue.shift())
+    }
+    if (paused || stopped) {
+      return
+    }
+    return more ? next() : wait()
+  }
+
+  next()
+  return {
+    pause () {
+      paused = true
+      clearTimeout(timer)
+    },
+    resume () {
+      if (!paused || stopped) {
+        return
+      }
+      paused = false
+      clearTimeout(timer)
+      if (!fetching) {
+        // Whoever paused us may have been waiting a while, so look for new
+        // changes straight away
+        more = true
+        deliver()
+      }
+    },
+    stop () {
+      stopped = true
+      clearTimeout(timer)
+    }
+  }
+}
+
+// authorization is the headers that authenticate us with a token, if we have
+// one
+function authorization (token) {
+  return token ? { authorization: 'Bearer ' + token } : {}
+}
+
+// seqNumber turns a seq into a number we can compare. CouchDB 2 sequence
+// numbers are strings that start with the number we want.
+function seqNumber (seq) {
+  return parseInt(String(seq), 10)
+}
+
+module.exports = { authorization, getJSON, poll, seqNumber }
@@ -0,0 +1,333 @@
+'use strict'
+
+const crypto = require('crypto')
+const http = require('http')
+const url = require('url')
+const zlib = require('zlib')
+
+// A fake npm registry for running the mirror without the internet. It serves
+// the three things the mirror reads from npm:
+//
+//   /_replicate            The CouchDB database the follower follows, with a
+//   /_replicate/_changes   continuous changes feed, or a page of changes
+//                          when it isn't asked for a continuous feed
+//   /<name>                Packuments, scoped names may have their / escaped
+//   /<name>/-/<file>.tgz   Tarballs
+//
+// Tests script it through:
+//   registry.publish(spec)    Publishes a package and adds a change to the
+//                             feed. spec is { name, versions, tags, time,
+//                             tarballs } where versions lists the version
+//                             numbers, tags maps dist-tags to versions (latest
+//                             defaults to the last version), time maps
+//                             versions to when they were published (the epoch
+//                             by default), and tarballs maps versions to how
+//                             their tarball misbehaves:
+//                               { corrupt: true }  Serve different bits than
+//                                                  the packument's hashes
+//                               { status: 404 }    Respond with a status
+//                                                  instead of the tarball
+//                               { delayMs: 500 }   Wait before responding
+//                               { files: {...} }   Pack these files, by name
+//                                                  relative to package/,
+//                                                  instead of the manifest
+//                               { cut: 1 }         Drop the connection halfway
+//                                                  through the first request
+//                               { stall: 1 }       Stop sending halfway
+//                                                  through the first request
+//                               { ranges: false }  Ignore Range headers
+//                               { path: '/x/-/x-1.0.0.tgz' }
+//                                                  Point the packument at
+//                                                  this tarball instead
+//                             Tarballs are served with Range support, cut and
+//                             stall count requests.
+//   registry.remove(name)     Makes a package 404 and adds a change to the feed
+//   registry.unpublish(name)  Replaces a packument with npm's unpublished stub
+//                             and adds a change to the feed
+//   registry.delete(name)     Adds a deleted change to the feed, the packument
+//                             404s
+//   registry.tarball(name, version)  The bits of a tarball we published
+//   registry.requests(name, version) The Range header of every request for a
+//                                    tarball, '' when it had none
+//   registry.seq              The seq of the latest change
+//   registry.credentials      The authorization header of every request, if
+//                             it had one
+//
+// A registry created with { token } is private, and answers every request that
+// doesn't authenticate with the token with a 404, the way many private
+// registries hide what they have. A registry created with { tarballHost }
+// serves its tarballs from that host instead, e.g. localhost rather than
+// 127.0.0.1, the way a registry serves its tarballs from a CDN.
+
+// tarball creates a gzipped tarball holding the given files, in the layout
+// npm publishes: everything in a package/ directory
+function tarball (files) {
+  const blocks = []
+  Object.keys(files).forEach((name) => {
+    const body = Buffer.from(files[name])
+    const header = Buffer.alloc(512)
+    const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0'
+    header.write('package/' + name, 0, 100)
+    header.write(octal(0o644, 8), 100)
+    header.write(octal(0, 8), 108)
+    header.write(octal(0, 8), 116)
+    header.write(octal(body.length, 12), 124)
+    header.write(octal(0, 12), 136)
+    // The checksum is calculated with its own field set to spaces
+    header.write('        ', 148)
+    header.write('0', 156)
+    header.write('ustar\0', 257)
+    header.write('00', 263)
+    let checksum = 0
+    for (let i = 0; i < 512; i++) {
+      checksum += header[i]
+    }
+    header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148)
+    blocks.push(header, body, Buffer.alloc((512 - body.length % 512) % 512))
+  })
+  // A tar file ends with two empty blocks
+  blocks.push(Buffer.alloc(1024))
+  return zlib.gzipSync(Buffer.concat(blocks))
+}
+
+function createRegistry (options) {
+  options = options || {}
+  const packuments = {}
+  const tarballs = {}
+  const changes = []
+  const feeds = []
+  let base = null
+  let tarballBase = null
+
+  const registry = {
+    seq: 0,
+    credentials: [],
+    url: null,
+    // Where the registry's tarballs are served from
+    tarballUrl: null,
+    // The database url the follower should follow
+    changesUrl: null,
+
+    listen (cb) {
+      server.listen(0, '127.0.0.1', () => {
+        base = 'http://127.0.0.1:' + server.address().port
+        tarballBase = options.tarballHost
+          ? 'http://' + options.tarballHost + ':' + server.address().port
+          : base
+        registry.url = base
+        registry.tarballUrl = tarballBase
+        registry.changesUrl = base + '/_replicate'
+        cb()
+      })
+    },
+
+    close (cb) {
+      feeds.forEach((feed) => feed.close())
+      server.close(cb)
+      // Clients keep their connections alive, which would keep us open
+      server.closeAllConnections()
+    },
+
+    publish (spec) {
+      const name = spec.name
+      const versions = {}
+      const time = { created: new Date(0).toISOString() }
+      spec.versions.forEach((version) => {
+        const manifest = {
+          name,
+          version,
+          description: 'the ' + version + ' release of ' + name,
+          dependencies: {}
+        }
+        const misbehaves = (spec.tarballs || {})[version] || {}
+        const bits = tarball(misbehaves.files ||
+          { 'package.json': JSON.stringify(manifest, null, 2) })
+        const file = name.split('/').pop() + '-' + version + '.tgz'
+        const path = '/' + name + '/-/' + file
+        tarballs[path] = Object.assign({ bits, requests: [] }, misbehaves)
+        manifest.dist = {
+          tarball: tarballBase + (misbehaves.path || path),
+          shasum: crypto.createHash('sha1').update(bits).digest('hex'),
+          integrity: 'sha512-' + crypto.createHash('sha512').update(bits).digest('base64')
+        }
+        versions[version] = manifest
+        time[version] = (spec.time || {})[version] || new Date(0).toISOString()
+      })
+      time.modified = new Date().toISOString()
+      packuments[name] = {
+        _id: name,
+        name,
+        'dist-tags': Object.assign({
+          latest: spec.versions[spec.versions.length - 1]
+        }, spec.tags),
+        versions,
+        time
+      }
+      change(name)
+    },
+
+    remove (name) {
+      delete packuments[name]
+      change(name)
+    },
+
+    unpublish (name) {
+      packuments[name] = {
+        _id: name,
+        name,
+        time: {
+          modified: new Date().toISOString(),
+          unpublished: { time: new Date().toISOString(), versions: [] }
+        }
+      }
+      change(name)
+    },
+
+    delete (name) {
+      delete packuments[name]
+      change(name, true)
+    },
+
+    tarball (name, version) {
+      const file = name.split('/').pop() + '-' + version + '.tgz'
+      return tarballs['/' + name + '/-/' + file].bits
+    },
+
+    requests (name, version) {
+      const file = name.split('/').pop() + '-' + version + '.tgz'
+      return tarballs['/' + name + '/-/' + file].requests
+    }
+  }
+
+  // change adds a change to the feed and sends it to everyone following
+  function change (id, deleted) {
+    registry.seq++
+    const entry = { seq: registry.seq, id, changes: [ { rev: registry.seq + '-fake' } ] }
+    if (deleted) {
+      entry.deleted = true
+    }
+    changes.push(entry)
+    feeds.forEach((feed) => feed.send(entry))
+  }
+
+  function json (res, statusCode, body) {
+    res.statusCode = statusCode
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+  }
+
+  const server = http.createServer((req, res) => {
+    const parsed = url.parse(req.url, true)
+    const pathname = decodeURIComponent(parsed.pathname)
+
+    if (req.headers.authorization) {
+      registry.credentials.push(req.headers.authorization)
+    }
+    if (options.token && req.headers.authorization !== 'Bearer ' + options.token) {
+      return json(res, 404, { error: 'not_found' })
+    }
+
+    if (pathname === '/_replicate') {
+      return json(res, 200, {
+        db_name: 'registry',
+        update_seq: registry.seq,
+        instance_start_time: '0'
+      })
+    }
+
+    if (pathname === '/_replicate/_changes') {
+      return parsed.query.feed === 'continuous'
+        ? follow(req, res, parsed.query)
+        : page(res, parsed.query)
+    }
+
+    const tarballMatch = /^(\/(?:@[^/]+\/)?[^/]+\/-\/[^/]+\.tgz)$/.exec(pathname)
+    if (tarballMatch) {
+      const entry = tarballs[tarballMatch[1]]
+      if (!entry) {
+        return json(res, 404, { error: 'not_found' })
+      }
+      return setTimeout(() => {
+        if (entry.status) {
+          return json(res, entry.status, { error: 'scripted failure' })
+        }
+        let bits = entry.bits
+        if (entry.corrupt) {
+          bits = Buffer.from(bits)
+          bits[bits.length - 1] ^= 0xff
+        }
+        const range = req.headers.range || ''
+        entry.requests.push(range)
+        const count = entry.requests.length
+        res.setHeader('Content-Type', 'application/octet-stream')
+        res.setHeader('ETag', '"' + crypto.createHash('sha1').update(bits).digest('hex') + '"')
+        const start = /^bytes=(\d+)-$/.exec(range)
+        if (start && entry.ranges !== false) {
+          const from = Number(start[1])
+          res.statusCode = 206
+          res.setHeader('Content-Range', 'bytes ' + from + '-' + (bits.length - 1) +
+            '/' + bits.length)
+          bits = bits.slice(from)
+        }
+        res.setHeader('Content-Length', bits.length)
+        if (count <= (entry.cut || 0) || count <= (entry.stall || 0)) {
+          res.write(bits.slice(0, Math.floor(bits.length / 2)))
+          if (count <= (entry.cut || 0)) {
+            // Give the half we sent a moment to make it out first
+            setTimeout(() => res.socket.destroy(), 50)
+          }
+          return
+        }
+        res.end(bits)
+      }, entry.delayMs || 0)
+    }
+
+    const packument = packuments[pathname.slice(1)]
+    if (!packument) {
+      return json(res, 404, { error: 'not_found' })
+    }
+    json(res, 200, packument)
+  })
+
+  // page serves the changes after the requested seq, up to limit of them
+  function page (res, query) {
+    const since = Number(query.since) || 0
+    const after = changes.filter((entry) => entry.seq > since)
+    const results = query.limit ? after.slice(0, Number(query.limit)) : after
+    const last = results[results.length - 1]
+    json(res, 200, {
+      results,
+      last_seq: last ? last.seq : since,
+      pending: after.length - results.length
+    })
+  }
+
+  // follow serves a continuous changes feed: every change since the requested
+  // seq, then every new change as it happens, with a heartbeat in between
+  function follow (req, res, query) {
+    const since = Number(query.since) || 0
+    res.setHeader('Content-Type', 'application/json')
+    res.flushHeaders()
+    const feed = {
+      send (entry) {
+        res.write(JSON.stringify(entry) + '\n')
+      },
+      close () {
+        clearInterval(heartbeat)
+        res.end()
+      }
+    }
+    const heartbeat = setInterval(() => res.write('\n'),
+      Number(query.heartbeat) || 30000)
+    changes.filter((entry) => entry.seq > since).forEach(feed.send)
+    feeds.push(feed)
+    req.on('close', () => {
+      clearInterval(heartbeat)
+      feeds.splice(feeds.indexOf(feed), 1)
+    })
+  }
+
+  return registry
+}
+
+module.exports = { createRegistry, tarball }
@@ -0,0 +1,50 @@
+'use strict'
+
+const http = require('http')
+
+// A fake webhook receiver, which records every delivery the webhooks Cloud
+// Function makes. Tests script it through:
+//   receiver.deliveries        Every delivery, { headers, body }, where body
+//                              is the raw body
+//   receiver.fail(count)       Responds to the next count deliveries with a
+//                              500, they are still recorded
+//   receiver.url               Where deliveries should be POSTed
+function createReceiver () {
+  let failing = 0
+
+  const receiver = {
+    url: null,
+    deliveries: [],
+
+    listen (cb) {
+      server.listen(0, '127.0.0.1', () => {
+        receiver.url = 'http://127.0.0.1:' + server.address().port + '/hook'
+        cb()
+      })
+    },
+
+    fail (count) {
+      failing = count
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      receiver.deliveries.push({ headers: req.headers, body })
+      if (failing > 0) {
+        failing--
+        res.statusCode = 500
+        return res.end()
+      }
+      res.statusCode = 204
+      res.end()
+    })
+  })
+
+  return receiver
+}
+
+module.exports = { createReceiver }
@@ -0,0 +1,143 @@
+'use strict'
+
+// An in-memory Cloud Firestore, implementing just enough of the API for the
+// follower's checkpoint, the retry Cloud Function's queues, and the mirror's
+// completion tracking. Transactions run one at a time. Every instance
+// shares the same documents, so tests can seed and inspect them through
+// Firestore.documents, which maps document paths to their data.
+
+const documents = {}
+let nextId = 0
+let transactions = Promise.resolve()
+
+class DocumentSnapshot {
+  constructor (ref) {
+    this.ref = ref
+    this.id = ref.id
+    this.exists = documents[ref.path] !== undefined
+  }
+
+  data () {
+    return this.exists ? JSON.parse(JSON.stringify(documents[this.ref.path])) : undefined
+  }
+}
+
+class DocumentReference {
+  constructor (path) {
+    this.path = path
+    this.id = path.split('/').pop()
+  }
+
+  get () {
+    return Promise.resolve(new DocumentSnapshot(this))
+  }
+
+  set (data) {
+    documents[this.path] = JSON.parse(JSON.stringify(data))
+    return Promise.resolve()
+  }
+
+  delete () {
+    delete documents[this.path]
+    return Promise.resolve()
+  }
+
+  // Like Firestore, deleting a document leaves its subcollections alone
+  collection (id) {
+    return new CollectionReference(this.path + '/' + id)
+  }
+}
+
+// Like Firestore, values are only ever compared to values of the same type
+const OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b
+}
+
+class Query {
+  constructor (path, filters, order, max) {
+    this.path = path
+    this.filters = filters || []
+    this.order = order || null
+    this.max = max || Infinity
+  }
+
+  where (field, operator, value) {
+    const filter = (data) => data[field] !== null &&
+      typeof data[field] === typeof value &&
+      OPERATORS[operator](data[field], value)
+    return new Query(this.path, this.filters.concat(filter), this.order, this.max)
+  }
+
+  orderBy (field) {
+    return new Query(this.path, this.filters, field, this.max)
+  }
+
+  limit (max) {
+    return new Query(this.path, this.filters, this.order, max)
+  }
+
+  get () {
+    const prefix = this.path + '/'
+    let docs = Object.keys(documents)
+      .filter((path) => path.indexOf(prefix) === 0 &&
+        path.slice(prefix.length).indexOf('/') === -1)
+      .map((path) => new DocumentSnapshot(new DocumentReference(path)))
+      .filter((doc) => this.filters.every((filter) => filter(doc.data())))
+    if (this.order) {
+      docs.sort((a, b) => a.data()[this.order] - b.data()[this.order])
+    }
+    docs = docs.slice(0, this.max)
+    return Promise.resolve({ docs, size: docs.length, empty: docs.length === 0 })
+  }
+}
+
+class CollectionReference extends Query {
+  doc (id) {
+    return new DocumentReference(this.path + '/' + id)
+  }
+
+  add (data) {
+    const ref = this.doc('doc' + (nextId++))
+    return ref.set(data).then(() => ref)
+  }
+}
+
+class Transaction {
+  get (ref) {
+    return ref.get()
+  }
+
+  set (ref, data) {
+    ref.set(data)
+    return this
+  }
+
+  delete (ref) {
+    ref.delete()
+    return this
+  }
+}
+
+class Firestore {
+  doc (path) {
+    return new DocumentReference(path)
+  }
+
+  runTransaction (fn) {
+    const run = transactions.then(() => fn(new Transaction()))
+    transactions = run.catch(() => {})
+    return run
+  }
+
+  collection (path) {
+    return new CollectionReference(path)
+  }
+}
+
+Firestore.documents = documents
+
+module.exports = Firestore
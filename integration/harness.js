@@ -0,0 +1,230 @@
+'use strict'
+
+const fs = require('fs')
+const http = require('http')
+const net = require('net')
+const os = require('os')
+const path = require('path')
+// The stubs are complete, so there is no need to load the real modules
+const proxyquire = require('proxyquire').noCallThru()
+const storage = require('frea-gcp-mirror-common/storage')
+const Firestore = require('./firestore.stub.js')
+const PubSubStub = require('./pubsub.stub.js')
+const LoggingBunyanStub = require('./logging-bunyan.stub.js')
+const { createRegistry } = require('./fake-registry.js')
+const { createReceiver } = require('./fake-webhook.js')
+
+// Runs the whole mirror in this process, hermetically: the follower follows the
+// fake registry, every Cloud Function is wired up to the in-memory Pub/Sub,
+// Firestore is in-memory too, and everything is mirrored into a temporary
+// directory through the local storage backend, which the read server serves.
+
+// How long settle waits for the mirror to catch up before giving up
+const SETTLE_TIMEOUT_MS = 30000
+
+// The token the mirror authenticates to the private registry with
+const INTERNAL_TOKEN = 'internal-token'
+
+// The secret webhook deliveries are signed with
+const WEBHOOK_SECRET = 'webhook-secret'
+
+const stubs = {
+  '@google-cloud/pubsub': PubSubStub,
+  '@google-cloud/logging-bunyan': LoggingBunyanStub,
+  '@google-cloud/firestore': Firestore
+}
+
+// freePort finds a port nobody is listening on, for the follower's admin server
+// and the read server
+function freePort (cb) {
+  const server = net.createServer()
+  server.listen(0, '127.0.0.1', () => {
+    const port = server.address().port
+    server.close(() => cb(port))
+  })
+}
+
+// start starts the fake registry and the mirror, calling back with:
+//   mirror.registry    The fake registry, for publishing packages
+//   mirror.internal    A private fake registry the @internal scope routes to,
+//                      it has no changes feed the mirror follows and serves
+//                      its tarballs from another host
+//   mirror.webhook     The fake webhook receiver events are delivered to
+//   mirror.server      The url of the read server in front of the mirror
+//   mirror.admin       The url of the follower's admin server
+//   mirror.bucket      The storage the mirror writes to
+//   mirror.directory   The directory the storage keeps the mirror in
+//   mirror.documents   Firestore's documents, by path
+//   mirror.pubsub      Pub/Sub, for triggering the scheduled Cloud Functions
+//   mirror.packages    The packages Cloud Function's module, for the helpers
+//                      it exposes to the cli
+//   mirror.settle(cb)  Waits until the mirror has processed every change
+//                      published to the registry so far
+//   mirror.status(cb)  The follower's status, see follower/admin.js
+function start (cb) {
+  const registry = createRegistry()
+  const internal = createRegistry({ token: INTERNAL_TOKEN, tarballHost: 'localhost' })
+  const webhook = createReceiver()
+  const listen = (cb) => registry.listen(() => internal.listen(() => webhook.listen(cb)))
+  listen(() => freePort((adminPort) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-mirror-'))
+    // Only the @quarantined scope is quarantined, except for its ours package
+    const policy = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'frea-policy-')),
+      'quarantine.json')
+    fs.writeFileSync(policy, JSON.stringify({
+      scopes: { '@quarantined': 24 },
+      allow: [ '@quarantined/ours' ]
+    }))
+    const routes = path.join(path.dirname(policy), 'routes.json')
+    fs.writeFileSync(routes, JSON.stringify({
+      upstreams: {
+        internal: {
+          registry: internal.url,
+          tokenEnv: 'INTERNAL_NPM_TOKEN',
+          authHosts: [ internal.tarballUrl ]
+        }
+      },
+      scopes: { '@internal': 'internal' }
+    }))
+
+    // Configure the mirror entirely through the environment, ignoring whatever
+    // configuration file or policy the developer running the tests uses
+    delete process.env.FREA_CONFIG
+    delete process.env.FILTER_POLICY
+    Object.assign(process.env, {
+      STORAGE_BACKEND: 'local',
+      STORAGE_DIRECTORY: directory,
+      UPSTREAM_CHANGES: registry.changesUrl,
+      UPSTREAM_REGISTRY: registry.url,
+      MIRROR_URL: 'http://mirror.test/',
+      FOLLOWER_ADMIN_PORT: String(adminPort),
+      FOLLOWER_RATE_LIMIT: '100',
+      // Small enough for the tests to exercise splitting packages into chunks
+      PACKAGES_CHUNK_SIZE: '4',
+      QUARANTINE_POLICY: policy,
+      UPSTREAM_ROUTES: routes,
+      INTERNAL_NPM_TOKEN: INTERNAL_TOKEN,
+      TOPIC_EVENTS: 'events',
+      WEBHOOKS_URL: webhook.url,
+      WEBHOOKS_SECRET: WEBHOOK_SECRET,
+      // Give up on a delivery quickly, it is the retry queue's problem then
+      WEBHOOKS_ATTEMPTS: '2',
+      // Short enough for the tests to stall a download, long enough for the
+      // slow tarball, and small enough for the tests to exceed
+      TARBALLS_IDLE_TIMEOUT_MS: '2000',
+      TARBALLS_MAX_BYTES: '65536',
+      LOG_LEVEL: process.env.LOG_LEVEL || 'fatal'
+    })
+
+    // The follower starts from the beginning of the fake registry's feed
+    Firestore.documents['follower/replicate.npmjs.com'] = { seq: 0 }
+
+    const pubsub = new PubSubStub.PubSub()
+    const packages = proxyquire('../packages/index.js', stubs)
+    pubsub.topic('packages').register(packages.packages)
+    pubsub.topic('quarantine-tick').register(packages.quarantineTick)
+    pubsub.topic('tarballs').register(proxyquire('../tarballs/index.js', stubs).tarballs)
+    pubsub.topic('retry').register(proxyquire('../retry/index.js', stubs).retry)
+    const webhooks = proxyquire('../webhooks/index.js', stubs)
+    pubsub.topic('events').register(webhooks.webhooks)
+    pubsub.topic('webhooks').register(webhooks.redeliver)
+    proxyquire('../follower/index.js', stubs)
+
+    startServer(directory, (server) => cb(null, {
+      registry,
+      internal,
+      webhook,
+      server,
+      admin: 'http://127.0.0.1:' + adminPort,
+      bucket: storage.createStorage({ backend: 'local', directory }),
+      directory,
+      documents: Firestore.documents,
+      pubsub,
+      packages,
+      settle: (cb) => settle(registry, adminPort, cb),
+      status: (cb) => status(adminPort, cb)
+    }))
+  }))
+}
+
+// startServer starts a read server (see server/index.js) in front of the local
+// storage in directory, calling back with the url it serves and the server
+function startServer (directory, cb) {
+  freePort((port) => {
+    Object.assign(process.env, {
+      STORAGE_BACKEND: 'local',
+      STORAGE_DIRECTORY: directory,
+      PORT: String(port)
+    })
+    const server = proxyquire('../server/index.js', stubs)
+    const url = 'http://127.0.0.1:' + port
+    if (server.listening) {
+      return cb(url, server)
+    }
+    server.once('listening', () => cb(url, server))
+  })
+}
+
+// fetch requests path from the server at base as is, without resolving dots
+// or slashes, calling back with { statusCode, headers, body } where body is a
+// buffer. options may set the method and headers.
+function fetch (base, path, options, cb) {
+  const target = new URL(base)
+  const req = http.request({
+    host: target.hostname,
+    port: target.port,
+    method: options.method || 'GET',
+    path,
+    headers: options.headers || {}
+  }, (res) => {
+    const chunks = []
+    res.on('data', (chunk) => chunks.push(chunk))
+    res.on('end', () => cb(null, {
+      statusCode: res.statusCode,
+      headers: res.headers,
+      body: Buffer.concat(chunks)
+    }))
+  })
+  req.on('error', cb)
+  req.end()
+}
+
+// status asks the follower's admin server for its status
+function status (port, cb) {
+  http.get({ host: '127.0.0.1', port, path: '/admin/status' }, (res) => {
+    let body = ''
+    res.setEncoding('utf8')
+    res.on('data', (chunk) => { body += chunk })
+    res.on('end', () => {
+      let parsed
+      try {
+        parsed = JSON.parse(body)
+      } catch (e) {
+        return cb(e)
+      }
+      cb(null, parsed)
+    })
+  }).on('error', cb)
+}
+
+// settle waits until the follower has received every change the registry has
+// published, handed all of them to the packages topic, and the Cloud Functions
+// have finished with everything that followed from them
+function settle (registry, port, cb) {
+  const deadline = Date.now() + SETTLE_TIMEOUT_MS
+  const check = () => {
+    if (Date.now() > deadline) {
+      return cb(new Error('timed out waiting for the mirror to settle'))
+    }
+    // The admin server may not be listening yet
+    status(port, (e, follower) => {
+      if (e || follower.seq < registry.seq || follower.inFlight > 0) {
+        return setTimeout(check, 50)
+      }
+      PubSubStub.idle(cb)
+    })
+  }
+  check()
+}
+
+module.exports = { start, startServer, fetch }
@@ -1,22 +1,40 @@
-const proxyquire = require('proxyquire')
+'use strict'
+
+// Runs the whole mirror against the real npm registry in a single process,
+// with Pub/Sub and Firestore in memory. For a hermetic run against a fake
+// registry, see the tests in ./test.
+// The stubs are complete, so there is no need to load the real modules
+const proxyquire = require('proxyquire').noCallThru()
 const PubSubStub = require('./pubsub.stub.js')
-const StorageStub = require('./storage.stub.js')
 const LoggingBunyanStub = require('./logging-bunyan.stub.js')
+const Firestore = require('./firestore.stub.js')
 const rateLimit = require('function-rate-limit')
 const stubs = {
   '@google-cloud/pubsub': PubSubStub,
-  '@google-cloud/storage': StorageStub,
-  '@google-cloud/logging-bunyan': LoggingBunyanStub
+  '@google-cloud/logging-bunyan': LoggingBunyanStub,
+  '@google-cloud/firestore': Firestore
+}
+
+// Mirror into ./freajs on the local filesystem
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local'
+
+// Nothing is checkpointed between runs, follow from SEQ or from whatever
+// happens next
+Firestore.documents['follower/replicate.npmjs.com'] = {
+  seq: process.env.SEQ || 'now'
 }
 
 const { tarballs } = proxyquire('../tarballs/index.js', stubs)
 const { packages } = proxyquire('../packages/index.js', stubs)
+const { retry } = proxyquire('../retry/index.js', stubs)
 
 const { PubSub } = PubSubStub
 const pubsub = new PubSub()
 const packagesTopic = pubsub.topic('packages')
 const tarballsTopic = pubsub.topic('tarballs')
+const retryTopic = pubsub.topic('retry')
 packagesTopic.register(rateLimit(1, 2000, packages))
 tarballsTopic.register(rateLimit(5, 1000, tarballs))
+retryTopic.register(retry)
 
 proxyquire('../follower/index.js', stubs)
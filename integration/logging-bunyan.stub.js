@@ -1,13 +1,17 @@
+'use strict'
+
 const { Writable } = require('stream')
 
+// Stackdriver logging, written to stderr instead so it stays out of the way
+// of anything on stdout (like the test results)
 class LogStream extends Writable {
-  write(chunk) {
-    process.stdout.write(chunk)
+  _write (chunk, enc, cb) {
+    process.stderr.write(chunk, cb)
   }
 }
 
 class LoggingBunyan {
-  stream(level) {
+  stream (level) {
     const stream = new LogStream()
     return {
       stream,
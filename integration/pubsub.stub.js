@@ -1,34 +1,79 @@
+'use strict'
+
+// An in-memory Cloud Pub/Sub. Publishing succeeds right away and the message
+// is then delivered to every handler registered on the topic, the same way a
+// Cloud Function trigger would. Messages published to a topic nobody is
+// listening to are dropped.
+//
+// idle(cb) calls back once every delivered message has been handled, so tests
+// can wait for the pipeline to settle. topic.fail(count) makes the next count
+// publishes to a topic fail.
+
+const topics = {}
+let pending = 0
+let nextId = 0
+
 class Topic {
-  constructor() {
+  constructor (name) {
+    this.name = name
     this.listeners = []
+    this.published = []
+    this.failures = 0
   }
-  register(func) {
+
+  register (func) {
     this.listeners.push(func)
   }
-  publish(data, attributes, cb) {
-    if(typeof attributes === 'function') {
+
+  publish (data, attributes, cb) {
+    if (typeof attributes === 'function') {
       cb = attributes
       attributes = {}
     }
-    if(!cb) {
-      cb = function(){}
+    cb = cb || function () {}
+    if (this.failures > 0) {
+      this.failures--
+      return setImmediate(() => cb(new Error('failed to publish to ' + this.name)))
     }
     const message = {
-      data: data.toString('base64'),
-      attributes
+      data: Buffer.from(data).toString('base64'),
+      attributes: Object.assign({}, attributes)
     }
-    this.listeners.forEach((v) => v(message, {}, cb))
+    const id = String(nextId++)
+    this.published.push(message)
+    this.listeners.forEach((listener) => {
+      pending++
+      setImmediate(() => listener(message, { eventId: id }, () => { pending-- }))
+    })
+    setImmediate(() => cb(null, id))
   }
-  setPublishOptions() {}
-}
 
-topics = {}
+  fail (count) {
+    this.failures = count
+  }
+
+  setPublishOptions () {}
+}
 
 class PubSub {
-  topic(topic) {
-    topics[topic] = topics[topic] || new Topic()
-    return topics[topic]
+  topic (name) {
+    topics[name] = topics[name] || new Topic(name)
+    return topics[name]
+  }
+}
+
+// idle waits until no message has been in flight for a couple of checks in a
+// row, since handling one message usually publishes the next
+function idle (cb) {
+  let quiet = 0
+  const check = () => {
+    quiet = pending === 0 ? quiet + 1 : 0
+    if (quiet >= 3) {
+      return cb()
+    }
+    setTimeout(check, 50)
   }
+  check()
 }
 
-module.exports = { PubSub }
+module.exports = { PubSub, idle }
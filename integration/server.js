@@ -0,0 +1,12 @@
+// Runs the read server against the local storage backend, serving whatever
+// the integration run mirrored into ./freajs
+// The stubs are complete, so there is no need to load the real modules
+const proxyquire = require('proxyquire').noCallThru()
+const LoggingBunyanStub = require('./logging-bunyan.stub.js')
+const stubs = {
+  '@google-cloud/logging-bunyan': LoggingBunyanStub
+}
+
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local'
+
+proxyquire('../server/index.js', stubs)
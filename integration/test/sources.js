@@ -0,0 +1,234 @@
+'use strict'
+
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+const test = require('tape')
+const { createSource } = require('../../follower/sources')
+const { createRegistry } = require('../fake-registry.js')
+
+// Tests of the follower's change sources on their own, against the fake
+// registry and files of changes
+
+// Short enough that the tests don't wait around for changes
+const POLL_MS = 20
+
+const registry = createRegistry()
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'frea-sources-'))
+
+// source creates a source with the options every test needs
+function source (options) {
+  return createSource(Object.assign({
+    inactivityMs: 60000,
+    pageSize: 1000,
+    pollIntervalMs: POLL_MS
+  }, options))
+}
+
+// follow follows a source from since until it has received count changes,
+// calling each with every change as it arrives, and calling back with the
+// changes as the file source records them
+function follow (from, since, count, each, cb) {
+  const changes = []
+  let done = false
+  const feed = from.follow(since, (e, change) => {
+    if (done) {
+      return
+    }
+    if (e) {
+      done = true
+      feed.stop()
+      return cb(e)
+    }
+    changes.push(change.deleted
+      ? { seq: change.seq, id: change.id, deleted: true }
+      : { seq: change.seq, id: change.id })
+    each(changes.length, feed)
+    if (changes.length === count) {
+      done = true
+      feed.stop()
+      cb(null, changes)
+    }
+  })
+}
+
+const nothing = () => {}
+
+function write (name, lines) {
+  const file = path.join(directory, name)
+  fs.writeFileSync(file, lines.map((line) => JSON.stringify(line) + '\n').join(''))
+  return file
+}
+
+test('start the registry', (t) => {
+  registry.listen(() => {
+    registry.delete('one')
+    registry.delete('two')
+    registry.delete('three')
+    registry.delete('four')
+    registry.delete('five')
+    t.end()
+  })
+})
+
+test('refuses unknown sources', (t) => {
+  t.throws(() => source({ source: 'carrier-pigeon' }), /unknown change source/)
+  t.end()
+})
+
+test('replays the changes in a file after since', (t) => {
+  t.timeoutAfter(10000)
+  const file = write('replay.jsonl', [
+    { seq: 1, id: 'a' },
+    { seq: 2, id: 'b', deleted: true },
+    { seq: 3, id: '@scope/c' }
+  ])
+  // The last line doesn't need a newline
+  fs.appendFileSync(file, '\n' + JSON.stringify({ seq: 4, id: 'd' }))
+  const replay = source({ source: 'file', file })
+  follow(replay, 1, 3, nothing, (e, changes) => {
+    t.error(e)
+    t.deepEqual(changes, [
+      { seq: 2, id: 'b', deleted: true },
+      { seq: 3, id: '@scope/c' },
+      { seq: 4, id: 'd' }
+    ])
+    replay.updateSeq((e, seq) => {
+      t.error(e)
+      t.equal(seq, 4, 'knows the last seq in the file')
+      t.end()
+    })
+  })
+})
+
+test('keeps following a file as it is written', (t) => {
+  t.timeoutAfter(10000)
+  const file = write('growing.jsonl', [ { seq: 1, id: 'a' } ])
+  follow(source({ source: 'file', file }), 0, 2, (count) => {
+    if (count === 1) {
+      // Half a change isn't replayed until the rest of it is written
+      fs.appendFileSync(file, '{"seq":2,')
+      setTimeout(() => fs.appendFileSync(file, '"id":"b"}\n'), POLL_MS * 5)
+    }
+  }, (e, changes) => {
+    t.error(e)
+    t.deepEqual(changes, [ { seq: 1, id: 'a' }, { seq: 2, id: 'b' } ])
+    t.end()
+  })
+})
+
+test('follows a file from now', (t) => {
+  t.timeoutAfter(10000)
+  const file = write('now.jsonl', [ { seq: 1, id: 'a' } ])
+  follow(source({ source: 'file', file }), 'now', 1, nothing, (e, changes) => {
+    t.error(e)
+    t.deepEqual(changes, [ { seq: 2, id: 'b' } ], 'skips what was already there')
+    t.end()
+  })
+  setTimeout(() => fs.appendFileSync(file, '{"seq":2,"id":"b"}\n'), POLL_MS * 5)
+})
+
+test('holds on to changes while paused', (t) => {
+  t.timeoutAfter(10000)
+  const file = write('paused.jsonl', [
+    { seq: 1, id: 'a' },
+    { seq: 2, id: 'b' },
+    { seq: 3, id: 'c' }
+  ])
+  let pausedAt = null
+  follow(source({ source: 'file', file }), 0, 3, (count, feed) => {
+    if (count === 1) {
+      feed.pause()
+      pausedAt = Date.now()
+      setTimeout(() => feed.resume(), POLL_MS * 5)
+    }
+  }, (e, changes) => {
+    t.error(e)
+    t.equal(changes.length, 3, 'receives every change once resumed')
+    t.ok(Date.now() - pausedAt >= POLL_MS * 5, 'receives nothing while paused')
+    t.end()
+  })
+})
+
+test('polls a changes endpoint a page at a time', (t) => {
+  t.timeoutAfter(10000)
+  const pages = source({
+    source: 'http',
+    changes: registry.changesUrl + '/_changes',
+    pageSize: 2
+  })
+  follow(pages, 1, 5, (count) => {
+    if (count === 4) {
+      registry.delete('six')
+    }
+  }, (e, changes) => {
+    t.error(e)
+    t.deepEqual(changes.map((change) => change.seq), [ 2, 3, 4, 5, 6 ])
+    t.deepEqual(changes.map((change) => change.id),
+      [ 'two', 'three', 'four', 'five', 'six' ])
+    pages.updateSeq((e, seq) => {
+      t.error(e)
+      t.equal(seq, 6, 'knows the latest seq upstream')
+      t.end()
+    })
+  })
+})
+
+test('fetches a page again when it takes too long to answer', (t) => {
+  t.timeoutAfter(10000)
+  // The first request never gets an answer, the next one does
+  let requests = 0
+  const slow = http.createServer((req, res) => {
+    requests++
+    if (requests === 1) {
+      return
+    }
+    res.setHeader('content-type', 'application/json')
+    res.end(JSON.stringify({ results: [ { seq: 1, id: 'one' } ], last_seq: 1 }))
+  })
+  slow.listen(0, '127.0.0.1', () => {
+    const pages = source({
+      source: 'http',
+      changes: 'http://127.0.0.1:' + slow.address().port + '/_changes',
+      inactivityMs: POLL_MS * 5
+    })
+    const errors = []
+    const feed = pages.follow(0, (e, change) => {
+      if (e) {
+        return errors.push(e)
+      }
+      feed.stop()
+      t.equal(errors.length, 1, 'the request that timed out fails')
+      t.ok(/timed out/.test(errors[0].message), 'because it timed out')
+      t.equal(change.id, 'one', 'and the page is fetched again')
+      t.equal(requests, 2, 'once')
+      slow.close(() => t.end())
+    })
+  })
+})
+
+test('replays a recording of a CouchDB feed', (t) => {
+  t.timeoutAfter(10000)
+  const file = path.join(directory, 'recording.jsonl')
+  const recorded = source({
+    source: 'couchdb',
+    changes: registry.changesUrl,
+    record: file
+  })
+  follow(recorded, 0, registry.seq, nothing, (e, followed) => {
+    t.error(e)
+    // The recording is flushed once the feed has stopped
+    setTimeout(() => {
+      follow(source({ source: 'file', file }), 0, followed.length, nothing, (e, replayed) => {
+        t.error(e)
+        t.deepEqual(replayed, followed, 'replays the same changes')
+        t.end()
+      })
+    }, POLL_MS * 5)
+  })
+})
+
+test('stop the registry', (t) => {
+  registry.close(() => t.end())
+})
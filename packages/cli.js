@@ -0,0 +1,376 @@
+#!/usr/bin/env node
+'use strict'
+
+// frea-packages is a maintenance cli for the manifests the packages Cloud
+// Function uploads.
+//
+// Usage:
+//   frea-packages rewrite-urls [--dry-run] [prefix]
+//     Rewrite the dist.tarball urls of every manifest in the bucket (or every
+//     manifest under prefix) to point at the mirror. This is only needed for
+//     manifests uploaded before the packages Cloud Function started rewriting
+//     them. Manifests that already point at the mirror are left alone.
+//   frea-packages reconcile [--dry-run] [--report <file>] [name...]
+//     Compare the given packages (or every package in the bucket) with
+//     upstream and republish anything that is missing or stale: packages whose
+//     manifests need repairing go to the packages topic, tarballs that need
+//     mirroring go to the tarballs topic. A JSON report of everything that was
+//     repaired is written to the report file, or stdout.
+
+const { eachLimit } = require('async')
+const { PubSub } = require('@google-cloud/pubsub')
+const bunyan = require('bunyan')
+const fs = require('fs')
+const miss = require('mississippi')
+const path = require('path')
+const str = require('string-to-stream')
+const config = require('frea-gcp-mirror-common/config').load()
+const {
+  abbreviate,
+  bucket,
+  exposedManifest,
+  filter,
+  integrities,
+  publishTarball,
+  publishTimes,
+  quarantine,
+  readManifest,
+  registry,
+  rewriteTarballUrls,
+  tarballPath,
+  tarballVersions
+} = require('./index.js')
+
+// The cli logs to the terminal rather than stackdriver. Logs go to stderr so
+// they don't get mixed up with the reconcile report.
+const log = bunyan.createLogger({
+  name: 'frea-packages-cli',
+  level: 'info',
+  stream: process.stderr
+})
+
+const [ command, ...args ] = process.argv.slice(2)
+
+function usage () {
+  console.error('usage: frea-packages rewrite-urls [--dry-run] [prefix]')
+  console.error('       frea-packages reconcile [--dry-run] [--report <file>] [name...]')
+  process.exit(1)
+}
+
+function rewriteUrls () {
+  const dryRun = args.indexOf('--dry-run') !== -1
+  const prefix = args.filter((arg) => arg !== '--dry-run')[0]
+  const stats = { scanned: 0, rewritten: 0, failed: 0 }
+
+  bucket.list(prefix, (e, files) => {
+    if (e) {
+      log.error({ err: e }, 'failed to list bucket')
+      process.exit(1)
+    }
+    const manifests = files.filter((file) => /(^|\/)index\.json$/.test(file))
+    eachLimit(manifests, 16, (file, cb) => {
+      stats.scanned++
+      rewriteFile({ dryRun, stats }, file, cb)
+    }, () => {
+      log.info(stats, 'done')
+      process.exit(stats.failed > 0 ? 1 : 0)
+    })
+  })
+}
+
+// rewriteFile downloads a single manifest, rewrites its tarball urls, and
+// uploads it again if anything changed
+function rewriteFile (opts, file, cb) {
+  readManifest(file, (e, manifest) => {
+    if (e) {
+      log.error({ err: e, file }, 'failed to read manifest')
+      opts.stats.failed++
+      return cb()
+    }
+    const rewritten = rewriteTarballUrls(manifest)
+    if (JSON.stringify(rewritten) === JSON.stringify(manifest)) {
+      return cb()
+    }
+    opts.stats.rewritten++
+    if (opts.dryRun) {
+      log.info({ file }, 'would rewrite')
+      return cb()
+    }
+    miss.pipe(
+      str(JSON.stringify(rewritten, null, '    ')),
+      bucket.createWriteStream(file, {
+        contentType: 'application/json',
+        public: true
+      }),
+      (e) => {
+        if (e) {
+          log.error({ err: e, file }, 'failed to upload manifest')
+          opts.stats.failed++
+        } else {
+          log.info({ file }, 'rewritten')
+        }
+        cb()
+      })
+  })
+}
+
+// Package names in the bucket are found through their manifests, and through
+// their tarballs in case the manifests are missing altogether
+const MANIFEST_KEY = /^(@[^/]+\/[^/]+|[^@/][^/]*)\/index\.json$/
+const TARBALL_KEY = /^\/?(@[^/]+\/[^/]+|[^@/][^/]*)\/-\//
+
+function reconcile () {
+  const dryRun = args.indexOf('--dry-run') !== -1
+  const reportIndex = args.indexOf('--report')
+  const reportFile = reportIndex === -1 ? null : args[reportIndex + 1]
+  if (reportIndex !== -1 && !reportFile) {
+    usage()
+  }
+  const names = args.filter((arg, i) => {
+    return arg !== '--dry-run' && i !== reportIndex && i !== reportIndex + 1
+  })
+  const report = {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    dryRun,
+    stats: { packages: 0, filtered: 0, repaired: 0, manifests: 0, tarballs: 0, failed: 0 },
+    repairs: [],
+    failures: []
+  }
+  const opts = {
+    log,
+    dryRun,
+    report,
+    topic: (new PubSub()).topic(config.topics.packages)
+  }
+
+  const done = () => {
+    report.finishedAt = new Date().toISOString()
+    const contents = JSON.stringify(report, null, '  ') + '\n'
+    if (reportFile) {
+      fs.writeFileSync(reportFile, contents)
+    } else {
+      process.stdout.write(contents)
+    }
+    log.info(report.stats, dryRun ? 'dry run' : 'done')
+    process.exit(report.stats.failed > 0 ? 1 : 0)
+  }
+
+  listPackages(names, (e, names) => {
+    if (e) {
+      log.error({ err: e }, 'failed to list bucket')
+      process.exit(1)
+    }
+    eachLimit(names, 4, (name, cb) => {
+      const filtered = filter.check(name)
+      if (!filtered.allowed) {
+        report.stats.filtered++
+        return cb()
+      }
+      report.stats.packages++
+      reconcilePackage(opts, name, cb)
+    }, done)
+  })
+}
+
+// listPackages returns the packages to reconcile, which is every package in
+// the bucket unless we were given some
+function listPackages (names, cb) {
+  if (names.length > 0) {
+    return cb(null, names)
+  }
+  bucket.list('', (e, keys) => {
+    if (e) {
+      return cb(e)
+    }
+    const found = new Set()
+    keys.forEach((key) => {
+      const match = MANIFEST_KEY.exec(key) || TARBALL_KEY.exec(key)
+      if (match) {
+        found.add(match[1])
+      }
+    })
+    cb(null, Array.from(found).sort())
+  })
+}
+
+// reconcilePackage compares what the bucket holds for a package with what
+// the packages and tarballs Cloud Functions would have uploaded for it, and
+// republishes whatever doesn't match
+function reconcilePackage (opts, name, cb) {
+  const { log, report } = opts
+  // Repairs to any of the manifests are done by having the packages Cloud
+  // Function mirror the whole package again
+  const repairs = []
+  const repair = (entry) => {
+    entry = Object.assign({ package: name }, entry)
+    repairs.push(entry)
+    report.repairs.push(entry)
+    log.info(entry, 'needs repair')
+  }
+  const fail = (e) => {
+    report.stats.failed++
+    report.failures.push({ package: name, error: e.message })
+    log.error({ err: e, package: name }, 'failed to reconcile')
+  }
+  const finish = () => {
+    if (repairs.length > 0) {
+      report.stats.repaired++
+    }
+    if (opts.dryRun || !repairs.some((entry) => entry.topic === 'packages')) {
+      return cb()
+    }
+    // Unchanged manifests aren't uploaded again unless the packages Cloud
+    // Function is told to repair them
+    opts.topic.publish(Buffer.from(name), { repair: 'true' }, (e) => {
+      if (e) {
+        fail(e)
+      }
+      cb()
+    })
+  }
+
+  registry.get(name, (e, manifest) => {
+    // A package that is unpublished upstream shouldn't be on the mirror, the
+    // packages Cloud Function takes care of removing it. A 404 is a failure
+    // like any other, the packages Cloud Function doesn't remove on one either.
+    const removed = !e && manifest.json && manifest.json.time &&
+      manifest.json.time.unpublished
+    if (removed) {
+      const key = path.join(name, 'index.json')
+      return bucket.exists(key, (e, exists) => {
+        if (e) {
+          fail(e)
+        } else if (exists) {
+          report.stats.manifests++
+          repair({ kind: 'packument', key, problem: 'removed upstream', topic: 'packages' })
+        }
+        finish()
+      })
+    }
+    if (e || !manifest.json || !manifest.json.name) {
+      fail(e || new Error('didnt resolve package level manifest'))
+      return cb()
+    }
+
+    // Tarballs that aren't the package's own are never mirrored, so they
+    // aren't expected in the bucket
+    const tarballs = (manifest.tarballs || [])
+      .filter((tarball) => tarball.path !== null)
+    const ints = integrities(manifest.json)
+    const tarballVersion = tarballVersions(manifest.json)
+    // The tarball paths that aren't mirrored
+    const broken = {}
+
+    const check = (doc, cb3) => {
+      readManifest(doc.key, (e, stored) => {
+        let problem = null
+        if (e) {
+          problem = e.code === 404 ? 'missing' : 'unreadable'
+        } else if (JSON.stringify(stored) !== JSON.stringify(doc.contents)) {
+          problem = 'stale'
+        }
+        if (problem) {
+          report.stats.manifests++
+          repair({ kind: doc.kind, key: doc.key, problem, topic: 'packages' })
+        }
+        cb3()
+      })
+    }
+
+    eachLimit(tarballs, 8, (tarball, cb2) => {
+      const integrity = ints[tarball.tarball]
+      checkTarball(tarball, integrity, (_, problem) => {
+        if (!problem) {
+          return cb2()
+        }
+        broken[tarball.path] = true
+        report.stats.tarballs++
+        repair({ kind: 'tarball', key: tarball.path, problem, topic: 'tarballs' })
+        if (opts.dryRun) {
+          return cb2()
+        }
+        const publishOpts = { log, failure: null }
+        const version = tarballVersion[tarball.tarball]
+        publishTarball(publishOpts, Object.assign({ version }, tarball), integrity, () => {
+          if (publishOpts.failure) {
+            fail(new Error(publishOpts.failure))
+          }
+          cb2()
+        })
+      })
+    }, () => {
+      const all = manifest.json.versions || {}
+      const mirrored = Object.keys(all).filter((version) => {
+        const dist = all[version].dist || {}
+        const key = typeof dist.tarball === 'string'
+          ? tarballPath(name, dist.tarball)
+          : null
+        return key !== null && !broken[key]
+      }).sort()
+      // Versions the quarantine holds back aren't listed either
+      const checked = quarantine.check(name, mirrored,
+        publishTimes(manifest.json), Date.now())
+      // Until one of its versions can be listed, a package is hidden
+      if (checked.eligible.length === 0) {
+        return finish()
+      }
+      // The manifests we expect to find in the bucket, exactly as the packages
+      // Cloud Function would upload them: the package level manifests, and
+      // the manifest of every version and dist-tag they list. A dist-tag that
+      // shares its name with a version doesn't get a manifest of its own.
+      const full = rewriteTarballUrls(
+        exposedManifest(manifest.json, checked.eligible, checked.held))
+      const expected = [
+        { kind: 'packument', key: path.join(name, 'index.json'), contents: full },
+        { kind: 'abbreviated', key: path.join(name, 'corgi.json'), contents: abbreviate(full) }
+      ]
+      Object.keys(full.versions).forEach((version) => expected.push({
+        kind: 'version',
+        key: path.join(name, version, 'index.json'),
+        contents: full.versions[version]
+      }))
+      Object.keys(full['dist-tags'])
+        .filter((tag) => !all[tag])
+        .forEach((tag) => expected.push({
+          kind: 'dist-tag',
+          key: path.join(name, tag, 'index.json'),
+          contents: full.versions[full['dist-tags'][tag]]
+        }))
+      eachLimit(expected, 8, check, finish)
+    })
+  })
+}
+
+// reconcilePackage is exported for the integration tests
+module.exports = { reconcilePackage }
+
+// checkTarball calls back with why a tarball needs mirroring, or nothing if
+// the bucket already holds the right bits. It never fails, a tarball we can't
+// check is a tarball that needs mirroring again.
+function checkTarball (tarball, integrity, cb) {
+  bucket.getMetadata(tarball.path, (e, metadata) => {
+    if (e) {
+      return cb(null, e.code === 404 ? 'missing' : 'unreadable')
+    }
+    const recorded = metadata.metadata || {}
+    if (recorded.shasum !== tarball.shasum ||
+        (integrity && recorded.integrity !== integrity)) {
+      return cb(null, 'stale')
+    }
+    cb()
+  })
+}
+
+if (require.main === module) {
+  switch (command) {
+    case 'rewrite-urls':
+      rewriteUrls()
+      break
+    case 'reconcile':
+      reconcile()
+      break
+    default:
+      usage()
+  }
+}
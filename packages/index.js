@@ -1,20 +1,31 @@
 'use strict'
 
 // Load all dependencies
-const { each, parallel } = require('async')
+const { concat, each, eachLimit, parallel } = require('async')
 const Registry = require('npm-change-resolve')
+const got = require('got')
 const { PubSub } = require('@google-cloud/pubsub')
+const Firestore = require('@google-cloud/firestore')
 const once = require('once').strict
+const crypto = require('crypto')
 const path = require('path')
-const { Storage } = require('@google-cloud/storage')
+const semver = require('semver')
 const str = require('string-to-stream')
 const miss = require('mississippi')
 const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
 const bunyan = require('bunyan')
+const config = require('frea-gcp-mirror-common/config').load()
+const storage = require('frea-gcp-mirror-common/storage')
+const { createFilter } = require('frea-gcp-mirror-common/filter')
+const { createMetrics } = require('frea-gcp-mirror-common/metrics')
+const { createState, complete } = require('frea-gcp-mirror-common/state')
+const { createQuarantine } = require('frea-gcp-mirror-common/quarantine')
+const { createUpstreams, ownTarball } = require('frea-gcp-mirror-common/upstreams')
+const { createEvents, seqOf } = require('frea-gcp-mirror-common/events')
 
 // Configure Google Cloud Pub/Sub
 const pubsub = new PubSub()
-const topic = pubsub.topic('tarballs')
+const topic = pubsub.topic(config.topics.tarballs)
 topic.setPublishOptions({
   // Dont batch messages! We want to flush to Pub/Sub immediately since this
   // is a Cloud Function invocation
@@ -23,21 +34,138 @@ topic.setPublishOptions({
   }
 })
 
-// Configure Google Cloud Storage
-const storage = new Storage()
-const bucket = storage.bucket('freajs')
+// Large packages are split into chunks, which are handed back to this Cloud
+// Function through its own topic so every chunk gets an invocation (and a
+// timeout) of its own
+const packagesTopic = pubsub.topic(config.topics.packages)
+packagesTopic.setPublishOptions({
+  batching: {
+    maxMessages: 0
+  }
+})
+
+// Configure the retry queue. Any work that fails is handed over to the retry
+// Cloud Function through this topic, which takes care of backing off and
+// replaying it, or parking it in the dead-letter store once it has run out of
+// attempts.
+const retryTopic = pubsub.topic(config.topics.retry)
+retryTopic.setPublishOptions({
+  batching: {
+    maxMessages: 0
+  }
+})
+
+// Announce the versions we mirror and the packages and versions we remove on
+// the events topic, if there is one, see frea-gcp-mirror-common/events
+const events = createEvents(pubsub, config.topics.events)
+
+// Track which versions of every package are fully mirrored in Cloud Firestore,
+// see frea-gcp-mirror-common/state. The manifests we upload only list versions
+// whose tarball is in the bucket. The full package level manifest from npm is
+// kept under _pending/ in the bucket, and whenever more versions are complete
+// (the tarballs Cloud Function lets us know through a refresh message) the
+// manifests are uploaded again from it.
+const state = createState(new Firestore(), config.state.collection)
+const PENDING = '_pending'
+// Refreshing uploads the package level manifests, then checks whether more
+// versions completed in the meantime. Refreshes racing each other converge on
+// the latest state, but we give up (and retry later) rather than loop forever.
+const MAX_REFRESHES = 5
+
+// Configure the bucket we mirror into. This is Google Cloud Storage by default,
+// see frea-gcp-mirror-common/storage for the other backends.
+const bucket = storage.createStorage(config.storage)
+
+// The base url the mirror is served from (mirrorUrl in the configuration).
+// Every dist.tarball url in the manifests we upload is rewritten to this base
+// url followed by the key the tarballs Cloud Function uploads the tarball to,
+// see tarballUrl. The key always starts with a slash, and the base url is used
+// as-is, so the default (which points directly at the bucket) ends in a slash
+// to match the object names in Google Cloud Storage. The read server (see
+// server/index.js) understands the resulting //<name>/-/<file>.tgz too.
+const MIRROR_URL = config.mirrorUrl
+
+// What to do with the artifacts of packages and versions that are removed from
+// npm, either by being unpublished or taken down for security reasons
+// (unpublishPolicy in the configuration):
+//   delete: Remove the manifests and tarballs from the mirror entirely
+//   retain: Remove the package from the package level manifest, hiding it from
+//           npm clients, but keep the version manifests and tarballs around so
+//           teams that already depend on them (through a lockfile) can still
+//           install them
+// Either way, every removal is recorded in the audit log in the bucket.
+const UNPUBLISH_POLICY = config.unpublishPolicy
+
+// Mirroring a package publishes a message for every tarball, which for the
+// largest packages on npm is more than an invocation can get through before it
+// times out. Packages with more than CHUNK_SIZE tarballs are split into chunks
+// of CHUNK_SIZE, and every chunk is published back to the packages topic as a
+// work item of its own. Within an invocation, at most CONCURRENCY uploads or
+// publishes are in flight at once so we don't run out of connections.
+// The resolved package is stored in the bucket under _batches/ for the chunks
+// to read, along with a marker for every chunk that is done. Whichever chunk
+// finishes last commits the package and cleans up the batch, so the versions
+// of the package are only recorded once every one of its tarballs has been
+// handed over.
+const CHUNK_SIZE = config.packages.chunkSize
+const CONCURRENCY = config.packages.concurrency
+const BATCHES = '_batches'
+
+// Packages come from npm, unless their scope is routed to another upstream
+// registry. A package is only ever fetched from the upstream its scope routes
+// to, see frea-gcp-mirror-common/upstreams.
+const upstreams = createUpstreams(config)
 
 // Configure our registry resolver
 // This takes a package name and resolves it to:
 //   * A package level manifest
 //   * A set of manifests for each published version
 //   * A list of urls to the tarballs containing each published version
-const registry = new Registry()
+const registry = new (class UpstreamRegistry extends Registry {
+  // npm-change-resolve only knows about a single registry, which it treats as
+  // a bare hostname. We fetch manifests ourselves, the same way it does, from
+  // the package's upstream (keeping its port and path) with its token.
+  getDoc (id, cb) {
+    const upstream = upstreams.route(id)
+    const target = upstream.registry.replace(/\/+$/, '') + '/' +
+      String(id).replace('/', '%2f')
+    got.get(target, {
+      json: true,
+      headers: Object.assign({
+        'user-agent': this.config.ua
+      }, upstreams.headers(upstream, target))
+    }).then((res) => cb(null, res.body), cb)
+  }
+
+  // Tarballs of registries that live below a path are mirrored to the same
+  // path as everyone else's. Tarballs that aren't the package's own get a null
+  // path, handleTarball refuses them.
+  splitTarballs (doc) {
+    return super.splitTarballs(doc).map((tarball) => Object.assign(tarball, {
+      path: upstreams.tarballPath(doc.name, tarball.tarball)
+    }))
+  }
+})()
+
+// The follower only publishes packages the filter policy allows, we check the
+// policy again here in case a message made it onto the topic some other way,
+// such as a replay of an old message or a follower running with a different
+// policy. The policy is read once per instance, deploying the function picks up
+// a new one.
+const filter = createFilter(config.filter.policy)
+
+// Newly published versions are held back from the package level manifests
+// until they are old enough, according to the quarantine policy (see
+// frea-gcp-mirror-common/quarantine). The quarantineTick Cloud Function
+// refreshes packages once their held back versions are old enough.
+const quarantine = createQuarantine(config.quarantine.policy)
+// The maximum number of packages quarantineTick refreshes per invocation
+const TICK_BATCH_SIZE = 500
 
 // initLogger creates a dedicated logger for each Cloud Function invocation.
 // Since logging is async, there isn't a guarentee by default that logs will
 // be fully flushed when the the Cloud Function terminates, meaning logs may not
-// make it to stackdriver! Since we use the stackdriver logs for retrying
+// make it to stackdriver! Since we use the stackdriver logs for debugging
 // failed downloads, this is unacceptable!
 // By having a dedicated stackdriver stream for every invocation, we can
 // force the stream to fully flush before inovking the function's callback.
@@ -47,11 +175,11 @@ const registry = new Registry()
 function initLogger (data) {
   // Create a new stackdriver stream dedicated to this invocation of the
   // cloud function
-  const stackdriver = (new LoggingBunyan()).stream('info')
+  const stackdriver = (new LoggingBunyan()).stream(config.logLevel)
   // Register the stream as a bunyan target
   const log = bunyan.createLogger({
     name: 'frea-packages',
-    level: 'info',
+    level: config.logLevel,
     streams: [
       stackdriver
     ],
@@ -76,19 +204,51 @@ function initLogger (data) {
   return log
 }
 
+// initMetrics creates the metrics for a Cloud Function invocation. Cloud
+// Functions can't be scraped, so these are written to the log when the
+// invocation finishes.
+function initMetrics (log) {
+  const metrics = createMetrics({ sink: 'log', log })
+  return {
+    flush: metrics.flush,
+    versions: metrics.counter('frea_packages_versions_total',
+      'Version manifests uploaded'),
+    tarballs: metrics.counter('frea_packages_tarballs_total',
+      'Tarballs handed over to the tarballs Cloud Function'),
+    mirrored: metrics.counter('frea_packages_tarballs_mirrored_total',
+      'Tarballs skipped because they are already mirrored'),
+    invalid: metrics.counter('frea_packages_validation_failures_total',
+      'Data from npm-change-resolve that failed validation, by reason'),
+    chunks: metrics.counter('frea_packages_chunks_total',
+      'Chunks large packages were split into')
+  }
+}
+
+// invalid logs and counts data that failed validation. We don't retry these,
+// the data isn't going to be any different next time.
+function invalid (opts, fields, reason) {
+  opts.log.error(fields, reason)
+  opts.metrics.invalid.inc(1, { reason })
+}
+
 // This is our Cloud Function handler, it can be deployed with:
 // gcloud functions deploy packages --runtime nodejs8 --trigger-topic packages
 // This Cloud Function is quite large thanks to error handling logic, but what
 // it does is rather straightforward:
 // This Cloud Function accepts a npmjs package name and uses npm-change-resolve
 // to get all the information necessary to mirror the package, it then uses that
-// information to simultaneously:
+// information to:
 // 1. Trigger the tarballs Cloud Function for each individual tarball that needs
 //    to be mirrored by publishing it's url, shasum, and Google Cloud Storage
 //    path to the tarballs Cloud Pub/Sub topic
-// 2. Uploads the package level manifest to Google Cloud Storage
-// 3. Uploads the individual manifest for each published version of the package
-//    to Google Cloud Storage
+// And once that is done:
+// 2. Upload the manifest of every version whose tarball has been mirrored (and
+//    the quarantine doesn't hold back), of every dist-tag, and the package
+//    level manifest in both its full and abbreviated forms, to Google Cloud
+//    Storage. These are uploaded again as the tarballs Cloud Function
+//    finishes the rest (see refreshIndex).
+// Large packages are split into chunks that go through 1 in invocations of
+// their own, the last chunk to finish takes care of 2 (see CHUNK_SIZE).
 // When this finishes it's invocation, all of the manifests for a package will
 // be being mirrored, and we should have triggered a set of Cloud Functions that
 // will be downloading the tarballs. Once the Cloud Functions finish downloading
@@ -96,17 +256,44 @@ function initLogger (data) {
 exports.packages = function packages (message, _, cb) {
   // Parse the package name from the base64 encoded Pub/Sub message
   const data = Buffer.from(message.data || '', 'base64').toString()
+  const attributes = message.attributes || {}
+  // Get the number of times this package has already failed to mirror, this
+  // is set by the retry Cloud Function when it replays a message
+  const attempt = Number(attributes.attempt) || 0
+  // The follower lets us know when the change it saw was a deletion
+  const deleted = attributes.deleted === 'true'
+  // Chunks of a large package name the batch they belong to
+  const batch = attributes.batch
+  const chunk = attributes.chunk
+  // The tarballs Cloud Function asks us to refresh the package level manifests
+  // when some of a package's tarballs have been mirrored
+  const refresh = attributes.refresh === 'true'
+  // The reconcile cli asks us to upload every manifest again, including the
+  // ones we think haven't changed since we uploaded them
+  const repair = attributes.repair === 'true'
+  // The follower passes along the seq of the change, which is carried through
+  // every message that follows from this one
+  const seq = seqOf(attributes.seq)
+  const carried = seq === null ? {} : { seq: String(seq) }
   // Create a dedicated logger for this Cloud Function invocation, all of the
   // logs from this invocation will include the package name we are handling
   const log = initLogger(data)
-  // Create a callback for this Cloud Function invocation that ensures all logs
-  // are written to stackdriver before terminating. We also wrap it in once,
-  // which will throw an exception if we try to call this more than once. Once
-  // is handy for catching async logic bugs at runtime.
-  const callback = once(log.callback(cb))
+  // Count what this invocation does, the counts are written to the log when
+  // it finishes
+  const metrics = initMetrics(log)
+  // Create a callback for this Cloud Function invocation that reports the
+  // metrics and ensures all logs are written to stackdriver before
+  // terminating. We also wrap it in once, which will throw an exception if we
+  // try to call this more than once. Once is handy for catching async logic
+  // bugs at runtime.
+  const flush = log.callback(cb)
+  const callback = once(() => {
+    metrics.flush()
+    flush()
+  })
   // Write out an informational log that let's us know what package this
   // invocation is handling
-  log.info('processing')
+  log.info({ attempt, deleted, batch, chunk, refresh, repair }, 'processing')
 
   // If we weren't given a change.id, this message cant be handled so discard
   // it. This should never happen, but it's probably wise to guard against.
@@ -115,64 +302,716 @@ exports.packages = function packages (message, _, cb) {
     return callback()
   }
 
+  // Leave packages the filter policy doesn't allow alone, whatever the change
+  // was
+  const filtered = filter.check(data)
+  if (!filtered.allowed) {
+    log.debug({ reason: filtered.reason }, 'filtered')
+    return callback()
+  }
+
+  // The handlers below record the reason they failed on opts.failure rather
+  // than aborting, this lets the rest of the package finish mirroring. If
+  // anything failed, we hand the whole package over to the retry queue once
+  // we are done.
+  // What has been mirrored is collected on opts.mirrored, and recorded once the
+  // tarballs are taken care of.
+  const opts = {
+    log,
+    metrics,
+    attempt,
+    seq,
+    carried,
+    repair,
+    failure: null,
+    mirrored: { tarballs: [] }
+  }
+  const done = () => {
+    if (!opts.failure) {
+      return callback()
+    }
+    // A failed chunk is retried on its own, the rest of the batch carries on
+    let retryAttributes = {}
+    if (deleted) {
+      retryAttributes = { deleted: 'true' }
+    } else if (batch) {
+      retryAttributes = { batch, chunk }
+    } else if (refresh) {
+      retryAttributes = { refresh: 'true' }
+    } else if (repair) {
+      retryAttributes = { repair: 'true' }
+    }
+    retry(opts, 'packages', data, Object.assign(retryAttributes, carried),
+      opts.failure, callback)
+  }
+
+  // If the package was deleted from the registry, there is nothing to fetch,
+  // all that is left to do is remove it from the mirror
+  if (deleted) {
+    return removePackage(opts, data, 'deleted', done)
+  }
+
+  // Refreshing only needs what we already have. The tarballs recorded from
+  // now on might be missed, so they are free to ask for another refresh.
+  if (refresh) {
+    return state.refreshing(data, (e) => {
+      if (e) {
+        log.error({ err: e }, 'failed to start refresh')
+        opts.failure = 'failed to start refresh'
+        return done()
+      }
+      refreshIndex(opts, data, done)
+    })
+  }
+
+  // A chunk of a large package has everything it needs in its batch
+  if (batch) {
+    return mirrorBatchChunk(opts, data, batch, chunk, done)
+  }
+
   // Retrieve all the information we need to mirror the registry
   registry.get(data, (e, manifest) => {
     // If we failed to fetch the information we need to mirror the registry,
     // we can't continue
+    // A 404 is retried like any other failure. It doesn't mean the package is
+    // gone, a replica lagging behind or an upstream hiccup answer it too, only
+    // a deleted change or an unpublished stub removes a package.
     if (e) {
       log.error({ err: e }, 'failed to fetch manifest')
-      return callback()
+      return retry(opts, 'packages', data, carried, 'failed to fetch manifest',
+        callback)
     }
     // The next five blocks validate the form of the data we got back from
     // npm-change-resolve, this protects against exceptions being thrown.
     if (!manifest.json) {
-      log.error({ manifest }, 'didnt resolve package level manifest')
+      invalid(opts, { manifest }, 'didnt resolve package level manifest')
       return callback()
     }
     if (!manifest.versions) {
-      log.error({ manifest }, 'didnt resolve versions')
+      invalid(opts, { manifest }, 'didnt resolve versions')
       return callback()
     }
     if (!Array.isArray(manifest.versions)) {
-      log.error({ manifest }, 'manifest.versions must be an array')
+      invalid(opts, { manifest }, 'manifest.versions must be an array')
       return callback()
     }
     if (!manifest.tarballs) {
-      log.error({ manifest }, 'didnt resolve tarballs')
+      invalid(opts, { manifest }, 'didnt resolve tarballs')
       return callback()
     }
     if (!Array.isArray(manifest.tarballs)) {
-      log.error({ manifest }, 'manifest.tarballs must be an array')
+      invalid(opts, { manifest }, 'manifest.tarballs must be an array')
       return callback()
     }
 
-    // So this is a bit of a bear, but is a really effective way at downloading
-    // all of this stuff _really_ fast.
-    // parallel is running each of the three listed functions at the same time.
-    parallel([
-      // The first function will publish each tarball url to the tarballs
-      // Google Cloud Pub/Sub service at the same time. This allows us to
-      // horizontally scale the tarball download/upload, which is network and
-      // CPU intensive (shasum is expensive to compute!).
-      (cb2) => each(
-        manifest.tarballs,
-        (tarball, cb3) => handleTarball({ log }, tarball, cb3),
-        cb2),
-      // The second function uploads the manifest for every published version of
-      // this package to Google Cloud Storage at the same time, since we already
-      // have everything we need in memory there isn't much value in
-      // horizontally scaling this, so we just upload directly from this
-      // function
-      (cb2) => each(
-        manifest.versions,
-        (version, cb3) => handleVersion({ log }, version, cb3)
-        , cb2),
-      // The third function uploads the package level manifest to Google Cloud
-      // storage
-      (cb2) => uploadIndex({ log }, manifest.json, cb2)
-      // Once everything is done, we wait for the stackdriver logs to flush and
-      // then end execution of the Cloud Function
-    ], callback)
+    // When every version of a package is unpublished, npm keeps a stub of the
+    // package level manifest around with the time it was unpublished
+    if (manifest.json.time && manifest.json.time.unpublished) {
+      log.warn('package unpublished')
+      return removePackage(opts, data, 'unpublished', done)
+    }
+
+    opts.integrities = integrities(manifest.json)
+    opts.tarballVersions = tarballVersions(manifest.json)
+
+    // Hand large packages over to chunks, each mirrored by an invocation of
+    // its own
+    const chunks = Math.ceil(manifest.tarballs.length / CHUNK_SIZE)
+    if (chunks > 1) {
+      return startBatch(opts, manifest, chunks, done)
+    }
+
+    // Everything else fits in this invocation. Once the tarballs are taken care
+    // of, we upload the manifests, retry the package if anything went wrong,
+    // then wait for the stackdriver logs to flush and end execution of the
+    // Cloud Function
+    mirrorChunk(opts, manifest.json.name, manifest.tarballs, () => {
+      if (opts.failure) {
+        return done()
+      }
+      commit(opts, manifest.json, done)
+    })
+  })
+}
+
+// mirrorChunk mirrors a set of a package's tarballs, and records the tarballs
+// that are already in the bucket.
+// This publishes each tarball url to the tarballs Google Cloud Pub/Sub
+// service, with up to CONCURRENCY publishes in flight. This allows us to
+// horizontally scale the tarball download/upload, which is network and CPU
+// intensive (shasum is expensive to compute!). The manifests of the versions
+// are uploaded once their tarballs are mirrored, see exposeVersions.
+function mirrorChunk (opts, name, tarballs, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  eachLimit(
+    tarballs,
+    CONCURRENCY,
+    (tarball, cb2) => handleTarball(opts, tarball, cb2),
+    () => {
+      // The package will be retried, it will record everything then
+      if (opts.failure) {
+        return callback()
+      }
+      state.record(name, opts.mirrored, (e) => {
+        if (e) {
+          log.error({ err: e }, 'failed to record progress')
+          opts.failure = 'failed to record progress'
+        }
+        callback()
+      })
+    })
+}
+
+// commit takes over a new package level manifest once all of a package's
+// tarballs have been taken care of: it is stored as the pending manifest, the
+// versions it lists are recorded, the versions that have disappeared from the
+// package since we last mirrored it are removed, and the manifests are
+// uploaded with every version that is already complete.
+function commit (opts, manifest, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  // Before we replace it, read the package level manifest we took over last
+  // time. Comparing it against the new one tells us which versions have been
+  // removed from npm since. Packages mirrored before we kept a pending
+  // manifest only have the one we uploaded. If we can't read either we carry
+  // on mirroring, the versions will be removed the next time the package
+  // changes.
+  readPrevious(manifest.name, (e, previous) => {
+    if (e && e.code !== 404) {
+      log.error({ err: e }, 'failed to read previous manifest')
+    }
+    uploadManifest(opts, {
+      filename: pendingPath(manifest.name),
+      contents: JSON.stringify(manifest),
+      contentType: 'application/json',
+      private: true
+    }, () => {
+      if (opts.failure) {
+        return callback()
+      }
+      const times = publishTimes(manifest)
+      state.begin(manifest.name, tarballPaths(manifest), times, opts.seq, (e) => {
+        if (e) {
+          log.error({ err: e }, 'failed to record versions')
+          opts.failure = 'failed to record versions'
+          return callback()
+        }
+        parallel([
+          (cb2) => refreshIndex(opts, manifest.name, cb2),
+          (cb2) => removeVersions(opts, previous, manifest, cb2)
+        ], () => callback())
+      })
+    })
+  })
+}
+
+// readPrevious reads the package level manifest we took over last time
+function readPrevious (name, cb) {
+  readManifest(pendingPath(name), (e, previous) => {
+    if (e && e.code === 404) {
+      return readManifest(path.join(name, 'index.json'), cb)
+    }
+    cb(e, previous)
+  })
+}
+
+// pendingPath is where the full package level manifest of a package is kept.
+// npm package names can never start with an underscore, so it can't collide
+// with a package.
+function pendingPath (name) {
+  return path.join(PENDING, encodeURIComponent(name) + '.json')
+}
+
+// tarballPaths maps every version of a package level manifest to the path its
+// tarball is uploaded to. Versions whose tarball isn't the package's own are
+// left out, so they never complete.
+function tarballPaths (manifest) {
+  const result = {}
+  const versions = manifest.versions || {}
+  Object.keys(versions).forEach((version) => {
+    const dist = versions[version].dist || {}
+    const key = typeof dist.tarball === 'string'
+      ? tarballPath(manifest.name, dist.tarball)
+      : null
+    if (key !== null) {
+      result[version] = key
+    }
+  })
+  return result
+}
+
+// publishTimes maps every version of a package level manifest to when it was
+// published
+function publishTimes (manifest) {
+  const result = {}
+  const time = manifest.time || {}
+  Object.keys(manifest.versions || {}).forEach((version) => {
+    if (typeof time[version] === 'string') {
+      result[version] = time[version]
+    }
+  })
+  return result
+}
+
+// refreshIndex uploads the package level manifests of a package again if the
+// versions they should list have changed: more versions are complete, or the
+// quarantine has stopped holding some back. Refreshes can race each other,
+// one that read an older state may upload after one that read a newer state.
+// To make sure the last upload always lists everything, every refresh checks
+// the state again after uploading, and uploads again if it changed.
+function refreshIndex (opts, name, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  let refreshes = 0
+  const refresh = () => {
+    state.get(name, (e, doc) => {
+      if (e) {
+        log.error({ err: e }, 'failed to read progress')
+        opts.failure = 'failed to read progress'
+        return callback()
+      }
+      // Nothing to do until the package has been committed
+      if (!doc || !doc.versions) {
+        return callback()
+      }
+      const checked = quarantine.check(name, complete(doc), doc.published,
+        Date.now())
+      const unchanged = Boolean(doc.exposed) &&
+        doc.exposed.join() === checked.eligible.join()
+      // A repair uploads everything once, whether or not it changed
+      const force = Boolean(opts.repair) && refreshes === 0
+      if (unchanged && doc.heldUntil === checked.heldUntil && !force) {
+        return callback()
+      }
+      if (refreshes++ === MAX_REFRESHES) {
+        log.error({ refreshes }, 'progress kept changing while refreshing')
+        opts.failure = 'progress kept changing while refreshing'
+        return callback()
+      }
+      exposeVersions(opts, doc, checked, !unchanged || force, () => {
+        if (opts.failure) {
+          return callback()
+        }
+        refresh()
+      })
+    })
+  }
+  refresh()
+}
+
+// exposeVersions uploads the manifests of the eligible versions of the pending
+// manifest, of its dist-tags, and the package level manifests listing them (if
+// upload is set), announces the versions they list for the first time and
+// what they list if it changed, and records which versions they list and when
+// the versions held back become eligible. doc is the package's state.
+function exposeVersions (opts, doc, checked, upload, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const name = doc.name
+  const versions = checked.eligible
+  // The versions listed haven't changed, only when the next one is due
+  const read = upload
+    ? (cb2) => readManifest(pendingPath(name), cb2)
+    : (cb2) => cb2(null, null)
+  read((e, pending) => {
+    // The package was removed while we were refreshing it
+    if (e && e.code === 404) {
+      return callback()
+    }
+    if (e) {
+      log.error({ err: e }, 'failed to read pending manifest')
+      opts.failure = 'failed to read pending manifest'
+      return callback()
+    }
+    // A package without a single complete version stays hidden until it has
+    // one. The manifests of the versions go up before the package level
+    // manifests that list them.
+    const exposed = upload && versions.length > 0
+      ? exposedManifest(pending, versions, checked.held)
+      : null
+    const write = exposed
+      ? (cb2) => uploadVersions(opts, doc, exposed, () => {
+        if (opts.failure) {
+          return cb2()
+        }
+        uploadIndex(opts, exposed, cb2)
+      })
+      : (cb2) => cb2()
+    write(() => {
+      if (opts.failure) {
+        return callback()
+      }
+      // The versions are only recorded as exposed once they are announced, if
+      // announcing fails the package is retried and announces them then
+      const fresh = pending ? versions.filter((v) => !doc.announced[v]) : []
+      announce(opts, doc, pending, fresh, () => {
+        if (opts.failure) {
+          return callback()
+        }
+        // The same goes for what the package level manifests list
+        const listed = exposed
+          ? { versions, tags: exposed['dist-tags'] }
+          : doc.listed
+        announceUpdate(opts, doc, listed, () => {
+          if (opts.failure) {
+            return callback()
+          }
+          log.info({
+            versions: versions.length,
+            announced: fresh.length,
+            held: checked.held.length,
+            heldUntil: checked.heldUntil
+          }, 'exposed versions')
+          state.expose(name, versions, checked.heldUntil, listed, (e) => {
+            if (e) {
+              log.error({ err: e }, 'failed to record exposed versions')
+              opts.failure = 'failed to record exposed versions'
+            }
+            callback()
+          })
+        })
+      })
+    })
+  })
+}
+
+// announceUpdate publishes a package.updated event if the package level
+// manifests we uploaded list other versions or dist-tags than the ones we
+// uploaded before, e.g. because a dist-tag moved. listed is what they list
+// now, as { versions, tags }, or null if they haven't been uploaded yet.
+function announceUpdate (opts, doc, listed, cb) {
+  const log = opts.log
+  if (!listed || sameListing(doc.listed, listed)) {
+    return cb()
+  }
+  const name = doc.name
+  events.publish('package.updated', {
+    name,
+    upstream: upstreams.route(name).name,
+    seq: doc.seq === undefined ? null : doc.seq,
+    versions: listed.versions,
+    'dist-tags': listed.tags,
+    paths: {
+      packument: path.join(name, 'index.json'),
+      abbreviated: path.join(name, 'corgi.json')
+    }
+  }, (e) => {
+    if (e) {
+      log.error({ err: e }, 'failed to announce update')
+      opts.failure = 'failed to announce update'
+    }
+    cb()
+  })
+}
+
+// sameListing checks whether two uploads of the package level manifests list
+// the same versions and dist-tags. Firestore doesn't keep the order of a map's
+// keys, so dist-tags are compared by name.
+function sameListing (a, b) {
+  if (!a || !b) {
+    return false
+  }
+  const tags = (listed) => Object.keys(listed.tags || {}).sort()
+    .map((tag) => tag + '@' + listed.tags[tag]).join()
+  return a.versions.join() === b.versions.join() && tags(a) === tags(b)
+}
+
+// announce publishes a version.mirrored event for each of the given versions
+// of a package, now that the package level manifests list them. pending is the
+// package level manifest they are listed from. Versions are claimed before
+// they are announced, so only one of the refreshes racing each other announces
+// a version, and given up again if announcing them fails.
+function announce (opts, doc, pending, versions, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  if (versions.length === 0) {
+    return callback()
+  }
+  const name = doc.name
+  state.announce(name, versions, (e, claimed) => {
+    if (e) {
+      log.error({ err: e }, 'failed to claim versions')
+      opts.failure = 'failed to claim versions'
+      return callback()
+    }
+    const failed = []
+    eachLimit(claimed, CONCURRENCY, (version, cb2) => {
+      const dist = (pending.versions[version] || {}).dist || {}
+      events.publish('version.mirrored', {
+        name,
+        version,
+        upstream: upstreams.route(name).name,
+        seq: doc.seq === undefined ? null : doc.seq,
+        paths: {
+          packument: path.join(name, 'index.json'),
+          abbreviated: path.join(name, 'corgi.json'),
+          manifest: path.join(name, version, 'index.json'),
+          tarball: doc.versions[version]
+        },
+        shasum: dist.shasum || null,
+        integrity: dist.integrity || null
+      }, (e) => {
+        if (e) {
+          log.error({ err: e, version }, 'failed to announce version')
+          failed.push(version)
+        }
+        cb2()
+      })
+    }, () => {
+      if (failed.length === 0) {
+        return callback()
+      }
+      opts.failure = 'failed to announce versions'
+      state.unannounce(name, failed, (e) => {
+        if (e) {
+          log.error({ err: e, failed }, 'failed to give up versions')
+        }
+        callback()
+      })
+    })
+  })
+}
+
+// exposedManifest returns a copy of a package level manifest that only lists
+// the given versions. A dist-tag pointing at a version the quarantine holds
+// back points at the newest version listed of the same release line instead
+// (see releaseLine), by when it was published: a backport to an older major
+// doesn't take latest over, and next doesn't fall back to a stable release.
+// dist-tags whose release line has nothing listed yet, or that point at other
+// versions, are dropped, they come back once their version is complete.
+function exposedManifest (manifest, versions, held) {
+  const result = JSON.parse(JSON.stringify(manifest))
+  const all = result.versions || {}
+  result.versions = {}
+  versions.forEach((version) => {
+    if (all[version]) {
+      result.versions[version] = all[version]
+    }
+  })
+  const time = result.time || {}
+  const newest = Object.keys(result.versions).sort((a, b) =>
+    (Date.parse(time[b]) || 0) - (Date.parse(time[a]) || 0))
+  const tags = result['dist-tags'] || {}
+  result['dist-tags'] = {}
+  Object.keys(tags).forEach((tag) => {
+    if (result.versions[tags[tag]]) {
+      result['dist-tags'][tag] = tags[tag]
+      return
+    }
+    if ((held || []).indexOf(tags[tag]) === -1) {
+      return
+    }
+    const line = releaseLine(tags[tag])
+    const stand = line && newest.find((version) => releaseLine(version) === line)
+    if (stand) {
+      result['dist-tags'][tag] = stand
+    }
+  })
+  if (result.time) {
+    Object.keys(result.time).forEach((key) => {
+      if (all[key] && !result.versions[key]) {
+        delete result.time[key]
+      }
+    })
+  }
+  return result
+}
+
+// releaseLine names the release line of a version: its major version, followed
+// by its prerelease tag if it has one (2-beta for 2.1.0-beta.3). It is null for
+// anything that isn't a version.
+function releaseLine (version) {
+  const parsed = semver.parse(version)
+  if (!parsed) {
+    return null
+  }
+  const prerelease = parsed.prerelease.length > 0
+    ? '-' + parsed.prerelease[0]
+    : ''
+  return parsed.major + prerelease
+}
+
+// batchDirectory is where a batch of a large package is kept in the bucket.
+// npm package names can never start with an underscore, so it can't collide
+// with a package.
+function batchDirectory (name, batch) {
+  return path.join(BATCHES, encodeURIComponent(name), batch)
+}
+
+// startBatch splits a large package into chunks. The resolved package is
+// stored for the chunks to read, then every chunk is published to the packages
+// topic. A chunk we fail to publish is handed over to the retry queue on its
+// own.
+function startBatch (opts, manifest, chunks, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const name = manifest.json.name
+  const batch = Date.now() + '-' + crypto.randomBytes(4).toString('hex')
+  const stored = { chunks, chunkSize: CHUNK_SIZE, manifest, repair: opts.repair }
+  miss.pipe(
+    str(JSON.stringify(stored)),
+    // Unlike the manifests, batches aren't public
+    bucket.createWriteStream(path.join(batchDirectory(name, batch), 'batch.json'), {
+      contentType: 'application/json'
+    }),
+    (e) => {
+      if (e) {
+        log.error({ err: e, batch }, 'failed to store batch')
+        opts.failure = 'failed to store batch'
+        return callback()
+      }
+      const indexes = Array.from({ length: chunks }, (_, i) => String(i))
+      eachLimit(indexes, CONCURRENCY, (chunk, cb2) => {
+        const msgAttributes = Object.assign({ batch, chunk }, opts.carried)
+        packagesTopic.publish(Buffer.from(name), msgAttributes, (e) => {
+          if (!e) {
+            opts.metrics.chunks.inc()
+            return cb2()
+          }
+          log.error({ err: e, msgAttributes }, 'failed to publish chunk')
+          retry(opts, 'packages', name, msgAttributes,
+            'failed to publish chunk', cb2)
+        })
+      }, () => {
+        log.info({ batch, chunks }, 'split package into chunks')
+        callback()
+      })
+    })
+}
+
+// mirrorBatchChunk mirrors one chunk of a large package, and commits the
+// package if it is the last chunk of its batch to finish
+function mirrorBatchChunk (opts, name, batch, chunk, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const directory = batchDirectory(name, batch)
+  readManifest(path.join(directory, 'batch.json'), (e, stored) => {
+    // The batch is cleaned up once it has been committed, a chunk replayed
+    // after that has nothing left to do
+    if (e && e.code === 404) {
+      log.warn('batch no longer exists')
+      return callback()
+    }
+    if (e) {
+      log.error({ err: e }, 'failed to read batch')
+      opts.failure = 'failed to read batch'
+      return callback()
+    }
+    const index = Number(chunk)
+    if (!Number.isInteger(index) || index < 0 || index >= stored.chunks) {
+      invalid(opts, { chunks: stored.chunks }, 'chunk out of range')
+      return callback()
+    }
+
+    const manifest = stored.manifest
+    const start = index * stored.chunkSize
+    const end = start + stored.chunkSize
+    opts.integrities = integrities(manifest.json)
+    opts.tarballVersions = tarballVersions(manifest.json)
+    opts.repair = Boolean(stored.repair)
+    mirrorChunk(opts, manifest.json.name, manifest.tarballs.slice(start, end),
+      () => {
+        // The chunk will be retried, it isn't done
+        if (opts.failure) {
+          return callback()
+        }
+        finishChunk(opts, manifest.json, directory, stored.chunks, index,
+          callback)
+      })
+  })
+}
+
+// finishChunk marks a chunk as done. If every chunk of the batch is done, the
+// package level manifests are uploaded and the batch is cleaned up. Should two
+// chunks finish at the same time, both commit the same manifests, which is
+// harmless.
+function finishChunk (opts, manifest, directory, chunks, index, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const done = path.join(directory, 'done')
+  miss.pipe(
+    str(''),
+    bucket.createWriteStream(path.join(done, String(index)), {
+      contentType: 'text/plain'
+    }),
+    (e) => {
+      if (e) {
+        log.error({ err: e }, 'failed to mark chunk done')
+        opts.failure = 'failed to mark chunk done'
+        return callback()
+      }
+      bucket.list(done + '/', (e, finished) => {
+        if (e) {
+          log.error({ err: e }, 'failed to list finished chunks')
+          opts.failure = 'failed to list finished chunks'
+          return callback()
+        }
+        if (finished.length < chunks) {
+          return callback()
+        }
+        log.info({ chunks }, 'every chunk is done, committing package')
+        commit(opts, manifest, () => {
+          // If the commit failed, this chunk is retried and commits again
+          if (opts.failure) {
+            return callback()
+          }
+          bucket.list(directory + '/', (e, files) => {
+            if (e) {
+              log.error({ err: e }, 'failed to list batch')
+              return callback()
+            }
+            removeFiles(opts, files, callback)
+          })
+        })
+      })
+    })
+}
+
+// This is our Cloud Function handler for releasing versions held back by the
+// quarantine. It is meant to be triggered on a schedule by Cloud Scheduler:
+// gcloud scheduler jobs create pubsub quarantine-tick \
+//   --schedule '*/15 * * * *' --topic quarantine-tick --message-body tick
+// gcloud functions deploy quarantineTick --runtime nodejs8 \
+//   --trigger-topic quarantine-tick
+// Every invocation publishes a refresh for every package with held back
+// versions that are now old enough to be exposed.
+exports.quarantineTick = function quarantineTick (message, _, cb) {
+  const log = initLogger()
+  const callback = once(log.callback(cb))
+  log.info('processing')
+
+  state.due(Date.now(), TICK_BATCH_SIZE, (e, names) => {
+    if (e) {
+      log.error({ err: e }, 'failed to query quarantined packages')
+      return callback()
+    }
+    log.info({ due: names.length }, 'refreshing quarantined packages')
+    eachLimit(names, CONCURRENCY, (name, cb2) => {
+      packagesTopic.publish(Buffer.from(name), { refresh: 'true' }, (e) => {
+        // The package is still due, the next tick will pick it up
+        if (e) {
+          log.error({ err: e, name }, 'failed to publish refresh')
+        }
+        cb2()
+      })
+    }, () => callback())
   })
 }
 
@@ -180,43 +1019,83 @@ exports.packages = function packages (message, _, cb) {
 // tarball from npm and upload it to Google Cloud Pub/Sub, validating the
 // integrity of the package along the way.
 function handleTarball (opts, tarball, cb) {
-  const log = opts.log
   // Wrap the callback in a once handler to catch any logic bugs at runtime
   const callback = once(cb)
 
-  // The next three blocks ensure the tarball definition contains everything we
-  // need to mirror the package
+  // The next four blocks ensure the tarball definition contains everything we
+  // need to mirror the package, and that it is the package's to mirror
+  if (tarball.path === null) {
+    invalid(opts, { tarball }, 'tarball does not belong to the package')
+    return callback()
+  }
   if (!tarball.path) {
-    log.error({ tarball }, 'tarball did not include path')
+    invalid(opts, { tarball }, 'tarball did not include path')
     return callback()
   }
   if (!tarball.shasum) {
-    log.error({ tarball }, 'tarball did not include shasum')
+    invalid(opts, { tarball }, 'tarball did not include shasum')
     return callback()
   }
   if (!tarball.tarball) {
-    log.error({ tarball }, 'tarball did not include url', { tarball })
+    invalid(opts, { tarball }, 'tarball did not include url')
     return callback()
   }
 
-  // There are three things we need to download a version of a package:
-  //   - The path we should upload the artifact to in Google Cloud Storage
+  // npm-change-resolve only gives us the sha1 shasum of a tarball, the
+  // Subresource Integrity string (usually sha512) lives in the version's dist
+  const integrity = opts.integrities[tarball.tarball]
+  const version = opts.tarballVersions[tarball.tarball]
+
+  // Tarballs of published versions never change, so if we have already
+  // mirrored this one and verified its hashes there is no reason to have the
+  // tarballs Cloud Function download it again.
+  isMirrored(String(tarball.path), String(tarball.shasum),
+    integrity, (_, mirrored) => {
+      if (mirrored) {
+        opts.metrics.mirrored.inc()
+        opts.mirrored.tarballs.push(String(tarball.path))
+        return callback()
+      }
+      opts.metrics.tarballs.inc()
+      publishTarball(opts, Object.assign({ version }, tarball), integrity,
+        callback)
+    })
+}
+
+// publishTarball publishes a tarball to the tarballs topic so the tarballs
+// Cloud Function can mirror it
+function publishTarball (opts, tarball, integrity, callback) {
+  const log = opts.log
+
+  // There are four things we need to download a version of a package:
+  //   - The path we should upload the artifact to in the bucket
   //   - The shasum of the tarball so we can validate the right bits came
   //     across the wire (we don't want to mirror a corrupted file!)
+  //   - The integrity of the tarball, which holds stronger hashes than the
+  //     shasum. Very old versions don't have one.
   //   - The url that we need for downloading the tarball from npm
-  // Since there are three things, we store two as attributes and one as the
-  // message when publishing to Google Cloud Pub/Sub
-  const msgAttributes = {
+  // We store the url as the message and everything else as attributes when
+  // publishing to Google Cloud Pub/Sub. The version the tarball belongs to and
+  // the seq of the change we are mirroring are passed along too, for the
+  // events the tarballs Cloud Function announces.
+  const msgAttributes = Object.assign({
     path: String(tarball.path),
     shasum: String(tarball.shasum)
+  }, opts.carried)
+  if (integrity) {
+    msgAttributes.integrity = String(integrity)
+  }
+  if (tarball.version) {
+    msgAttributes.version = String(tarball.version)
   }
   const url = Buffer.from(String(tarball.tarball))
   // Send it over to the tarballs Cloud Function
   topic.publish(url, msgAttributes, (e, msgId) => {
-    // If we failed to publish the message to the topic, log an error so we
-    // can retry later
+    // If we failed to publish the message to the topic, log an error and
+    // flag the package for a retry
     if (e) {
       log.error({ err: e, url, msgAttributes }, 'failed to publish message')
+      opts.failure = 'failed to publish message'
     }
     // All done with this tarball! At this point it is in the tarballs topic in
     // Google Cloud Pub/Sub, which will be read by the tarballs Cloud Function.
@@ -224,99 +1103,545 @@ function handleTarball (opts, tarball, cb) {
   })
 }
 
-// handleVersion uploads a package version's manifest to Google Cloud Storage
-function handleVersion (opts, version, cb) {
+// integrities maps the url of every tarball in a package level manifest to its
+// Subresource Integrity string
+function integrities (manifest) {
+  const result = {}
+  const versions = (manifest && manifest.versions) || {}
+  Object.keys(versions).forEach((version) => {
+    const dist = versions[version].dist || {}
+    if (dist.tarball && dist.integrity) {
+      result[dist.tarball] = dist.integrity
+    }
+  })
+  return result
+}
+
+// tarballVersions maps the url of every tarball in a package level manifest to
+// the version it belongs to
+function tarballVersions (manifest) {
+  const result = {}
+  const versions = (manifest && manifest.versions) || {}
+  Object.keys(versions).forEach((version) => {
+    const dist = versions[version].dist || {}
+    if (dist.tarball) {
+      result[dist.tarball] = version
+    }
+  })
+  return result
+}
+
+// isMirrored checks whether a tarball has already been uploaded to the bucket
+// and verified against the given shasum and integrity. The tarballs Cloud
+// Function records both as custom metadata on the object once the tarball
+// passes its integrity check, so an object without them is treated as
+// missing.
+function isMirrored (filename, shasum, integrity, cb) {
+  bucket.getMetadata(filename, (e, metadata) => {
+    // A 404 is expected for tarballs we haven't mirrored yet, anything else
+    // means we can't tell, so we err on the side of mirroring again
+    if (e || !metadata || !metadata.metadata) {
+      return cb(null, false)
+    }
+    return cb(null, metadata.metadata.shasum === shasum &&
+      (!integrity || metadata.metadata.integrity === integrity))
+  })
+}
+
+// uploadVersions uploads the manifest of every version and dist-tag a package
+// level manifest lists, and records the versions uploaded. These are held back
+// until their version is exposed, the same as the package level manifests, so
+// the quarantine holds them back too. A version whose manifest hasn't changed
+// since we uploaded it is left alone, unless we are repairing the package,
+// dist-tags move so they are uploaded every time. doc is the package's state.
+function uploadVersions (opts, doc, manifest, cb) {
   const log = opts.log
-  // Wrap the callback w/ once to catch logic errors at runtime
+  // Wrap the callback in once to catch logic errors at runtime
   const callback = once(cb)
 
-  // The next two blocks validate the form of the manifest before uploading
-  if (!version.json || !version.json.name) {
-    log.error({ version }, 'version did not include json.name')
-    return callback()
-  }
-  if (!version.version) {
-    log.error({ version }, 'version did not include version')
-    return callback()
-  }
+  const name = manifest.name
+  const uploaded = {}
+  const versions = Object.keys(manifest.versions).map((version) => {
+    const contents = JSON.stringify(
+      rewriteTarballUrls(manifest.versions[version]), null, '    ')
+    const hash = crypto.createHash('sha1').update(contents).digest('hex')
+    return { version, contents, hash }
+  }).filter((version) => opts.repair ||
+    doc.manifests[version.version] !== version.hash)
+  // A dist-tag's manifest is uploaded to the same place a version's would be,
+  // so a tag that happens to share its name with a version is left alone
+  const tags = Object.keys(manifest['dist-tags'])
+    .filter((tag) => !doc.versions[tag])
+    .map((tag) => {
+      const version = manifest.versions[manifest['dist-tags'][tag]]
+      return {
+        version: tag,
+        contents: JSON.stringify(rewriteTarballUrls(version), null, '    ')
+      }
+    })
+
+  eachLimit(versions.concat(tags), CONCURRENCY, (version, cb2) => {
+    handleVersion(opts, name, version, (e) => {
+      if (!e && version.hash) {
+        uploaded[version.version] = version.hash
+      }
+      cb2()
+    })
+  }, () => {
+    // Whatever was uploaded is recorded even if something else failed, so the
+    // retry doesn't upload it again
+    if (Object.keys(uploaded).length === 0) {
+      return callback()
+    }
+    state.record(name, { manifests: uploaded }, (e) => {
+      if (e) {
+        log.error({ err: e }, 'failed to record manifests')
+        opts.failure = 'failed to record manifests'
+      }
+      callback()
+    })
+  })
+}
+
+// handleVersion uploads the manifest of a package's version or dist-tag to the
+// bucket. version is { version, contents }, where version is the version
+// number or the dist-tag. This calls back with the error if the upload failed.
+function handleVersion (opts, name, version, cb) {
+  const log = opts.log
+  // Wrap the callback w/ once to catch logic errors at runtime
+  const callback = once(cb)
 
   // Construct the path we are uploading the manifest to, this keeps URL parity
   // with npm so that npm clients can use it.
-  const filename = path.join(
-    version.json.name,
-    version.version,
-    'index.json')
-
-  // Create the Google Cloud Storage target for uploading to
-  const file = bucket.file(filename)
+  const filename = path.join(name, version.version, 'index.json')
 
   // Mississippi is a handy tool for managing Node.js streams
   miss.pipe(
-    // Create a steam out of the string representation of the manifest
-    str(JSON.stringify(version.json, null, '    ')),
-    // Stream the string to Google Cloud Storage
-    file.createWriteStream({
+    // Create a steam out of the manifest, which already has its tarball url
+    // pointing at the mirror instead of npm
+    str(version.contents),
+    // Stream the string to the bucket
+    bucket.createWriteStream(filename, {
       contentType: 'application/json',
-      public: true,
-      resumable: false
+      public: true
     }),
     function (e) {
-      // If the upload failed, log a message to stackdriver so we can retry
-      // later
+      // If the upload failed, log a message to stackdriver and flag the
+      // package for a retry
       if (e) {
         log.error({
-          packageName: version.json.name,
+          packageName: name,
           packageVersion: version.version,
           err: e
         }, 'failed to upload manifest')
+        opts.failure = 'failed to upload manifest'
+      } else {
+        opts.metrics.versions.inc()
       }
       // And we are done! At this point the manifest for this version of the
       // package is being mirrored!
-      callback()
+      callback(e)
     }
   )
 }
 
-// uploadIndex uploads a package's manifest to Google Cloud Storage
+// uploadIndex uploads a package's manifest to the bucket
 function uploadIndex (opts, manifest, cb) {
-  const log = opts.log
   // Wrap the callback in once to catch logic errors at runtime
   const callback = once(cb)
 
   // Validate the form of the manifest, well at least the pieces we need for
   // uploading
   if (!manifest || !manifest.name) {
-    log.error({ manifest }, 'manifest did not include a name')
+    invalid(opts, { manifest }, 'manifest did not include a name')
     return callback()
   }
 
-  // Construct the path we are uploading the manifest to, this keeps URL parity
-  // with npm so that npm clients can use it.
-  const filename = path.join(
-    manifest.name,
-    'index.json')
+  // Point every tarball url at the mirror instead of npm
+  const full = rewriteTarballUrls(manifest)
 
-  // Create the Google Cloud Storage target for uploading to
-  const file = bucket.file(filename)
+  // We upload two documents for every package: the full manifest, and the
+  // abbreviated manifest npm and yarn ask for when installing. Both are
+  // uploaded at the same time.
+  parallel([
+    // The full manifest keeps URL parity with npm so that npm clients can use
+    // it
+    (cb2) => uploadManifest(opts, {
+      filename: path.join(manifest.name, 'index.json'),
+      contents: JSON.stringify(full, null, '    '),
+      contentType: 'application/json'
+    }, cb2),
+    // The abbreviated manifest is served in its place when a client asks for
+    // it, so there is no point in pretty printing it
+    (cb2) => uploadManifest(opts, {
+      filename: path.join(manifest.name, 'corgi.json'),
+      contents: JSON.stringify(abbreviate(full)),
+      contentType: 'application/vnd.npm.install-v1+json'
+    }, cb2)
+  ], () => {
+    // And we are done! At this point the manifest for the package is being
+    // mirrored!
+    callback()
+  })
+}
+
+// uploadManifest uploads one of a package's manifests to the bucket. Manifests
+// are public, unless manifest.private is set.
+function uploadManifest (opts, manifest, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
 
   // Mississippi is a handy tool for managing Node.js streams
   miss.pipe(
-    // Create a steam out of the string representation of the manifest
-    str(JSON.stringify(manifest, null, '    ')),
-    // Stream the string to Google Cloud Storage
-    file.createWriteStream({
-      contentType: 'application/json',
-      public: true,
-      resumable: false
+    // Create a steam out of the manifest
+    str(manifest.contents),
+    // Stream the string to the bucket
+    bucket.createWriteStream(manifest.filename, {
+      contentType: manifest.contentType,
+      public: !manifest.private
     }),
     function (e) {
-      // If the upload failed, log a message to stackdriver so we can retry
-      // later
+      // If the upload failed, log a message to stackdriver and flag the
+      // package for a retry
+      if (e) {
+        log.error({ err: e, filename: manifest.filename },
+          'failed to upload index')
+        opts.failure = 'failed to upload index'
+      }
+      callback()
+    })
+}
+
+// These are the only fields of a version an npm client needs in order to
+// install it. The abbreviated manifest drops everything else.
+const ABBREVIATED_FIELDS = [
+  'name',
+  'version',
+  'dependencies',
+  'optionalDependencies',
+  'peerDependencies',
+  'bin',
+  'engines',
+  'dist',
+  'deprecated'
+]
+
+// abbreviate turns a package level manifest into the abbreviated form npm
+// clients request with `Accept: application/vnd.npm.install-v1+json`, better
+// known as "corgi". It keeps the package's name, when it was last modified,
+// its dist-tags, and the install-relevant fields of every version.
+function abbreviate (manifest) {
+  const versions = {}
+  Object.keys(manifest.versions || {}).forEach((v) => {
+    const version = manifest.versions[v] || {}
+    versions[v] = {}
+    ABBREVIATED_FIELDS.forEach((field) => {
+      if (version[field] !== undefined) {
+        versions[v][field] = version[field]
+      }
+    })
+  })
+  return {
+    name: manifest.name,
+    modified: (manifest.time && manifest.time.modified) || undefined,
+    'dist-tags': manifest['dist-tags'] || {},
+    versions
+  }
+}
+
+// readManifest reads and parses a manifest we previously uploaded to the
+// bucket
+function readManifest (filename, cb) {
+  const callback = once(cb)
+  let body
+  miss.pipe(
+    bucket.createReadStream(filename),
+    miss.concat((buf) => { body = buf }),
+    (e) => {
+      if (e) {
+        return callback(e)
+      }
+      try {
+        callback(null, JSON.parse(String(body || '')))
+      } catch (e) {
+        callback(e)
+      }
+    })
+}
+
+// removePackage removes a package that no longer exists on npm from the
+// mirror, according to the unpublish policy
+function removePackage (opts, name, reason, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  // Every object belonging to a package lives under its name, except for its
+  // tarballs which live under its name with a leading slash (see
+  // handleTarball)
+  const prefixes = [ name + '/', '/' + name + '/' ]
+  // Forget how far along mirroring the package was first, so a tarball
+  // finishing late can't bring its package level manifests back
+  forget(opts, name, () => concat(prefixes, bucket.list, (e, files) => {
+    if (e) {
+      log.error({ err: e }, 'failed to list package')
+      opts.failure = 'failed to list package'
+      return callback()
+    }
+    // Some backends don't tell a leading slash apart, in which case we get
+    // the same file under both prefixes
+    const names = files.filter((name, i) => files.indexOf(name) === i)
+    // When retaining, only the package level manifests go, which hides the
+    // package from npm clients while leaving everything else in place
+    const manifests = [
+      path.join(name, 'index.json'),
+      path.join(name, 'corgi.json')
+    ]
+    const targets = UNPUBLISH_POLICY === 'retain'
+      ? names.filter((filename) => manifests.indexOf(filename) !== -1)
+      : names
+    // Nothing to do if we never mirrored the package (or already removed it)
+    if (targets.length === 0) {
+      return callback()
+    }
+    removeFiles(opts, targets, () => audit(opts, {
+      action: 'package removed',
+      package: name,
+      reason,
+      files: targets
+    }, () => announceRemoval(opts, 'package.removed', {
+      name,
+      reason,
+      paths: targets
+    }, callback)))
+  }))
+}
+
+// forget removes a package's pending manifest and completion state
+function forget (opts, name, cb) {
+  const log = opts.log
+  parallel([
+    (cb2) => state.remove(name, (e) => {
       if (e) {
-        log.error({ err: e }, 'failed to upload index')
+        log.error({ err: e }, 'failed to remove progress')
+        opts.failure = 'failed to remove progress'
+      }
+      cb2()
+    }),
+    (cb2) => removeFiles(opts, [ pendingPath(name) ], cb2)
+  ], () => cb())
+}
+
+// removeVersions removes the versions (and dist-tags) that were in the package
+// level manifest we uploaded last time but are no longer on npm. When retaining
+// there is nothing to do: the new package level manifest already hides them.
+function removeVersions (opts, previous, manifest, cb) {
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  if (!previous || UNPUBLISH_POLICY === 'retain') {
+    return callback()
+  }
+
+  const current = manifest.versions || {}
+  const currentTags = manifest['dist-tags'] || {}
+  const versions = Object.keys(previous.versions || {})
+    .filter((v) => !current[v])
+  // A dist-tag's manifest is uploaded to the same place a version's would be,
+  // so a tag that happens to share its name with a version is left alone
+  const tags = Object.keys(previous['dist-tags'] || {})
+    .filter((tag) => !currentTags[tag] && !current[tag])
+  if (versions.length === 0 && tags.length === 0) {
+    return callback()
+  }
+
+  // Every version has a manifest and a tarball, dist-tags only have a manifest
+  const targets = versions.concat(tags)
+    .map((v) => path.join(manifest.name, v, 'index.json'))
+  // A tarball that wasn't the package's own was never mirrored, and belongs to
+  // someone else if it is in the bucket
+  versions.forEach((v) => {
+    const dist = previous.versions[v].dist || {}
+    const key = typeof dist.tarball === 'string'
+      ? tarballPath(manifest.name, dist.tarball)
+      : null
+    if (key !== null) {
+      targets.push(key)
+    }
+  })
+  removeFiles(opts, targets, () => audit(opts, {
+    action: 'versions removed',
+    package: manifest.name,
+    reason: 'unpublished',
+    versions,
+    tags,
+    files: targets
+  }, () => each(versions, (v, cb2) => {
+    const dist = previous.versions[v].dist || {}
+    const paths = { manifest: path.join(manifest.name, v, 'index.json') }
+    const key = typeof dist.tarball === 'string'
+      ? tarballPath(manifest.name, dist.tarball)
+      : null
+    if (key !== null) {
+      paths.tarball = key
+    }
+    announceRemoval(opts, 'version.removed', {
+      name: manifest.name,
+      version: v,
+      reason: 'unpublished',
+      paths
+    }, cb2)
+  }, () => callback())))
+}
+
+// announceRemoval publishes an event for a removal. The files are already
+// gone, so a retry would have nothing left to remove and announce: failing to
+// announce is logged, but the package isn't retried for it.
+function announceRemoval (opts, type, fields, cb) {
+  const log = opts.log
+  events.publish(type, Object.assign({
+    upstream: upstreams.route(fields.name).name,
+    seq: opts.seq
+  }, fields), (e) => {
+    if (e) {
+      log.error({ err: e, type, fields }, 'failed to announce removal')
+    }
+    cb()
+  })
+}
+
+// removeFiles deletes a set of files from the bucket, files that are already
+// gone are not an error
+function removeFiles (opts, filenames, cb) {
+  const log = opts.log
+  each(filenames, (filename, cb2) => {
+    bucket.delete(filename, (e) => {
+      if (e && e.code !== 404) {
+        log.error({ err: e, filename }, 'failed to remove file')
+        opts.failure = 'failed to remove file'
+      }
+      cb2()
+    })
+  }, () => cb())
+}
+
+// audit records a removal in the audit log. Every entry is written as its own
+// object under _audit/ in the bucket, which npm package names can never start
+// with. The entry is also logged to stackdriver.
+function audit (opts, entry, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const record = Object.assign({
+    time: new Date().toISOString(),
+    policy: UNPUBLISH_POLICY
+  }, entry)
+  log.warn({ audit: record }, record.action)
+
+  const filename = path.join('_audit',
+    record.time + '-' + encodeURIComponent(record.package) + '.json')
+  miss.pipe(
+    str(JSON.stringify(record, null, '    ')),
+    // Unlike everything else in the bucket, the audit log isn't public
+    bucket.createWriteStream(filename, {
+      contentType: 'application/json'
+    }),
+    (e) => {
+      if (e) {
+        log.error({ err: e, filename }, 'failed to write audit log')
       }
-      // And we are done! At this point the manifest for the package is
-      // being mirrored!
       callback()
     })
 }
+
+// tarballPath turns the url of one of a package's tarballs into the path the
+// tarballs Cloud Function uploads it to. This works for both upstream urls and
+// urls we have already rewritten to point at the mirror, and is null for urls
+// that aren't the package's own tarballs.
+function tarballPath (name, tarball) {
+  if (tarball.indexOf(MIRROR_URL) === 0) {
+    return ownTarball(name, tarball.slice(MIRROR_URL.length))
+  }
+  return upstreams.tarballPath(name, tarball)
+}
+
+// tarballUrl is the url a tarball is served from by the mirror, given its key.
+// It is the inverse of tarballPath, which bundle/index.js mirrors too.
+function tarballUrl (key) {
+  return MIRROR_URL + key
+}
+
+// rewriteTarballUrls returns a copy of a manifest with every dist.tarball url
+// pointing at the mirror. It accepts both package level manifests and the
+// manifest of a single version, and leaves urls that already point at the
+// mirror alone so it is safe to run against manifests we have already
+// rewritten.
+function rewriteTarballUrls (manifest) {
+  const result = JSON.parse(JSON.stringify(manifest))
+  const rewrite = (version) => {
+    if (!version || !version.dist || typeof version.dist.tarball !== 'string') {
+      return
+    }
+    if (version.dist.tarball.indexOf(MIRROR_URL) === 0) {
+      return
+    }
+    // This is the same path npm-change-resolve gives us for the tarball, which
+    // is where the tarballs Cloud Function uploads it to. Tarballs that aren't
+    // the package's own are never mirrored, nor are their versions exposed.
+    const key = tarballPath(result.name, version.dist.tarball)
+    if (key !== null) {
+      version.dist.tarball = tarballUrl(key)
+    }
+  }
+  if (result.versions && typeof result.versions === 'object') {
+    Object.keys(result.versions).forEach((v) => rewrite(result.versions[v]))
+  }
+  rewrite(result)
+  return result
+}
+
+// retry hands a message that failed to process over to the retry Cloud
+// Function. The message is published to the retry topic with its original
+// data and attributes, along with the topic it should be replayed into, the
+// number of times it has failed so far, and why it failed this time.
+function retry (opts, origin, data, attributes, reason, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const msgAttributes = Object.assign({}, attributes, {
+    topic: origin,
+    attempt: String(opts.attempt + 1),
+    reason
+  })
+  retryTopic.publish(Buffer.from(data), msgAttributes, (e) => {
+    // If we can't even publish to the retry topic, the logs are all we have
+    // left
+    if (e) {
+      log.error({ err: e, msgAttributes }, 'failed to publish retry')
+      return callback()
+    }
+    log.warn({ msgAttributes }, 'scheduled retry')
+    callback()
+  })
+}
+
+// Expose the url rewriting so the cli can rewrite manifests we uploaded before
+// we started rewriting them
+exports.rewriteTarballUrls = rewriteTarballUrls
+exports.readManifest = readManifest
+exports.bucket = bucket
+// Expose how we resolve and lay out a package so the cli can reconcile the
+// bucket with upstream
+exports.registry = registry
+exports.filter = filter
+exports.abbreviate = abbreviate
+exports.integrities = integrities
+exports.tarballVersions = tarballVersions
+exports.publishTarball = publishTarball
+exports.exposedManifest = exposedManifest
+exports.quarantine = quarantine
+exports.publishTimes = publishTimes
+exports.tarballPath = tarballPath
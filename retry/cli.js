@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+'use strict'
+
+// frea-retry lets a human inspect and replay the messages the retry Cloud
+// Function has parked in the dead-letter store.
+//
+// Usage:
+//   frea-retry list [--queued]     List parked (or still queued) messages
+//   frea-retry replay <id>...      Replay the given parked messages
+//   frea-retry replay --all        Replay every parked message
+//
+// Replayed messages are published back into the topic they originally came
+// from with a fresh set of attempts.
+
+const { eachSeries } = require('async')
+const bunyan = require('bunyan')
+const { deadletter, retries, replay } = require('./index.js')
+
+// The cli logs to the terminal rather than stackdriver
+const log = bunyan.createLogger({ name: 'frea-retry-cli', level: 'info' })
+
+const [ command, ...args ] = process.argv.slice(2)
+
+function usage () {
+  console.error('usage: frea-retry list [--queued]')
+  console.error('       frea-retry replay <id>... | --all')
+  process.exit(1)
+}
+
+function fail (e) {
+  console.error(e)
+  process.exit(1)
+}
+
+function list () {
+  const store = args.indexOf('--queued') === -1 ? deadletter : retries
+  store.get()
+    .then((snapshot) => {
+      snapshot.docs.forEach((doc) => {
+        const record = doc.data()
+        const data = Buffer.from(record.data || '', 'base64').toString()
+        console.log([
+          doc.id,
+          record.topic,
+          record.attempt,
+          record.reason,
+          new Date(record.failedAt).toISOString(),
+          data
+        ].join('\t'))
+      })
+      process.exit(0)
+    })
+    .catch(fail)
+}
+
+function replayParked () {
+  if (args.length === 0) {
+    usage()
+  }
+  const query = args.indexOf('--all') !== -1
+    ? deadletter.get().then((snapshot) => snapshot.docs)
+    : Promise.all(args.map((id) => deadletter.doc(id).get()))
+  query
+    .then((docs) => {
+      eachSeries(docs, (doc, cb) => {
+        if (!doc.exists) {
+          log.error({ id: doc.id }, 'no such parked message')
+          return cb()
+        }
+        replay({ log, reset: true }, doc, cb)
+      }, () => process.exit(0))
+    })
+    .catch(fail)
+}
+
+switch (command) {
+  case 'list':
+    list()
+    break
+  case 'replay':
+    replayParked()
+    break
+  default:
+    usage()
+}
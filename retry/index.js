@@ -0,0 +1,254 @@
+'use strict'
+
+// Load all dependencies
+const { eachLimit } = require('async')
+const { PubSub } = require('@google-cloud/pubsub')
+const Firestore = require('@google-cloud/firestore')
+const once = require('once').strict
+const config = require('frea-gcp-mirror-common/config').load()
+const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
+const bunyan = require('bunyan')
+
+// The retry queue policy. A failed message is retried with an exponential
+// backoff: BACKOFF_BASE_MS after the first failure, doubling after every
+// subsequent failure, but never waiting longer than BACKOFF_MAX_MS. Once a
+// message has failed MAX_ATTEMPTS times we stop retrying and park it in the
+// dead-letter store where a human can take a look at it. Messages that failed
+// in a way retrying can't fix are flagged as final, and parked right away.
+const MAX_ATTEMPTS = 8
+const BACKOFF_BASE_MS = 60 * 1000
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000
+// The maximum number of due messages retryTick will republish per invocation
+const TICK_BATCH_SIZE = 500
+
+// The topics we are willing to replay messages into. Anything else showing up
+// on the retry topic is a bug, and we don't want this function to become a
+// way of publishing to arbitrary topics. Messages name the stage of the
+// pipeline they came from, the configuration tells us which topic that is.
+const ORIGINS = [ 'packages', 'tarballs', 'webhooks' ]
+
+// The attributes the packages, tarballs, and webhooks Cloud Functions attach
+// to a message when they hand it over to the retry topic. These are stripped
+// off before the message is replayed into its original topic.
+const RETRY_ATTRIBUTES = [ 'topic', 'attempt', 'reason', 'final' ]
+
+// Configure Google Cloud Pub/Sub
+const pubsub = new PubSub()
+const topics = {}
+ORIGINS.forEach((name) => {
+  topics[name] = pubsub.topic(config.topics[name])
+  topics[name].setPublishOptions({
+    // Dont batch messages! We want to flush to Pub/Sub immediately since this
+    // is a Cloud Function invocation
+    batching: {
+      maxMessages: 0
+    }
+  })
+})
+
+// Configure Cloud Firestore, this is where the retry queue and the dead-letter
+// store live. Messages waiting for their backoff to expire are kept in the
+// retries collection, messages we have given up on are kept in the deadletter
+// collection.
+const db = new Firestore()
+const retries = db.collection(config.retry.queue)
+const deadletter = db.collection(config.retry.deadletter)
+
+// initLogger creates a dedicated logger for each Cloud Function invocation.
+// Since logging is async, there isn't a guarentee by default that logs will
+// be fully flushed when the the Cloud Function terminates, meaning logs may not
+// make it to stackdriver!
+// By having a dedicated stackdriver stream for every invocation, we can
+// force the stream to fully flush before inovking the function's callback.
+// This returns a standard bunyan logger with an extra function: callback.
+// Callback wraps the Cloud Function's default callback w/ logic that forces
+// the stream to be fully flushed prior to terminating the function, and passes
+// along the error (if any) the function failed with. Magic!
+function initLogger (fields) {
+  // Create a new stackdriver stream dedicated to this invocation of the
+  // cloud function
+  const stackdriver = (new LoggingBunyan()).stream(config.logLevel)
+  const log = bunyan.createLogger(Object.assign({
+    name: 'frea-retry',
+    level: config.logLevel,
+    streams: [
+      stackdriver
+    ]
+  }, fields))
+
+  // Create a callback function that wraps the Cloud Function's callback
+  // with logic that closes the stackdriver stream and waits for it to fully
+  // flush before invoking the Cloud Function's callback. This guarentees the
+  // logs will be written to stackdriver before the function terminates.
+  log.callback = (cb) => {
+    return (e) => {
+      setImmediate(() => {
+        stackdriver.stream.end(() => cb(e))
+      })
+    }
+  }
+
+  // Return our new bunyan instance
+  return log
+}
+
+// backoff returns how long (in ms) a message that has failed `attempt` times
+// should wait before being replayed
+function backoff (attempt) {
+  const delay = BACKOFF_BASE_MS * Math.pow(2, Math.max(attempt - 1, 0))
+  return Math.min(delay, BACKOFF_MAX_MS)
+}
+
+// This is our Cloud Function handler for the retry topic, it can be deployed
+// with:
+// gcloud functions deploy retry --runtime nodejs8 --trigger-topic retry
+// The packages, tarballs, and webhooks Cloud Functions publish any work that
+// failed to the retry topic, along with the name of the topic it came from,
+// the number of times it has failed, and the reason it failed. This function
+// doesn't replay the message itself, it records it in the retry queue along
+// with the earliest time it may be replayed. The retryTick Cloud Function
+// takes care of the actual replaying. If a message has run out of attempts, it
+// is parked in the dead-letter store instead. If neither can be written to, the
+// invocation fails so Pub/Sub redelivers the message, rather than dropping it.
+exports.retry = function retry (message, _, cb) {
+  const attributes = Object.assign({}, message.attributes)
+  const origin = attributes.topic
+  const attempt = Number(attributes.attempt) || 1
+  const reason = attributes.reason || 'unknown'
+  const final = attributes.final === 'true'
+  // Create a dedicated logger for this Cloud Function invocation, all of the
+  // logs from this invocation will include the message's origin and attempt
+  const log = initLogger({ origin, attempt, reason })
+  // Create a callback for this Cloud Function invocation that ensures all logs
+  // are written to stackdriver before terminating. We also wrap it in once,
+  // which will throw an exception if we try to call this more than once. Once
+  // is handy for catching async logic bugs at runtime.
+  const callback = once(log.callback(cb))
+  log.info('processing')
+
+  // We only replay messages into topics we know about
+  if (ORIGINS.indexOf(origin) === -1) {
+    log.error({ attributes }, 'unknown origin topic')
+    return callback()
+  }
+
+  // Strip the retry bookkeeping off of the message, what is left are the
+  // attributes the message originally had
+  RETRY_ATTRIBUTES.forEach((key) => delete attributes[key])
+  const record = {
+    topic: origin,
+    data: message.data || '',
+    attributes,
+    attempt,
+    reason,
+    failedAt: Date.now()
+  }
+
+  // If we are out of attempts, or retrying is pointless, give up and park the
+  // message in the dead-letter store. It will sit there until someone replays
+  // it with the cli.
+  if (attempt >= MAX_ATTEMPTS || final) {
+    return deadletter.add(record)
+      .then((ref) => {
+        log.warn({ id: ref.id }, 'parked in dead-letter store')
+        callback()
+      })
+      .catch((e) => {
+        log.error({ err: e, record }, 'failed to park message')
+        callback(e)
+      })
+  }
+
+  // Otherwise queue the message up to be replayed once it's backoff expires
+  record.notBefore = record.failedAt + backoff(attempt)
+  retries.add(record)
+    .then((ref) => {
+      log.info({ id: ref.id, notBefore: record.notBefore }, 'queued for retry')
+      callback()
+    })
+    .catch((e) => {
+      log.error({ err: e, record }, 'failed to queue message')
+      callback(e)
+    })
+}
+
+// This is our Cloud Function handler for replaying messages whose backoff has
+// expired. It is meant to be triggered on a schedule by Cloud Scheduler:
+// gcloud scheduler jobs create pubsub retry-tick --schedule '* * * * *' \
+//   --topic retry-tick --message-body tick
+// gcloud functions deploy retryTick --runtime nodejs8 --trigger-topic retry-tick
+// Every invocation republishes the messages that are due into the topic they
+// originally came from and removes them from the retry queue.
+exports.retryTick = function retryTick (message, _, cb) {
+  const log = initLogger({})
+  const callback = once(log.callback(cb))
+  log.info('processing')
+
+  retries
+    .where('notBefore', '<=', Date.now())
+    .orderBy('notBefore')
+    .limit(TICK_BATCH_SIZE)
+    .get()
+    .then((snapshot) => {
+      log.info({ due: snapshot.size }, 'replaying due messages')
+      eachLimit(
+        snapshot.docs,
+        10,
+        (doc, cb2) => replay({ log }, doc, cb2),
+        callback)
+    })
+    .catch((e) => {
+      log.error({ err: e }, 'failed to query retry queue')
+      callback()
+    })
+}
+
+// replay publishes a queued message back into the topic it originally came
+// from and then removes it from the queue it was stored in. The attempt
+// counter is carried along unless opts.reset is set, in which case the
+// message starts over with a full set of attempts.
+function replay (opts, doc, cb) {
+  const log = opts.log
+  // Wrap the callback in a once handler to catch any logic bugs at runtime
+  const callback = once(cb)
+  const record = doc.data()
+
+  const topic = topics[record.topic]
+  if (!topic) {
+    log.error({ id: doc.id, record }, 'unknown origin topic')
+    return callback()
+  }
+
+  const data = Buffer.from(record.data || '', 'base64')
+  const attributes = Object.assign({}, record.attributes)
+  if (!opts.reset) {
+    attributes.attempt = String(record.attempt)
+  }
+
+  topic.publish(data, attributes, (e) => {
+    // If we failed to publish, leave the message where it is so the next tick
+    // (or the next replay from the cli) picks it up again
+    if (e) {
+      log.error({ err: e, id: doc.id }, 'failed to replay message')
+      return callback()
+    }
+    doc.ref.delete()
+      .then(() => {
+        log.info({ id: doc.id, topic: record.topic }, 'replayed')
+        callback()
+      })
+      .catch((e) => {
+        // The message has been replayed but will be replayed again, this is
+        // fine since the Cloud Functions are idempotent (webhook receivers
+        // spot the duplicate by its delivery id)
+        log.error({ err: e, id: doc.id }, 'failed to remove replayed message')
+        callback()
+      })
+  })
+}
+
+// Expose the stores and replay logic so the cli can list and replay parked
+// messages
+exports.retries = retries
+exports.deadletter = deadletter
+exports.replay = replay
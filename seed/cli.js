@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+'use strict'
+
+// frea-seed mirrors a project's dependencies ahead of time, rather than
+// waiting for each of them to be published again and show up on the follower's
+// feed.
+//
+// Usage:
+//   frea-seed [--dry-run] <package.json | package-lock.json | yarn.lock>
+//     Work out every package the project installs from the registry and
+//     publish their names to the packages topic. With --dry-run, the names are
+//     printed instead.
+//
+// Packages the filter policy doesn't allow are left out.
+
+const { eachLimit } = require('async')
+const bunyan = require('bunyan')
+const config = require('frea-gcp-mirror-common/config').load()
+const { createFilter } = require('frea-gcp-mirror-common/filter')
+const { closure } = require('./index.js')
+
+// The cli logs to the terminal rather than stackdriver
+const log = bunyan.createLogger({ name: 'frea-seed-cli', level: 'info' })
+
+const args = process.argv.slice(2)
+const dryRun = args.indexOf('--dry-run') !== -1
+const filename = args.filter((arg) => arg !== '--dry-run')[0]
+
+if (!filename) {
+  console.error('usage: frea-seed [--dry-run] ' +
+    '<package.json | package-lock.json | yarn.lock>')
+  process.exit(1)
+}
+
+const filter = createFilter(config.filter.policy)
+
+closure(filename, (e, result) => {
+  if (e) {
+    log.error({ err: e, filename }, 'failed to read dependencies')
+    process.exit(1)
+  }
+  result.failures.forEach((failure) => {
+    log.error(failure, 'failed to resolve dependency')
+  })
+
+  const names = result.names.filter((name) => {
+    const filtered = filter.check(name)
+    if (!filtered.allowed) {
+      log.info({ name, reason: filtered.reason }, 'filtered')
+    }
+    return filtered.allowed
+  })
+  const stats = {
+    found: result.names.length,
+    filtered: result.names.length - names.length,
+    unresolved: result.failures.length,
+    enqueued: 0,
+    failed: 0
+  }
+  const exit = () => {
+    log.info(stats, dryRun ? 'dry run' : 'done')
+    process.exit(stats.unresolved > 0 || stats.failed > 0 ? 1 : 0)
+  }
+
+  if (dryRun) {
+    names.forEach((name) => console.log(name))
+    return exit()
+  }
+
+  // Pub/Sub is only loaded when we need it, so a dry run works without any
+  // Google Cloud credentials
+  const { PubSub } = require('@google-cloud/pubsub')
+  const topic = (new PubSub()).topic(config.topics.packages)
+  eachLimit(names, 16, (name, cb) => {
+    topic.publish(Buffer.from(name), (e) => {
+      if (e) {
+        log.error({ err: e, name }, 'failed to enqueue package')
+        stats.failed++
+      } else {
+        stats.enqueued++
+      }
+      cb()
+    })
+  }, exit)
+})
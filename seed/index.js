@@ -0,0 +1,247 @@
+'use strict'
+
+// Load all dependencies
+const { memoize, queue } = require('async')
+const fs = require('fs')
+const got = require('got')
+const lockfile = require('@yarnpkg/lockfile')
+const path = require('path')
+const semver = require('semver')
+const config = require('frea-gcp-mirror-common/config').load()
+const { createUpstreams } = require('frea-gcp-mirror-common/upstreams')
+
+// Packages are fetched from the upstream their scope routes to
+const upstreams = createUpstreams(config)
+
+// The number of packuments we fetch from upstream at once while resolving a
+// package.json
+const FETCH_CONCURRENCY = 8
+
+// closure works out every package a project needs installed from the registry
+// and calls back with { names, failures }. names is the sorted list of package
+// names, failures lists the dependencies we weren't able to resolve.
+//
+// Lockfiles (package-lock.json, npm-shrinkwrap.json, and yarn.lock) already
+// record the full dependency tree, so we only have to read the names out of
+// them. A package.json only records the direct dependencies of a project, so
+// we resolve their semver ranges against the upstream packuments and walk the
+// dependencies of whatever versions they resolve to, the same way npm would.
+function closure (filename, cb) {
+  fs.readFile(filename, 'utf8', (e, contents) => {
+    if (e) {
+      return cb(e)
+    }
+    const type = path.basename(filename)
+    let parsed
+    try {
+      switch (type) {
+        case 'package-lock.json':
+        case 'npm-shrinkwrap.json':
+          parsed = fromPackageLock(JSON.parse(contents))
+          break
+        case 'yarn.lock':
+          parsed = fromYarnLock(contents)
+          break
+        case 'package.json':
+          return resolve(JSON.parse(contents), cb)
+        default:
+          throw new Error('expected a package.json, package-lock.json, ' +
+            'npm-shrinkwrap.json, or yarn.lock, got ' + type)
+      }
+    } catch (e) {
+      return cb(e)
+    }
+    cb(null, { names: Array.from(parsed).sort(), failures: [] })
+  })
+}
+
+// isRegistry returns false for things that are installed from somewhere other
+// than the registry, e.g. git repos, local directories, or tarball urls
+function isRegistry (resolved) {
+  return !resolved || /^https?:/.test(resolved)
+}
+
+// fromPackageLock reads the package names out of a package-lock.json. Version
+// 2 and 3 lockfiles list every installed package under packages, keyed by
+// where it is installed. Version 1 lockfiles nest dependencies the same way
+// node_modules does.
+function fromPackageLock (lock) {
+  const names = new Set()
+  if (lock.packages) {
+    Object.keys(lock.packages).forEach((key) => {
+      const entry = lock.packages[key]
+      const index = key.lastIndexOf('node_modules/')
+      // The project itself and its workspaces aren't installed from the
+      // registry, and neither is anything bundled inside another package
+      if (index === -1 || entry.link || entry.inBundle ||
+          !isRegistry(entry.resolved)) {
+        return
+      }
+      // Aliased packages record their real name
+      names.add(entry.name || key.slice(index + 'node_modules/'.length))
+    })
+    return names
+  }
+
+  const walk = (dependencies) => {
+    Object.keys(dependencies || {}).forEach((name) => {
+      const entry = dependencies[name]
+      if (!entry.bundled && isRegistry(entry.resolved)) {
+        // Aliased packages record their real name in their version, e.g.
+        // npm:lodash@4.17.11
+        const alias = /^npm:(@?[^@]+)@/.exec(entry.version)
+        if (alias) {
+          names.add(alias[1])
+        } else if (semver.valid(entry.version)) {
+          names.add(name)
+        }
+      }
+      walk(entry.dependencies)
+    })
+  }
+  walk(lock.dependencies)
+  return names
+}
+
+// fromYarnLock reads the package names out of a (classic) yarn.lock. Every
+// entry is keyed by the specs that resolved to it, e.g. "lodash@^4.17.0".
+function fromYarnLock (contents) {
+  // Yarn 2 and later write YAML lockfiles that the classic parser can't read
+  if (/^__metadata:/m.test(contents)) {
+    throw new Error('only yarn.lock files written by yarn 1 are supported')
+  }
+  const lock = lockfile.parse(contents)
+  if (lock.type === 'conflict') {
+    throw new Error('yarn.lock has unresolved merge conflicts')
+  }
+  const names = new Set()
+  Object.keys(lock.object).forEach((key) => {
+    const entry = lock.object[key]
+    if (!isRegistry(entry.resolved)) {
+      return
+    }
+    // Scoped names start with an @, the spec starts after the next one
+    const at = key.indexOf('@', 1)
+    const dep = parseSpec(key.slice(0, at), key.slice(at + 1))
+    if (dep) {
+      names.add(dep.name)
+    }
+  })
+  return names
+}
+
+// parseSpec works out which package (and which range or dist-tag of it) a
+// dependency refers to. It returns null for dependencies that aren't
+// installed from the registry.
+function parseSpec (name, spec) {
+  spec = String(spec || '').trim()
+  // Aliases, e.g. "lodash4": "npm:lodash@^4.0.0"
+  const alias = /^npm:(@?[^@]+)(?:@(.*))?$/.exec(spec)
+  if (alias) {
+    return parseSpec(alias[1], alias[2])
+  }
+  if (spec === '') {
+    return { name, range: '*' }
+  }
+  // Anything else that isn't a range or a dist-tag is a git repo, a github
+  // shorthand, a local path, or a url
+  if (semver.validRange(spec) === null && !/^[a-z][\w.-]*$/i.test(spec)) {
+    return null
+  }
+  return { name, range: spec }
+}
+
+// dependenciesOf lists the dependencies npm would install for a manifest. The
+// dev dependencies of a project are installed, the dev dependencies of the
+// packages it depends on are not.
+function dependenciesOf (manifest, root) {
+  const fields = [ 'dependencies', 'optionalDependencies', 'peerDependencies' ]
+  if (root) {
+    fields.push('devDependencies')
+  }
+  const deps = []
+  fields.forEach((field) => {
+    const specs = manifest[field] || {}
+    Object.keys(specs).forEach((name) => {
+      const dep = parseSpec(name, specs[name])
+      if (dep) {
+        deps.push(dep)
+      }
+    })
+  })
+  return deps
+}
+
+// fetchPackument fetches the abbreviated packument for a package from its
+// upstream. It is memoized so every package is only fetched once, no matter
+// how many packages depend on it.
+function fetchPackument (name, cb) {
+  const upstream = upstreams.route(name)
+  const target = upstream.registry.replace(/\/+$/, '') + '/' + name.replace('/', '%2f')
+  got(target, {
+    json: true,
+    headers: Object.assign({
+      accept: 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8'
+    }, upstreams.headers(upstream, target))
+  }).then((res) => cb(null, res.body), cb)
+}
+
+// pickVersion picks the version of a packument npm would install for a range
+// or dist-tag. Like npm, we prefer the latest dist-tag when it satisfies the
+// range.
+function pickVersion (packument, range) {
+  const tags = packument['dist-tags'] || {}
+  if (tags[range]) {
+    return tags[range]
+  }
+  if (tags.latest && semver.satisfies(tags.latest, range)) {
+    return tags.latest
+  }
+  return semver.maxSatisfying(Object.keys(packument.versions || {}), range)
+}
+
+// resolve walks the dependency tree of a package.json against upstream
+function resolve (manifest, cb) {
+  const fetch = memoize(fetchPackument)
+  const names = new Set()
+  const visited = new Set()
+  const failures = []
+
+  const q = queue((dep, done) => {
+    fetch(dep.name, (e, packument) => {
+      if (e) {
+        failures.push({ name: dep.name, range: dep.range, error: e.message })
+        return done()
+      }
+      const version = pickVersion(packument, dep.range)
+      const resolved = version && (packument.versions || {})[version]
+      if (!resolved) {
+        failures.push({
+          name: dep.name,
+          range: dep.range,
+          error: 'no version satisfies the range'
+        })
+        return done()
+      }
+      names.add(dep.name)
+      // Different ranges of the same package often resolve to the same
+      // version, we only have to walk its dependencies once
+      const id = dep.name + '@' + version
+      if (!visited.has(id)) {
+        visited.add(id)
+        dependenciesOf(resolved, false)
+          .forEach((dep) => q.push(dep))
+      }
+      done()
+    })
+  }, FETCH_CONCURRENCY)
+
+  const deps = dependenciesOf(manifest, true)
+  if (deps.length === 0) {
+    return cb(null, { names: [], failures })
+  }
+  q.drain = () => cb(null, { names: Array.from(names).sort(), failures })
+  deps.forEach((dep) => q.push(dep))
+}
+
+module.exports = { closure, fromPackageLock, fromYarnLock, parseSpec }
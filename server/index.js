@@ -0,0 +1,303 @@
+'use strict'
+
+// Load all dependencies
+const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
+const bunyan = require('bunyan')
+const crypto = require('crypto')
+const config = require('frea-gcp-mirror-common/config').load()
+const storage = require('frea-gcp-mirror-common/storage')
+const http = require('http')
+const miss = require('mississippi')
+const once = require('once').strict
+const path = require('path')
+const url = require('url')
+
+// Configure the bucket the packages and tarballs Cloud Functions mirror the
+// registry into. This is Google Cloud Storage by default, see
+// frea-gcp-mirror-common/storage for the other backends.
+const bucket = storage.createStorage(config.storage)
+
+// The content types of the two forms of packument we serve
+const JSON_TYPE = 'application/json'
+const ABBREVIATED = 'application/vnd.npm.install-v1+json'
+
+// Configure Logging
+const log = bunyan.createLogger({
+  name: 'frea-server',
+  level: config.logLevel,
+  streams: [
+    (new LoggingBunyan()).stream(config.logLevel)
+  ]
+})
+
+// This is a small read-only npm registry. It speaks just enough of the
+// registry protocol for `npm install --registry` to work against the mirror:
+//   GET /<name>                 The package level manifest (packument), or its
+//                               abbreviated form if the client asks for it
+//   GET /<name>/<version|tag>   The manifest of a single version
+//   GET /<name>/-/<file>.tgz    A tarball
+// The packages Cloud Function points dist.tarball at the mirror's url followed
+// by the tarball's key, which starts with a slash of its own, so tarballs are
+// usually asked for as //<name>/-/<file>.tgz. Both forms are served.
+// Scoped packages may be requested as either /@scope/name or /@scope%2fname.
+// Every response carries an ETag so clients can revalidate their caches with
+// If-None-Match.
+const server = http.createServer(function handleRequest (req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return sendError(res, 405, 'Method not allowed')
+  }
+
+  const route = parseRoute(url.parse(req.url).pathname)
+  if (!route) {
+    return sendError(res, 404, 'Not found')
+  }
+
+  if (route.tarball) {
+    return serveTarball(req, res, route)
+  }
+  if (route.version) {
+    return serveVersion(req, res, route)
+  }
+  return servePackument(req, res, route)
+})
+
+// parseRoute turns a request path into the package name and either the
+// version or tarball being requested. It returns null for paths that can't be
+// a package.
+function parseRoute (pathname) {
+  let segments
+  try {
+    // Decoding the whole path turns @scope%2fname into @scope/name, which
+    // lets us treat both forms of a scoped name the same way
+    segments = decodeURIComponent(pathname || '').split('/').slice(1)
+  } catch (e) {
+    return null
+  }
+  // Guard against anything that could escape the package's directory in the
+  // bucket
+  if (segments.some((segment) => segment === '..' || segment === '.')) {
+    return null
+  }
+  // The empty segment in front of a tarball's key
+  const keyed = segments.length > 1 && segments[0] === ''
+  if (keyed) {
+    segments.shift()
+  }
+
+  let name = segments.shift()
+  if (name && name[0] === '@') {
+    const unscoped = segments.shift()
+    if (!unscoped) {
+      return null
+    }
+    name = name + '/' + unscoped
+  }
+  if (!name) {
+    return null
+  }
+
+  if (segments.length === 0 && !keyed) {
+    return { name }
+  }
+  if (segments.length === 1 && segments[0] && !keyed) {
+    return { name, version: segments[0] }
+  }
+  if (segments.length === 2 && segments[0] === '-' && /\.tgz$/.test(segments[1])) {
+    return { name, tarball: segments[1] }
+  }
+  return null
+}
+
+// servePackument responds with a package's packument exactly as the packages
+// Cloud Function uploaded it. npm and yarn ask for the much smaller abbreviated
+// packument through the Accept header when installing, in which case we serve
+// that instead. If a package doesn't have an abbreviated packument yet, we fall
+// back to the full one which every client understands.
+function servePackument (req, res, route) {
+  const accept = req.headers['accept'] || ''
+  if (accept.indexOf(ABBREVIATED) === -1) {
+    return serveFile(req, res, route, manifestPath(route.name), JSON_TYPE)
+  }
+  readFile(abbreviatedPath(route.name), (e, body) => {
+    if (e) {
+      return serveFile(req, res, route, manifestPath(route.name), JSON_TYPE)
+    }
+    sendJSON(req, res, body, ABBREVIATED)
+  })
+}
+
+// serveFile responds with a JSON object from the bucket
+function serveFile (req, res, route, filename, contentType) {
+  readFile(filename, (e, body) => {
+    if (e) {
+      return handleReadError(res, e, route)
+    }
+    sendJSON(req, res, body, contentType)
+  })
+}
+
+// serveVersion responds with the manifest of a single version of a package.
+// The version may be an exact version or a dist-tag, we resolve both against
+// the packument so the result is always consistent with it.
+function serveVersion (req, res, route) {
+  readFile(manifestPath(route.name), (e, body) => {
+    if (e) {
+      return handleReadError(res, e, route)
+    }
+    let packument
+    try {
+      packument = JSON.parse(body.toString())
+    } catch (e) {
+      log.error({ err: e, route }, 'failed to parse packument')
+      return sendError(res, 500, 'Internal server error')
+    }
+    const versions = packument.versions || {}
+    const tags = packument['dist-tags'] || {}
+    // Only the packument's own keys are versions or dist-tags, anything else,
+    // like /name/constructor, would resolve to the prototype's properties
+    const tag = own(tags, route.version) && tags[route.version]
+    let version = own(versions, route.version) && versions[route.version]
+    if (!version && tag) {
+      version = own(versions, tag) && versions[tag]
+    }
+    if (!version) {
+      return sendError(res, 404, 'version not found: ' + route.version)
+    }
+    sendJSON(req, res, Buffer.from(JSON.stringify(version)), JSON_TYPE)
+  })
+}
+
+// own is whether object has key as one of its own properties
+function own (object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key)
+}
+
+// serveTarball streams a tarball straight out of the bucket. The tarballs
+// Cloud Function records the shasum of every tarball it has verified, which
+// makes for a perfect ETag. Tarballs that haven't been verified yet are not
+// served.
+function serveTarball (req, res, route) {
+  const filename = tarballPath(route.name, route.tarball)
+  bucket.getMetadata(filename, (e, metadata) => {
+    if (e) {
+      return handleReadError(res, e, route)
+    }
+    const shasum = metadata && metadata.metadata && metadata.metadata.shasum
+    if (!shasum) {
+      return sendError(res, 404, 'Not found')
+    }
+    const etag = '"' + shasum + '"'
+    if (notModified(req, etag)) {
+      return send(res, 304, { 'ETag': etag })
+    }
+    res.writeHead(200, {
+      'Content-Type': 'application/octet-stream',
+      'ETag': etag
+    })
+    if (req.method === 'HEAD') {
+      return res.end()
+    }
+    miss.pipe(bucket.createReadStream(filename), res, (e) => {
+      // By now the headers are long gone, all we can do is cut the response
+      // short so the client notices
+      if (e) {
+        log.error({ err: e, route }, 'failed to stream tarball')
+        res.destroy()
+      }
+    })
+  })
+}
+
+// manifestPath is where the packages Cloud Function uploads a package's
+// packument
+function manifestPath (name) {
+  return path.join(name, 'index.json')
+}
+
+// abbreviatedPath is where the packages Cloud Function uploads a package's
+// abbreviated packument
+function abbreviatedPath (name) {
+  return path.join(name, 'corgi.json')
+}
+
+// tarballPath is where the tarballs Cloud Function uploads a tarball. This is
+// the pathname of the tarball's url on npm, leading slash and all.
+function tarballPath (name, filename) {
+  return '/' + name + '/-/' + filename
+}
+
+// readFile reads an entire object from the bucket into memory
+function readFile (filename, cb) {
+  const callback = once(cb)
+  let body
+  miss.pipe(
+    bucket.createReadStream(filename),
+    miss.concat((buf) => { body = buf }),
+    (e) => {
+      if (e) {
+        return callback(e)
+      }
+      callback(null, Buffer.from(body || ''))
+    })
+}
+
+// handleReadError responds to an error reading from the bucket, objects that
+// don't exist are a 404 and anything else is on us
+function handleReadError (res, e, route) {
+  if (e.code === 404) {
+    return sendError(res, 404, 'Not found')
+  }
+  log.error({ err: e, route }, 'failed to read from bucket')
+  sendError(res, 500, 'Internal server error')
+}
+
+// notModified checks whether the client already has the version of the
+// resource identified by etag
+function notModified (req, etag) {
+  const header = req.headers['if-none-match']
+  if (!header) {
+    return false
+  }
+  return header.split(',').some((tag) => {
+    tag = tag.trim().replace(/^W\//, '')
+    return tag === etag || tag === '*'
+  })
+}
+
+// sendJSON responds with a JSON body, taking care of the ETag. Since the body
+// of a packument depends on the Accept header, caches are told to take it into
+// account.
+function sendJSON (req, res, body, contentType) {
+  const hash = crypto.createHash('sha1').update(body).digest('hex')
+  const etag = '"' + hash + '"'
+  if (notModified(req, etag)) {
+    return send(res, 304, { 'ETag': etag, 'Vary': 'Accept' })
+  }
+  send(res, 200, {
+    'Content-Type': contentType,
+    'Content-Length': body.length,
+    'ETag': etag,
+    'Vary': 'Accept'
+  }, req.method === 'HEAD' ? null : body)
+}
+
+// sendError responds with an error in the same shape npm uses
+function sendError (res, statusCode, error) {
+  const body = Buffer.from(JSON.stringify({ error }))
+  send(res, statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': body.length
+  }, body)
+}
+
+function send (res, statusCode, headers, body) {
+  res.writeHead(statusCode, headers)
+  res.end(body || undefined)
+}
+
+const port = config.server.port
+server.listen(port, () => {
+  log.info({ port }, 'listening')
+})
+
+module.exports = server
@@ -0,0 +1,236 @@
+'use strict'
+
+const path = require('path')
+const tar = require('tar-stream')
+const zlib = require('zlib')
+
+// A tarball matching its hashes only proves we got the bits npm serves, not
+// that they make a package. While the tarballs Cloud Function streams a
+// tarball into the bucket, the same bytes are gunzipped and untarred here, and
+// the contents are checked:
+//   - Every entry stays inside the package, no absolute paths, no .. segments,
+//     and no links pointing outside of it
+//   - The tarball doesn't unpack into more than maxUnpackedBytes, or more than
+//     maxFiles entries
+//   - It has a package.json at the top of the package (npm publishes
+//     everything in a package/ directory, some very old tarballs used another
+//     name), and its name and version are the ones of the version being
+//     mirrored. npm normalized versions when they were published, so a
+//     leading v or = in the package.json doesn't count as a mismatch.
+// A tarball failing any of these fails with a ContentError, which is kept
+// apart from integrity failures: retrying can't fix it, the tarball npm
+// serves is simply not one we want to serve.
+
+// The biggest package.json we are willing to buffer to read the name and
+// version out of it
+const MAX_MANIFEST_BYTES = 1024 * 1024
+
+// ContentError is what a tarball whose contents fail a check fails with.
+// reason says which check, one of:
+//   malformed         The tarball isn't a gzipped tarball
+//   traversal         An entry or link points outside of the package
+//   unpacked-size     It unpacks into more than maxUnpackedBytes
+//   file-count        It has more than maxFiles entries
+//   missing-manifest  It has no package.json
+//   invalid-manifest  Its package.json can't be read
+//   name-mismatch     Its package.json names another package
+//   version-mismatch  Its package.json is of another version
+class ContentError extends Error {
+  constructor (reason, message) {
+    super(message)
+    this.name = 'ContentError'
+    this.reason = reason
+  }
+}
+
+// escapes tells whether a path in a tarball points outside of where the
+// tarball is unpacked
+function escapes (name) {
+  const normalized = String(name).replace(/\\/g, '/')
+  if (path.posix.isAbsolute(normalized) || /^[a-zA-Z]:/.test(normalized)) {
+    return true
+  }
+  return normalized.split('/').indexOf('..') !== -1
+}
+
+// escapesLink tells whether a link entry points outside of the package. Hard
+// links are relative to the root of the tarball, symbolic links to the
+// directory they are in.
+function escapesLink (header) {
+  const target = String(header.linkname || '').replace(/\\/g, '/')
+  if (header.type === 'link') {
+    return escapes(target)
+  }
+  if (path.posix.isAbsolute(target) || /^[a-zA-Z]:/.test(target)) {
+    return true
+  }
+  const resolved = path.posix.normalize(
+    path.posix.join(path.posix.dirname(String(header.name)), target))
+  return resolved === '..' || resolved.indexOf('../') === 0
+}
+
+// cleanVersion strips the decorations npm strips off of versions when they are
+// published
+function cleanVersion (version) {
+  return String(version).trim().replace(/^[=v]+/, '')
+}
+
+// createInspector creates an inspector the bytes of a tarball are written to.
+// The options are:
+//   options.maxUnpackedBytes  The most the tarball may unpack into
+//   options.maxFiles          The most entries the tarball may have
+// and the inspector has:
+//   inspector.write(chunk, cb)    Inspects the next chunk of the tarball,
+//                                 calling back once it is ready for more
+//   inspector.end()               Lets it know there is nothing more to come
+//   inspector.result(expected, cb)
+//     Waits for everything written to be checked and calls back with a
+//     ContentError if the tarball fails a check, or with nothing if it is
+//     fine. expected is { name, version } of the version being mirrored,
+//     version may be missing when it isn't known.
+// Once a check has failed the rest of the tarball isn't unpacked, so a
+// tarball built to unpack into something huge only costs us up to the limit.
+function createInspector (options) {
+  const gunzip = zlib.createGunzip()
+  const extract = tar.extract()
+  let failure = null
+  let finished = false
+  let unpacked = 0
+  let files = 0
+  let manifest = null
+  let drained = null
+  const waiting = []
+
+  const release = () => {
+    const cb = drained
+    drained = null
+    if (cb) {
+      cb()
+    }
+  }
+  const finish = () => {
+    if (finished) {
+      return
+    }
+    finished = true
+    waiting.forEach((cb) => cb())
+  }
+  const fail = (e) => {
+    if (!failure) {
+      failure = e
+      gunzip.unpipe(extract)
+      gunzip.destroy()
+      extract.destroy()
+      release()
+    }
+    finish()
+  }
+
+  extract.on('entry', (header, stream, next) => {
+    files++
+    unpacked += header.size || 0
+    if (escapes(header.name)) {
+      return fail(new ContentError('traversal', 'entry ' + JSON.stringify(header.name) +
+        ' is outside of the package'))
+    }
+    if ((header.type === 'link' || header.type === 'symlink') && escapesLink(header)) {
+      return fail(new ContentError('traversal', 'link ' + JSON.stringify(header.name) +
+        ' points outside of the package'))
+    }
+    if (files > options.maxFiles) {
+      return fail(new ContentError('file-count', 'more than ' + options.maxFiles +
+        ' entries'))
+    }
+    if (unpacked > options.maxUnpackedBytes) {
+      return fail(new ContentError('unpacked-size', 'unpacks into more than ' +
+        options.maxUnpackedBytes + ' bytes'))
+    }
+
+    // The package.json is the one at the top of the package, the first one
+    // wins should there be more
+    const segments = String(header.name).replace(/\\/g, '/').split('/')
+      .filter((segment) => segment && segment !== '.')
+    const isManifest = manifest === null && header.type === 'file' &&
+      segments.length === 2 && segments[1] === 'package.json'
+    if (!isManifest) {
+      stream.on('end', next)
+      return stream.resume()
+    }
+    const chunks = []
+    let size = 0
+    stream.on('data', (chunk) => {
+      size += chunk.length
+      if (size <= MAX_MANIFEST_BYTES) {
+        chunks.push(chunk)
+      }
+    })
+    stream.on('end', () => {
+      manifest = size <= MAX_MANIFEST_BYTES ? Buffer.concat(chunks) : false
+      next()
+    })
+  })
+  extract.on('finish', finish)
+  extract.on('error', (e) => fail(new ContentError('malformed', 'not a tarball: ' + e.message)))
+  gunzip.on('error', (e) => fail(new ContentError('malformed', 'not gzipped: ' + e.message)))
+  gunzip.pipe(extract)
+
+  return {
+    write (chunk, cb) {
+      if (failure || gunzip.write(chunk)) {
+        return cb()
+      }
+      drained = cb
+      gunzip.once('drain', release)
+    },
+
+    end () {
+      if (!failure) {
+        gunzip.end()
+      }
+    },
+
+    result (expected, cb) {
+      const check = () => {
+        if (failure) {
+          return cb(failure)
+        }
+        cb(checkManifest(manifest, expected))
+      }
+      if (finished) {
+        return setImmediate(check)
+      }
+      waiting.push(check)
+    }
+  }
+}
+
+// checkManifest checks the package.json of a tarball against the version being
+// mirrored, returning a ContentError if they don't match
+function checkManifest (bits, expected) {
+  if (bits === null) {
+    return new ContentError('missing-manifest', 'no package.json')
+  }
+  if (bits === false) {
+    return new ContentError('invalid-manifest', 'package.json is bigger than ' +
+      MAX_MANIFEST_BYTES + ' bytes')
+  }
+  let manifest
+  try {
+    manifest = JSON.parse(bits.toString('utf8').replace(/^\uFEFF/, ''))
+  } catch (e) {
+    return new ContentError('invalid-manifest', 'unreadable package.json: ' + e.message)
+  }
+  if (!manifest || typeof manifest !== 'object') {
+    return new ContentError('invalid-manifest', 'package.json is not an object')
+  }
+  if (manifest.name !== expected.name) {
+    return new ContentError('name-mismatch', 'package.json is of ' +
+      JSON.stringify(manifest.name) + ', not ' + JSON.stringify(expected.name))
+  }
+  if (expected.version && cleanVersion(manifest.version) !== cleanVersion(expected.version)) {
+    return new ContentError('version-mismatch', 'package.json is of version ' +
+      JSON.stringify(manifest.version) + ', not ' + JSON.stringify(expected.version))
+  }
+}
+
+module.exports = { ContentError, createInspector }
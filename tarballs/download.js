@@ -0,0 +1,243 @@
+'use strict'
+
+const got = require('got')
+const miss = require('mississippi')
+
+// Downloading a tarball is the part of mirroring we have the least control
+// over, the registry (or a proxy in front of it) can stall, drop the
+// connection halfway through, or serve something far bigger than any package
+// should be. A download here is a stream of the tarball's bytes that:
+//   - Gives up on connecting after connectTimeoutMs, and on a response that
+//     hasn't sent anything for idleTimeoutMs
+//   - Tries again when the connection fails, times out, or the registry
+//     responds with a 5xx or 429, up to attempts times in all, backing off
+//     between tries. When some of the tarball has already arrived, the next
+//     try asks for the rest of it with a Range request. If the registry
+//     ignores the Range and sends the whole tarball again, what we already
+//     have is skipped. Either way every byte of the tarball goes through the
+//     stream exactly once and in order, so hashes computed from the stream
+//     hold across resumed downloads.
+//   - Fails as soon as the tarball is known to be bigger than maxBytes, from
+//     its Content-Length or from what has arrived
+// A download that fails for good fails with a DownloadError.
+
+// How long to wait before trying again, this doubles after every failure
+const BACKOFF_BASE_MS = 500
+
+// Errors from the registry that are worth trying again right away
+const RETRY_STATUS_CODES = [ 408, 429, 500, 502, 503, 504 ]
+
+// DownloadError is what a download that fails for good fails with. reason says
+// why, one of:
+//   status     The registry responded with an error
+//   network    The connection failed or dropped before the tarball arrived
+//   timeout    Connecting took longer than connectTimeoutMs, or nothing
+//              arrived for idleTimeoutMs
+//   truncated  The registry sent less than it said it would
+//   range      The registry answered a Range request with another range
+//   too-large  The tarball is bigger than maxBytes
+// A final error is one trying again won't fix.
+class DownloadError extends Error {
+  constructor (reason, message, cause) {
+    super(message)
+    this.name = 'DownloadError'
+    this.reason = reason
+    this.final = reason === 'too-large'
+    if (cause) {
+      this.statusCode = cause.statusCode
+      this.code = cause.code
+    }
+  }
+}
+
+// classify turns whatever a request failed with into a DownloadError
+function classify (e) {
+  if (e instanceof DownloadError) {
+    return e
+  }
+  if (e instanceof got.HTTPError) {
+    return new DownloadError('status', 'registry responded with ' + e.statusCode, e)
+  }
+  if (e instanceof got.TimeoutError) {
+    return new DownloadError('timeout', e.message, e)
+  }
+  return new DownloadError('network', e.message, e)
+}
+
+// retryable tells whether a failed request is worth trying again
+function retryable (e) {
+  if (e.reason === 'status') {
+    return RETRY_STATUS_CODES.indexOf(e.statusCode) !== -1
+  }
+  return e.reason === 'network' || e.reason === 'timeout' || e.reason === 'truncated'
+}
+
+// contentRange parses a Content-Range header, returning where the range starts
+// and the size of the whole tarball, if the registry said
+function contentRange (header) {
+  const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(String(header || '').trim())
+  if (!match) {
+    return null
+  }
+  return {
+    start: Number(match[1]),
+    total: match[2] === '*' ? null : Number(match[2])
+  }
+}
+
+// createDownload starts downloading a tarball, returning a readable stream of
+// its bytes. The options are:
+//   options.headers           Headers to send with every request
+//   options.connectTimeoutMs  How long to wait for a connection
+//   options.idleTimeoutMs     How long a response may go without sending
+//                             anything
+//   options.attempts          How many times to try, in all
+//   options.maxBytes          The biggest tarball we are willing to download
+// Besides the usual stream events the download emits retry(err, received)
+// every time it tries again, received being how much of the tarball it
+// already has.
+function createDownload (url, options) {
+  const output = miss.through()
+  let received = 0
+  let total = null
+  // What identifies the bits we started downloading, so a Range request only
+  // gets us the rest of them if they haven't changed in the meantime
+  let validator = null
+  let tries = 0
+  let request = null
+  let done = false
+
+  const finish = (e) => {
+    if (done) {
+      return
+    }
+    done = true
+    if (e) {
+      return output.destroy(e)
+    }
+    output.end()
+  }
+  // If whoever reads the download gives up on it, so do we
+  output.on('close', () => {
+    done = true
+    if (request) {
+      request.destroy()
+    }
+  })
+
+  const attempt = () => {
+    tries++
+    const headers = Object.assign({}, options.headers, {
+      // Ranges count the bytes as they are stored, not as they are encoded
+      'accept-encoding': 'identity'
+    })
+    if (received > 0) {
+      headers.range = 'bytes=' + received + '-'
+      if (validator) {
+        headers['if-range'] = validator
+      }
+    }
+    const current = got.stream(url, {
+      headers,
+      timeout: {
+        connect: options.connectTimeoutMs,
+        socket: options.idleTimeoutMs
+      },
+      // We retry ourselves, so we can pick up where we left off
+      retry: 0,
+      decompress: false
+    })
+    request = current
+    // How much of this response we already have, when the registry sends the
+    // whole tarball again
+    let skip = 0
+    let failed = false
+
+    const fail = (e) => {
+      if (failed || done) {
+        return
+      }
+      failed = true
+      current.destroy()
+      const error = classify(e)
+      if (!retryable(error) || tries >= options.attempts) {
+        return finish(error)
+      }
+      output.emit('retry', error, received)
+      setTimeout(() => {
+        if (!done) {
+          attempt()
+        }
+      }, BACKOFF_BASE_MS * Math.pow(2, tries - 1))
+    }
+
+    current.on('error', fail)
+    // got hands us a copy of the response, which never hears about the
+    // connection dropping halfway through, so we keep an eye on the real one
+    current.on('request', (req) => {
+      req.on('response', (res) => {
+        res.on('close', () => {
+          if (!res.complete) {
+            fail(new DownloadError('network', 'connection closed before the tarball arrived'))
+          }
+        })
+      })
+    })
+    current.on('response', (res) => {
+      const length = Number(res.headers['content-length'])
+      if (received > 0 && res.statusCode === 206) {
+        const range = contentRange(res.headers['content-range'])
+        if (!range || range.start !== received) {
+          return fail(new DownloadError('range', 'asked for bytes from ' + received +
+            ', got ' + JSON.stringify(res.headers['content-range'] || null)))
+        }
+        total = range.total || total
+      } else {
+        skip = received
+        total = isNaN(length) ? null : length
+        validator = res.headers['etag'] || res.headers['last-modified'] || null
+      }
+      if (total !== null && total > options.maxBytes) {
+        return fail(new DownloadError('too-large', 'tarball is ' + total +
+          ' bytes, more than ' + options.maxBytes))
+      }
+    })
+    current.on('data', (chunk) => {
+      if (failed || done) {
+        return
+      }
+      if (skip > 0) {
+        const skipped = Math.min(skip, chunk.length)
+        skip -= skipped
+        chunk = chunk.slice(skipped)
+        if (chunk.length === 0) {
+          return
+        }
+      }
+      received += chunk.length
+      if (received > options.maxBytes) {
+        return fail(new DownloadError('too-large', 'tarball is more than ' +
+          options.maxBytes + ' bytes'))
+      }
+      if (!output.write(chunk)) {
+        current.pause()
+        output.once('drain', () => current.resume())
+      }
+    })
+    current.on('end', () => {
+      if (failed || done) {
+        return
+      }
+      if (total !== null && received < total) {
+        return fail(new DownloadError('truncated', 'received ' + received +
+          ' of ' + total + ' bytes'))
+      }
+      finish()
+    })
+  }
+
+  attempt()
+  return output
+}
+
+module.exports = { DownloadError, createDownload }
@@ -1,43 +1,88 @@
 'use strict'
 
 // Load all dependencies
-const { Storage } = require('@google-cloud/storage')
+const { PubSub } = require('@google-cloud/pubsub')
+const Firestore = require('@google-cloud/firestore')
 const miss = require('mississippi')
 const crypto = require('crypto')
 const once = require('once').strict
-const got = require('got')
 const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
 const bunyan = require('bunyan')
+const config = require('frea-gcp-mirror-common/config').load()
+const storage = require('frea-gcp-mirror-common/storage')
+const { createMetrics } = require('frea-gcp-mirror-common/metrics')
+const { createState } = require('frea-gcp-mirror-common/state')
+const { parseIntegrity, verify } = require('frea-gcp-mirror-common/integrity')
+const { createUpstreams } = require('frea-gcp-mirror-common/upstreams')
+const { createEvents, seqOf } = require('frea-gcp-mirror-common/events')
+const { createInspector } = require('./contents.js')
+const { createDownload } = require('./download.js')
 
-// Configure Google Cloud Storage
-const storage = new Storage()
-const bucket = storage.bucket('freajs')
+// Configure the bucket we mirror into. This is Google Cloud Storage by default,
+// see frea-gcp-mirror-common/storage for the other backends.
+const bucket = storage.createStorage(config.storage)
+
+// Tarballs are downloaded from the upstream their package comes from, with its
+// token, see frea-gcp-mirror-common/upstreams
+const upstreams = createUpstreams(config)
+
+// Configure the retry queue. Any tarball that fails to mirror is handed over
+// to the retry Cloud Function through this topic, which takes care of backing
+// off and replaying it, or parking it in the dead-letter store once it has run
+// out of attempts.
+const pubsub = new PubSub()
+const retryTopic = pubsub.topic(config.topics.retry)
+retryTopic.setPublishOptions({
+  // Dont batch messages! We want to flush to Pub/Sub immediately since this
+  // is a Cloud Function invocation
+  batching: {
+    maxMessages: 0
+  }
+})
+
+// Track which tarballs are mirrored in Cloud Firestore, see
+// frea-gcp-mirror-common/state. The package level manifests only list versions
+// whose tarball is mirrored, so once we have mirrored one we ask the packages
+// Cloud Function to refresh them through the packages topic.
+const state = createState(new Firestore(), config.state.collection)
+const packagesTopic = pubsub.topic(config.topics.packages)
+packagesTopic.setPublishOptions({
+  batching: {
+    maxMessages: 0
+  }
+})
+
+// Announce tarballs that fail their integrity or content checks on the events
+// topic, if there is one, see frea-gcp-mirror-common/events. Mirrored tarballs
+// are announced by the packages Cloud Function, once their version is listed.
+const events = createEvents(pubsub, config.topics.events)
 
 // initLogger creates a dedicated logger for each Cloud Function invocation.
 // Since logging is async, there isn't a guarentee by default that logs will
 // be fully flushed when the the Cloud Function terminates, meaning logs may not
-// make it to stackdriver! Since we use the stackdriver logs for retrying
+// make it to stackdriver! Since we use the stackdriver logs for debugging
 // failed downloads, this is unacceptable!
 // By having a dedicated stackdriver stream for every invocation, we can
 // force the stream to fully flush before inovking the function's callback.
 // This returns a standard bunyan logger with an extra function: callback.
 // Callback wraps the Cloud Function's default callback w/ logic that forces
 // the stream to be fully flushed prior to terminating the function. Magic!
-function initLogger (url, path, shasum) {
+function initLogger (url, path, shasum, integrity) {
   // Create a new stackdriver stream dedicated to this invocation of the
   // cloud function
-  const stackdriver = (new LoggingBunyan()).stream('info')
+  const stackdriver = (new LoggingBunyan()).stream(config.logLevel)
   const log = bunyan.createLogger({
     name: 'frea-packages',
-    level: 'info',
+    level: config.logLevel,
     streams: [
       stackdriver
     ],
-    // Include the url, path, and shasum for the tarball this Cloud Function
-    // invocation is handling in every log
+    // Include the url, path, shasum, and integrity for the tarball this Cloud
+    // Function invocation is handling in every log
     url,
     path,
-    shasum
+    shasum,
+    integrity
   })
 
   // Create a callback function that wraps the Cloud Function's callback
@@ -56,6 +101,30 @@ function initLogger (url, path, shasum) {
   return log
 }
 
+// initMetrics creates the metrics for a Cloud Function invocation. Cloud
+// Functions can't be scraped, so these are written to the log when the
+// invocation finishes.
+function initMetrics (log) {
+  const metrics = createMetrics({ sink: 'log', log })
+  return {
+    flush: metrics.flush,
+    bytes: metrics.counter('frea_tarballs_bytes_total',
+      'Bytes downloaded from the registry'),
+    download: metrics.summary('frea_tarballs_download_seconds',
+      'Time spent downloading tarballs from the registry'),
+    upload: metrics.summary('frea_tarballs_upload_seconds',
+      'Time spent uploading tarballs to the bucket'),
+    integrity: metrics.counter('frea_tarballs_integrity_failures_total',
+      'Tarballs that failed their integrity check, by algorithm'),
+    contents: metrics.counter('frea_tarballs_content_failures_total',
+      'Tarballs whose contents failed a check, by reason'),
+    resumed: metrics.counter('frea_tarballs_download_retries_total',
+      'Downloads tried again after failing partway, by reason'),
+    skipped: metrics.counter('frea_tarballs_skipped_total',
+      'Tarballs skipped because they are already mirrored')
+  }
+}
+
 // This is our Cloud Function handler for download a package version's tarball.
 // This function get's invoked by the packages Cloud Function. There isn't
 // much to this function, it downloads a single tarball from the npm registry
@@ -64,20 +133,33 @@ function initLogger (url, path, shasum) {
 exports.tarballs = function tarballs (message, _, cb) {
   // Parse the tarball's url from the base64 encoded Pub/Sub message
   const url = Buffer.from(message.data || '', 'base64').toString()
-  // Get the path and shasum from the message attributes
-  const { path, shasum } = message.attributes
+  // Get the path, shasum, and integrity from the message attributes, along
+  // with the version the tarball belongs to and the seq of the change it is
+  // mirrored for, when the packages Cloud Function knows them
+  const { path, shasum, integrity, version, seq } = message.attributes
+  // Get the number of times this tarball has already failed to mirror, this is
+  // set by the retry Cloud Function when it replays a message
+  const attempt = Number(message.attributes.attempt) || 0
   // Create a dedicated logger for this Cloud Function invocation, all of the
-  // logs from this invocation will include the url, path, and shasum of the
-  // tarball we are handling
-  const log = initLogger(url, path, shasum)
-  // Create a callback for this Cloud Function invocation that ensures all logs
-  // are written to stackdriver before terminating. We also wrap it in once,
-  // which will throw an exception if we try to call this more than once. Once
-  // is handy for catching async logic bugs at runtime.
-  const callback = once(log.callback(cb))
+  // logs from this invocation will include the url, path, shasum, and
+  // integrity of the tarball we are handling
+  const log = initLogger(url, path, shasum, integrity)
+  // Measure what this invocation does, the metrics are written to the log when
+  // it finishes
+  const metrics = initMetrics(log)
+  // Create a callback for this Cloud Function invocation that reports the
+  // metrics and ensures all logs are written to stackdriver before
+  // terminating. We also wrap it in once, which will throw an exception if we
+  // try to call this more than once. Once is handy for catching async logic
+  // bugs at runtime.
+  const flush = log.callback(cb)
+  const callback = once(() => {
+    metrics.flush()
+    flush()
+  })
   // Write out an informational log that let's us know what tarball this
   // invocation is handling
-  log.info('processing')
+  log.info({ attempt }, 'processing')
 
   // If we weren't given a url, this message cant be handled so discard it.
   // This should never happen but its probably wise to guard against.
@@ -86,61 +168,359 @@ exports.tarballs = function tarballs (message, _, cb) {
     return callback()
   }
 
-  // Create a stream based shasum hasher. This will generate the shasum for the
-  // package on the fly while we download/upload the tarball to Google Cloud
-  // Storage. This allows us to compute the shasum without having to buffer
-  // the entire package into memory.
-  const integrity = crypto.createHash('sha1')
-  integrity.setEncoding('hex')
+  // Everything retry needs to hand this tarball over to the retry queue
+  const opts = { log, metrics, url, path, shasum, integrity, version, seq, attempt }
+
+  // Tarballs of published versions never change, so if we have already
+  // mirrored this one and verified it there is no reason to download it again.
+  // The packages Cloud Function does the same check before publishing, this
+  // catches duplicate and replayed messages.
+  isMirrored(path, shasum, integrity, (_, mirrored) => {
+    if (mirrored) {
+      log.info('already mirrored')
+      metrics.skipped.inc()
+      return recordMirrored(opts, callback)
+    }
+    mirror(opts, callback)
+  })
+}
+
+// mirror downloads a tarball from npm and streams it to the bucket, validating
+// its integrity along the way
+function mirror (opts, callback) {
+  const { log, metrics, url, path, shasum, integrity } = opts
+
+  // Work out every hash we have been given for this tarball. The shasum is a
+  // hex encoded sha1, the integrity is a Subresource Integrity string which may
+  // contain several algorithms.
+  const expected = parseIntegrity(shasum, integrity)
+  const algorithms = Object.keys(expected)
+
+  // Create a stream based hasher for every algorithm. These will generate the
+  // hashes for the package on the fly while we download/upload the tarball to
+  // the bucket. This allows us to compute the hashes without having
+  // to buffer the entire package into memory.
+  const hashers = {}
+  algorithms.forEach((algorithm) => {
+    hashers[algorithm] = crypto.createHash(algorithm)
+    hashers[algorithm].setEncoding('hex')
+  })
+  // While we are at it, measure how much we transfer and how long it takes.
+  // The download takes from the request until the last byte arrives, the
+  // upload from the first byte until the bucket has stored the tarball.
+  const timings = { started: Date.now(), firstByte: null, downloaded: null }
+  let bytes = 0
+  // The same bytes are unpacked on the fly too, so we can check what is in the
+  // tarball without downloading it twice, see ./contents.js
+  const inspector = config.tarballs.contents === 'off'
+    ? null
+    : createInspector(config.tarballs)
   const integrityCheck = miss.through(
     function integrityCheckHandler (chunk, enc, cb2) {
       const callback2 = once(cb2)
-      integrity.update(chunk)
-      return callback2(null, chunk)
+      timings.firstByte = timings.firstByte || Date.now()
+      bytes += chunk.length
+      algorithms.forEach((algorithm) => hashers[algorithm].update(chunk))
+      if (!inspector) {
+        return callback2(null, chunk)
+      }
+      inspector.write(chunk, () => callback2(null, chunk))
+    },
+    function integrityCheckFlush (cb2) {
+      if (inspector) {
+        inspector.end()
+      }
+      cb2()
     }
   )
-
-  // Create the Google Cloud Storage target for uploading to
-  const file = bucket.file(path)
+  const upstream = upstreams.route(packageName(path))
+  // The download times out, resumes, and caps its size on its own, see
+  // ./download.js
+  const download = createDownload(url, {
+    headers: upstreams.headers(upstream, url),
+    connectTimeoutMs: config.tarballs.connectTimeoutMs,
+    idleTimeoutMs: config.tarballs.idleTimeoutMs,
+    attempts: config.tarballs.downloadAttempts,
+    maxBytes: config.tarballs.maxBytes
+  })
+  download.on('retry', (e, received) => {
+    log.warn({ err: e, received }, 'download failed, trying again')
+    metrics.resumed.inc(1, { reason: e.reason })
+  })
+  download.on('end', () => { timings.downloaded = Date.now() })
 
   // Mississippi is a handy tool for managing Node.js streams
   miss.pipe(
     // Download the tarball from npm
-    got.stream(url),
-    // Compute the shasum so we can validate the integrity of the file after
+    download,
+    // Compute the hashes so we can validate the integrity of the file after
     // upload
     integrityCheck,
-    // Upload the file to Google Cloud Storage
-    file.createWriteStream({
+    // Upload the file to the bucket
+    bucket.createWriteStream(path, {
       contentType: 'application/gzip',
-      public: true,
-      resumable: false
+      public: true
     }),
     function (e) {
-      // If the upload/download failed, log the error to stackdriver so we can
-      // retry later
+      metrics.bytes.inc(bytes)
+      // If the upload/download failed, log the error to stackdriver and hand
+      // the tarball over to the retry queue. Nothing is deleted: a failed
+      // upload never replaces the object in the bucket, which may well be a
+      // copy we verified before. A tarball that is too big to mirror will
+      // still be too big next time, so it is parked right away.
       if (e) {
         log.error({ err: e }, 'failed to download/upload')
-        return callback()
+        const reason = e.reason === 'too-large'
+          ? 'tarball too large'
+          : 'failed to download/upload'
+        return retry(opts, reason, callback, e.final)
       }
 
       // Validate the integrity of the file we downloaded from the registry,
       // this ensure we received the correct bits over the wire and that the
       // file wasn't corrupted during download. Note: we don't need to validate
-      // the upload, the Google Cloud Storage library uses crc32c to validate
-      // the upload for us.
-      integrity.end()
-      const hash = integrity.read()
-      if (hash === shasum) {
-        // If the shasum matched, we are done! The tarball is now being
-        // mirrored!
-        return callback()
+      // the upload, every storage backend validates uploads for us (Google
+      // Cloud Storage uses crc32c, S3 uses md5).
+      const hashes = {}
+      algorithms.forEach((algorithm) => {
+        hashers[algorithm].end()
+        hashes[algorithm] = hashers[algorithm].read()
+      })
+      const result = verify(expected, hashes)
+
+      metrics.download.observe((timings.downloaded - timings.started) / 1000)
+      metrics.upload.observe((Date.now() - timings.firstByte) / 1000)
+
+      if (result.valid) {
+        // If a weaker algorithm disagreed with the strongest one, the registry
+        // metadata is inconsistent. We trust the strongest algorithm, but it
+        // is worth knowing about.
+        if (result.failed.length > 0) {
+          log.warn({ hashes, failed: result.failed, algorithm: result.algorithm },
+            'integrity algorithms disagree')
+        }
+        // We have the bits npm serves, now make sure they are a package we
+        // want to serve
+        const inspect = inspector
+          ? (cb2) => inspector.result({ name: packageName(path), version: opts.version }, cb2)
+          : (cb2) => cb2()
+        return inspect((problem) => {
+          if (problem) {
+            return rejectContents(opts, problem, callback)
+          }
+          accept(opts, callback)
+        })
       }
 
-      // If the shasum didn't match, the file was corrupted during download.
-      // Log an error to stackdriver so we can try again later and then delete
-      // the file from Cloud Storage.
-      log.error({ hash }, 'failed integrity check')
-      file.delete(callback)
+      // If the strongest algorithm didn't match, the file was corrupted during
+      // download. Log an error to stackdriver, delete the file from the
+      // bucket, and then hand the tarball over to the retry queue so we try
+      // again later.
+      log.error({ hashes, failed: result.failed, algorithm: result.algorithm },
+        'failed integrity check')
+      metrics.integrity.inc(1, { algorithm: String(result.algorithm) })
+      bucket.delete(path, (e) => {
+        if (e) {
+          log.error({ err: e }, 'failed to delete corrupt tarball')
+        }
+        announceFailure(opts, hashes, result.failed, () => {
+          retry(opts, 'failed integrity check', callback)
+        })
+      })
     })
 }
+
+// accept records the verified hashes on a tarball's object so we know it has
+// been verified and never need to download it again. If this fails the tarball
+// is still mirrored, we will just end up downloading it again next time the
+// package changes.
+function accept (opts, callback) {
+  const { log, path, shasum, integrity } = opts
+  const metadata = { shasum }
+  if (integrity) {
+    metadata.integrity = integrity
+  }
+  bucket.setMetadata(path, metadata, (e) => {
+    if (e) {
+      log.error({ err: e }, 'failed to record shasum')
+    }
+    // We are done! The tarball is now being mirrored! All that is left is
+    // letting its package know.
+    recordMirrored(opts, callback)
+  })
+}
+
+// rejectContents takes care of a tarball whose contents failed a check. When
+// the checks are enforced, the tarball is deleted from the bucket and parked
+// in the dead-letter store right away, downloading it again would get us the
+// same bits. Its version is never listed. When the checks only warn, the
+// tarball is mirrored anyway. Either way the failure is announced.
+function rejectContents (opts, problem, callback) {
+  const log = opts.log
+  const enforced = config.tarballs.contents === 'enforce'
+  opts.metrics.contents.inc(1, { reason: problem.reason })
+  const name = packageName(opts.path)
+  const event = {
+    name,
+    version: opts.version || null,
+    upstream: upstreams.route(name).name,
+    seq: seqOf(opts.seq),
+    paths: { tarball: String(opts.path) },
+    url: opts.url,
+    shasum: String(opts.shasum),
+    integrity: opts.integrity ? String(opts.integrity) : null,
+    reason: problem.reason,
+    message: problem.message,
+    enforced
+  }
+
+  if (!enforced) {
+    log.warn({ err: problem, reason: problem.reason }, 'failed content check')
+    return announce(opts, 'content.failed', event, () => accept(opts, callback))
+  }
+  log.error({ err: problem, reason: problem.reason }, 'failed content check')
+  bucket.delete(opts.path, (e) => {
+    if (e) {
+      log.error({ err: e }, 'failed to delete rejected tarball')
+    }
+    announce(opts, 'content.failed', event, () => {
+      retry(opts, 'failed content check: ' + problem.reason, callback, true)
+    })
+  })
+}
+
+// recordMirrored records that a tarball is mirrored and asks the packages
+// Cloud Function to list its version in the package level manifests. A
+// package whose tarballs are mirrored at the same time is only asked to
+// refresh once, by the first of them, the refresh picks up the rest (see
+// claimRefresh in frea-gcp-mirror-common/state). If anything fails the tarball
+// is retried, it won't be downloaded again.
+function recordMirrored (opts, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const name = packageName(opts.path)
+  state.record(name, { tarballs: [ String(opts.path) ] }, (e) => {
+    if (e) {
+      log.error({ err: e }, 'failed to record tarball')
+      return retry(opts, 'failed to record tarball', callback)
+    }
+    state.claimRefresh(name, Date.now(), (e, claimed) => {
+      if (e) {
+        log.error({ err: e }, 'failed to claim refresh')
+        return retry(opts, 'failed to claim refresh', callback)
+      }
+      if (!claimed) {
+        log.debug('refresh already pending')
+        return callback()
+      }
+      packagesTopic.publish(Buffer.from(name), { refresh: 'true' }, (e) => {
+        if (!e) {
+          return callback()
+        }
+        log.error({ err: e }, 'failed to publish refresh')
+        // Let the next tarball ask for it
+        state.refreshing(name, (e2) => {
+          if (e2) {
+            log.error({ err: e2 }, 'failed to give up refresh')
+          }
+          retry(opts, 'failed to publish refresh', callback)
+        })
+      })
+    })
+  })
+}
+
+// announceFailure publishes an integrity.failed event for a tarball
+function announceFailure (opts, hashes, failed, cb) {
+  const name = packageName(opts.path)
+  announce(opts, 'integrity.failed', {
+    name,
+    version: opts.version || null,
+    upstream: upstreams.route(name).name,
+    seq: seqOf(opts.seq),
+    paths: { tarball: String(opts.path) },
+    url: opts.url,
+    shasum: String(opts.shasum),
+    integrity: opts.integrity ? String(opts.integrity) : null,
+    hashes,
+    failed,
+    attempt: opts.attempt
+  }, cb)
+}
+
+// announce publishes an event about a tarball that failed a check. What
+// happens to the tarball doesn't depend on it, so failing to announce is only
+// logged.
+function announce (opts, type, event, cb) {
+  events.publish(type, event, (e) => {
+    if (e) {
+      opts.log.error({ err: e, type }, 'failed to announce failure')
+    }
+    cb()
+  })
+}
+
+// packageName works out which package a tarball belongs to from the path it is
+// uploaded to, e.g. /@scope/name/-/name-1.0.0.tgz belongs to @scope/name
+function packageName (path) {
+  return String(path).replace(/^\/+/, '').split('/-/')[0]
+}
+
+// retry hands a tarball that failed to mirror over to the retry Cloud
+// Function. The message is published to the retry topic with its original url
+// and attributes, along with the topic it should be replayed into, the number
+// of times it has failed so far, and why it failed this time. A final failure
+// is one retrying can't fix, it is parked in the dead-letter store right away.
+function retry (opts, reason, cb, final) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const msgAttributes = {
+    path: String(opts.path),
+    shasum: String(opts.shasum),
+    topic: 'tarballs',
+    attempt: String(opts.attempt + 1),
+    reason
+  }
+  if (opts.integrity) {
+    msgAttributes.integrity = String(opts.integrity)
+  }
+  if (opts.version) {
+    msgAttributes.version = String(opts.version)
+  }
+  if (opts.seq) {
+    msgAttributes.seq = String(opts.seq)
+  }
+  if (final) {
+    msgAttributes.final = 'true'
+  }
+  retryTopic.publish(Buffer.from(opts.url), msgAttributes, (e) => {
+    // If we can't even publish to the retry topic, the logs are all we have
+    // left
+    if (e) {
+      log.error({ err: e, msgAttributes }, 'failed to publish retry')
+      return callback()
+    }
+    log.warn({ msgAttributes }, 'scheduled retry')
+    callback()
+  })
+}
+
+// isMirrored checks whether a file has already been uploaded to the bucket and
+// verified against the given shasum and integrity. Both are recorded as custom
+// metadata on the object once the tarball passes its integrity check, so an
+// object without them (or with different ones) is treated as missing.
+function isMirrored (filename, shasum, integrity, cb) {
+  bucket.getMetadata(filename, (e, metadata) => {
+    // A 404 is expected for tarballs we haven't mirrored yet, anything else
+    // means we can't tell, so we err on the side of mirroring again
+    if (e || !metadata || !metadata.metadata) {
+      return cb(null, false)
+    }
+    return cb(null, metadata.metadata.shasum === shasum &&
+      (!integrity || metadata.metadata.integrity === integrity))
+  })
+}
@@ -0,0 +1,222 @@
+'use strict'
+
+// Load all dependencies
+const { PubSub } = require('@google-cloud/pubsub')
+const crypto = require('crypto')
+const once = require('once').strict
+const got = require('got')
+const { LoggingBunyan } = require('@google-cloud/logging-bunyan')
+const bunyan = require('bunyan')
+const config = require('frea-gcp-mirror-common/config').load()
+
+// The webhooks Cloud Function delivers the events the pipeline announces (see
+// frea-gcp-mirror-common/events) to an HTTP endpoint, so other systems can
+// react to what the mirror does in near real time. Every event is POSTed to
+// webhooks.url as its JSON, with the headers:
+//
+//   X-Frea-Event:      The type of the event, e.g. version.mirrored
+//   X-Frea-Delivery:   An id for the delivery, which stays the same when the
+//                      delivery is retried, for spotting duplicates
+//   X-Frea-Timestamp:  When the delivery was signed, in ms since the epoch
+//   X-Frea-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>", keyed
+//                      with webhooks.secret>
+//
+// Receivers should check the signature (see sign below) and reject deliveries
+// whose timestamp is too old, so a captured delivery can't be replayed against
+// them later. Anything but a 2xx response is a failure.
+//
+// A failed delivery is tried again right away a few times (webhooks.attempts),
+// backing off between tries, in case the receiver only hiccuped. After that
+// it is handed over to the retry Cloud Function like any other failed work,
+// which replays it into the webhooks topic (and so the redeliver handler
+// below) with a longer backoff, and parks it in the dead-letter store once it
+// has run out of attempts.
+
+// How long to wait before trying a delivery again within an invocation, this
+// doubles after every failure
+const BACKOFF_BASE_MS = 1000
+
+// The attributes of a message that are bookkeeping rather than part of the
+// event, these aren't carried over into a retry
+const RETRY_ATTRIBUTES = [ 'topic', 'attempt', 'reason', 'final' ]
+
+// Configure Google Cloud Pub/Sub, failed deliveries are handed over to the
+// retry Cloud Function through the retry topic
+const pubsub = new PubSub()
+const retryTopic = pubsub.topic(config.topics.retry)
+retryTopic.setPublishOptions({
+  // Dont batch messages! We want to flush to Pub/Sub immediately since this
+  // is a Cloud Function invocation
+  batching: {
+    maxMessages: 0
+  }
+})
+
+// initLogger creates a dedicated logger for each Cloud Function invocation.
+// Since logging is async, there isn't a guarentee by default that logs will
+// be fully flushed when the the Cloud Function terminates, meaning logs may not
+// make it to stackdriver!
+// By having a dedicated stackdriver stream for every invocation, we can
+// force the stream to fully flush before inovking the function's callback.
+// This returns a standard bunyan logger with an extra function: callback.
+// Callback wraps the Cloud Function's default callback w/ logic that forces
+// the stream to be fully flushed prior to terminating the function. Magic!
+function initLogger (fields) {
+  // Create a new stackdriver stream dedicated to this invocation of the
+  // cloud function
+  const stackdriver = (new LoggingBunyan()).stream(config.logLevel)
+  const log = bunyan.createLogger(Object.assign({
+    name: 'frea-webhooks',
+    level: config.logLevel,
+    streams: [
+      stackdriver
+    ]
+  }, fields))
+
+  // Create a callback function that wraps the Cloud Function's callback
+  // with logic that closes the stackdriver stream and waits for it to fully
+  // flush before invoking the Cloud Function's callback. This guarentees the
+  // logs will be written to stackdriver before the function terminates.
+  log.callback = (cb) => {
+    return () => {
+      setImmediate(() => {
+        stackdriver.stream.end(cb)
+      })
+    }
+  }
+
+  // Return our new bunyan instance
+  return log
+}
+
+// sign returns the signature of a delivery, receivers compute the same thing
+// from the X-Frea-Timestamp header and the raw body and compare it to the
+// X-Frea-Signature header (in constant time)
+function sign (secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret)
+    .update(timestamp + '.' + body)
+    .digest('hex')
+}
+
+// This is our Cloud Function handler for the events topic, it can be deployed
+// with:
+// gcloud functions deploy webhooks --runtime nodejs8 --trigger-topic events
+exports.webhooks = function webhooks (message, context, cb) {
+  deliver(message, context, cb)
+}
+
+// This is our Cloud Function handler for the webhooks topic, which the retry
+// Cloud Function replays failed deliveries into. It can be deployed with:
+// gcloud functions deploy redeliver --runtime nodejs8 --trigger-topic webhooks
+exports.redeliver = function redeliver (message, context, cb) {
+  deliver(message, context, cb)
+}
+
+// deliver POSTs an event to the webhook, trying a few times before handing it
+// over to the retry queue
+function deliver (message, context, cb) {
+  const body = Buffer.from(message.data || '', 'base64').toString()
+  const attributes = message.attributes || {}
+  // Get the number of times this delivery has already failed, this is set by
+  // the retry Cloud Function when it replays a message
+  const attempt = Number(attributes.attempt) || 0
+  // The first invocation to see an event names the delivery, retries keep
+  // that name
+  const delivery = attributes.delivery || (context && context.eventId) ||
+    crypto.randomBytes(8).toString('hex')
+  const type = attributes.type
+  // Create a dedicated logger for this Cloud Function invocation, all of the
+  // logs from this invocation will include the delivery and event
+  const log = initLogger({ delivery, type, package: attributes.name })
+  // Create a callback for this Cloud Function invocation that ensures all logs
+  // are written to stackdriver before terminating. We also wrap it in once,
+  // which will throw an exception if we try to call this more than once. Once
+  // is handy for catching async logic bugs at runtime.
+  const callback = once(log.callback(cb))
+  log.info({ attempt }, 'processing')
+
+  // Without a webhook there is nobody to deliver to
+  if (!config.webhooks.url) {
+    log.warn('no webhook configured')
+    return callback()
+  }
+  // This should never happen, but it's probably wise to guard against
+  if (body.length === 0) {
+    log.error('invalid message length')
+    return callback()
+  }
+
+  const opts = { log, body, attributes, delivery, type, attempt }
+  post(opts, 0, (e) => {
+    if (!e) {
+      log.info('delivered')
+      return callback()
+    }
+    retry(opts, e.message, callback)
+  })
+}
+
+// post POSTs an event to the webhook, trying again with a backoff until it has
+// tried webhooks.attempts times
+function post (opts, tries, cb) {
+  const log = opts.log
+  // Every try is signed again, so its timestamp is fresh
+  const timestamp = String(Date.now())
+  got(config.webhooks.url, {
+    method: 'POST',
+    body: opts.body,
+    headers: {
+      'content-type': 'application/json',
+      'user-agent': 'frea-gcp-mirror-webhooks',
+      'x-frea-event': String(opts.type),
+      'x-frea-delivery': String(opts.delivery),
+      'x-frea-timestamp': timestamp,
+      'x-frea-signature': sign(config.webhooks.secret, timestamp, opts.body)
+    },
+    timeout: config.webhooks.timeoutMs,
+    // We retry ourselves, so the backoff and the signature are ours
+    retry: 0,
+    followRedirect: false
+  }).then(() => cb(null), (e) => {
+    const reason = e.statusCode
+      ? 'webhook responded with ' + e.statusCode
+      : 'failed to reach webhook: ' + (e.code || e.message)
+    log.warn({ err: e, tries: tries + 1 }, reason)
+    if (tries + 1 >= config.webhooks.attempts) {
+      return cb(new Error(reason))
+    }
+    setTimeout(() => post(opts, tries + 1, cb),
+      BACKOFF_BASE_MS * Math.pow(2, tries))
+  })
+}
+
+// retry hands a delivery that failed over to the retry Cloud Function. The
+// message is published to the retry topic with the event and its attributes,
+// along with the topic it should be replayed into, the number of times it has
+// failed so far, and why it failed this time.
+function retry (opts, reason, cb) {
+  const log = opts.log
+  // Wrap the callback in once to catch logic errors at runtime
+  const callback = once(cb)
+
+  const msgAttributes = Object.assign({}, opts.attributes)
+  RETRY_ATTRIBUTES.forEach((key) => delete msgAttributes[key])
+  Object.assign(msgAttributes, {
+    delivery: String(opts.delivery),
+    topic: 'webhooks',
+    attempt: String(opts.attempt + 1),
+    reason
+  })
+  retryTopic.publish(Buffer.from(opts.body), msgAttributes, (e) => {
+    // If we can't even publish to the retry topic, the logs are all we have
+    // left
+    if (e) {
+      log.error({ err: e, msgAttributes }, 'failed to publish retry')
+      return callback()
+    }
+    log.warn({ msgAttributes }, 'scheduled retry')
+    callback()
+  })
+}
+
+exports.sign = sign